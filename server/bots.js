@@ -0,0 +1,124 @@
+import RAPIER from '@dimforge/rapier3d-compat'
+import WebSocket from 'ws'
+import { PlayerController, FixedTimestep, mulberry32 } from '../src/core/index.js'
+import { NetClient } from '../src/net/client.js'
+import { DEFAULT_PORT, HZ } from '../src/net/protocol.js'
+import { loadTerrain } from './terrain.js'
+
+/**
+ * Scripted bot clients
+ * Each bot is a real client: its own headless world and PlayerController
+ * predicting locally, a NetClient talking to the server, and a wandering
+ * script for input (walk, turn, sprint, the odd jump or crouch).
+ *
+ *   npm run bots                              # 4 bots → ws://localhost:8787
+ *   npm run bots -- --count 10 --url ws://host:9000
+ *   npm run bots -- --seconds 30              # leave after 30 s
+ */
+
+/** Input source that wanders: fields a script changes every tick */
+export class WanderInput {
+  constructor(seed = 1) {
+    this.random = mulberry32(seed)
+    this.held   = new Set()
+    this.move   = { x: 0, y: 1 }
+    this.turn   = 0      // radians per tick
+    this._timer = 0
+  }
+
+  isDown(action) {
+    return this.held.has(action)
+  }
+
+  getMove() {
+    return this.move
+  }
+
+  /** Advance the script one tick; returns the yaw change */
+  step() {
+    const { random, held } = this
+    if (--this._timer <= 0) {
+      this._timer = 30 + Math.floor(random() * 120)
+      this.turn   = (random() - 0.5) * 0.08
+      this.move   = random() < 0.15 ? { x: 0, y: 0 } : { x: (random() - 0.5) * 0.6, y: 1 }
+      held.clear()
+      if (random() < 0.3) held.add('sprint')
+      if (random() < 0.1) held.add('crouch')
+    }
+    // Tap jump now and then
+    if (random() < 0.01) held.add('jump'); else held.delete('jump')
+    return this.turn
+  }
+}
+
+/**
+ * Connect one bot.
+ * @returns {{ net: NetClient, player: PlayerController, stop: () => void }}
+ */
+export function startBot({ url, terrain, waterLevel = null, seed = 1 }) {
+  const world = new RAPIER.World({ x: 0, y: -20, z: 0 })
+  const timestep = new FixedTimestep({ hz: HZ })
+  world.timestep = timestep.dt
+  terrain.createCollider(world, RAPIER)
+
+  const input  = new WanderInput(seed)
+  const water  = waterLevel === null ? null : { getWaterLevelAt: () => waterLevel }
+  const player = new PlayerController({ world, RAPIER, terrain, water, input })
+  const net    = new NetClient({ url, player, world, terrain, WebSocket })
+
+  let last = performance.now()
+  const timer = setInterval(() => {
+    const now = performance.now()
+    timestep.advance((now - last) / 1000, dt => {
+      world.step()
+      if (!net.connected) return
+      player.yaw += input.step()
+      net.beforeTick()
+      player.update(dt)
+      net.afterTick()
+    })
+    last = now
+  }, 1000 / HZ / 2)
+
+  const stop = () => {
+    clearInterval(timer)
+    net.close()
+    world.free()
+  }
+  net.on('close', () => clearInterval(timer))
+  return { net, player, stop }
+}
+
+// ── CLI ──────────────────────────────────────────────────────────────────────
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2)
+  const flag = (name, fallback) => {
+    const i = args.indexOf(`--${name}`)
+    return i === -1 ? fallback : args[i + 1]
+  }
+  const url     = flag('url', `ws://localhost:${DEFAULT_PORT}`)
+  const count   = Number(flag('count', 4))
+  const seconds = Number(flag('seconds', Infinity))
+
+  await RAPIER.init()
+  const { terrain, waterLevel } = await loadTerrain()
+  const bots = []
+  for (let i = 0; i < count; i++) {
+    const bot = startBot({ url, terrain, waterLevel, seed: i + 1 })
+    bot.net.on('welcome', ({ id }) => console.log(`🤖 Bot ${i + 1} joined as player ${id}`))
+    bot.net.on('error', ({ message }) => console.warn(`⚠️  Bot ${i + 1}: ${message}`))
+    bots.push(bot)
+  }
+
+  // Prediction health: how often the server disagreed with a bot
+  const report = setInterval(() => {
+    console.log(`📊 Corrections: ${bots.map(b => b.net.corrections).join(' ')}`)
+  }, 5000)
+
+  const quit = () => {
+    clearInterval(report)
+    for (const bot of bots) bot.stop()
+  }
+  process.on('SIGINT', quit)
+  if (Number.isFinite(seconds)) setTimeout(quit, seconds * 1000)
+}
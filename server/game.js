@@ -0,0 +1,170 @@
+import { WebSocketServer } from 'ws'
+import { PlayerController, FrameInput, FixedTimestep } from '../src/core/index.js'
+import {
+  PROTOCOL_VERSION, HZ, SNAPSHOT_EVERY, DEFAULT_PORT, NOCLIP_BIT, encode, decode, terrainChecksum,
+} from '../src/net/protocol.js'
+
+/**
+ * GameServer
+ * Authoritative multiplayer simulation: one Rapier world with the terrain
+ * heightfield and a PlayerController per connected socket. Each physics
+ * tick applies at most one queued input per player (the same step the
+ * client predicted with), and every SNAPSHOT_EVERY ticks each client gets
+ * everyone's positions plus its own full state and the last input applied.
+ *
+ * A player with no queued input simply doesn't advance that tick, so a
+ * client's prediction only drifts when something it can't see (another
+ * player) gets in the way.
+ *
+ * Usage:
+ *   const server = new GameServer({ RAPIER, terrain, waterLevel })
+ *   const port = await server.start()
+ *   ...
+ *   await server.stop()
+ */
+export class GameServer {
+  constructor({
+    RAPIER,
+    terrain,            // core Heightfield (same heights the clients load)
+    waterLevel = null,  // flat sea level, so players swim where clients do
+    port = DEFAULT_PORT,
+    spawnRadius = 12,   // metres around the origin
+    maxQueue = 30,      // inputs buffered per player before old ones are dropped
+    log = console.log,
+  }) {
+    this.RAPIER      = RAPIER
+    this.terrain     = terrain
+    this.port        = port
+    this.spawnRadius = spawnRadius
+    this.maxQueue    = maxQueue
+    this.log         = log
+    this.water       = waterLevel === null ? null : { getWaterLevelAt: () => waterLevel }
+
+    this.world = new RAPIER.World({ x: 0, y: -20, z: 0 })
+    this.timestep = new FixedTimestep({ hz: HZ, maxSubsteps: 5 })
+    this.world.timestep = this.timestep.dt
+    terrain.createCollider(this.world, RAPIER)
+
+    this.checksum = terrainChecksum(terrain.heights)
+    this.players  = new Map()   // id → { id, socket, player, input, queue, ack }
+    this.tickCount = 0
+    this._nextId  = 1
+    this._wss     = null
+    this._timer   = null
+  }
+
+  /**
+   * Listen and start ticking.
+   * @returns {Promise<number>} the port (useful with port 0)
+   */
+  start() {
+    return new Promise((resolve, reject) => {
+      this._wss = new WebSocketServer({ port: this.port })
+      this._wss.on('connection', socket => this._join(socket))
+      this._wss.once('error', reject)
+      this._wss.once('listening', () => {
+        this.port = this._wss.address().port
+        let last = performance.now()
+        this._timer = setInterval(() => {
+          const now = performance.now()
+          this.timestep.advance((now - last) / 1000, () => this.tick())
+          last = now
+        }, 1000 / HZ / 2)
+        this.log(`🌐 Server listening on ws://localhost:${this.port}`)
+        resolve(this.port)
+      })
+    })
+  }
+
+  /** Disconnect everyone and stop */
+  stop() {
+    clearInterval(this._timer)
+    for (const { socket } of this.players.values()) socket.terminate()
+    return new Promise(resolve => this._wss ? this._wss.close(() => resolve()) : resolve())
+  }
+
+  /** Advance the simulation one fixed step */
+  tick() {
+    const dt = this.timestep.dt
+    this.world.step()
+
+    for (const client of this.players.values()) {
+      const frame = client.queue.shift()
+      if (!frame) continue
+      client.input.set(frame.mask, frame.move[0], frame.move[1])
+      client.player.yaw   = frame.yaw
+      client.player.pitch = frame.pitch
+      client.player.update(dt)
+      client.ack = frame.seq
+    }
+
+    this.tickCount++
+    if (this.tickCount % SNAPSHOT_EVERY === 0) this._broadcast()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _join(socket) {
+    const id = this._nextId++
+    const input  = new FrameInput()
+    const player = new PlayerController({
+      world: this.world, RAPIER: this.RAPIER, terrain: this.terrain, water: this.water, input,
+    })
+    const angle = Math.random() * Math.PI * 2
+    const x = Math.cos(angle) * this.spawnRadius * Math.random()
+    const z = Math.sin(angle) * this.spawnRadius * Math.random()
+    player.setPosition(x, this.terrain.getHeightAtWorld(x, z) + 2, z)
+
+    const client = { id, socket, player, input, queue: [], ack: -1 }
+    this.players.set(id, client)
+    this.log(`👤 Player ${id} joined (${this.players.size} online)`)
+
+    socket.on('message', data => this._receive(client, decode(data)))
+    socket.on('close', () => {
+      player.dispose()
+      this.players.delete(id)
+      this.log(`👋 Player ${id} left (${this.players.size} online)`)
+    })
+
+    socket.send(encode('welcome', {
+      version: PROTOCOL_VERSION,
+      id,
+      hz:      HZ,
+      terrain: { width: this.terrain.width, height: this.terrain.depth, checksum: this.checksum },
+      state:   player.getState(),
+    }))
+  }
+
+  _receive(client, message) {
+    if (message?.type !== 'input') return
+    const { seq, mask, move, yaw, pitch } = message
+    if (!Number.isInteger(seq) || seq <= client.ack || !Number.isInteger(mask)
+      || !Array.isArray(move) || ![move[0], move[1], yaw, pitch].every(Number.isFinite)) return
+
+    client.queue.push({
+      seq,
+      mask: mask & ~NOCLIP_BIT,
+      // Clamp the stick so a modified client can't outrun everyone
+      move: [Math.max(-1, Math.min(1, move[0])), Math.max(-1, Math.min(1, move[1]))],
+      yaw,
+      pitch,
+    })
+    if (client.queue.length > this.maxQueue) client.queue.shift()
+  }
+
+  _broadcast() {
+    const players = []
+    for (const { id, player } of this.players.values()) {
+      const p = player.body.nextTranslation()
+      players.push({ id, x: p.x, y: p.y, z: p.z, yaw: player.yaw, crouching: player.isCrouching })
+    }
+    for (const client of this.players.values()) {
+      if (client.socket.readyState !== client.socket.OPEN) continue
+      client.socket.send(encode('snapshot', {
+        tick:    this.tickCount,
+        ack:     client.ack,
+        you:     client.player.getState(),
+        players: players.filter(p => p.id !== client.id),
+      }))
+    }
+  }
+}
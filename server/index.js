@@ -0,0 +1,30 @@
+import RAPIER from '@dimforge/rapier3d-compat'
+import { loadTerrain } from './terrain.js'
+import { GameServer } from './game.js'
+import { DEFAULT_PORT } from '../src/net/protocol.js'
+
+/**
+ * Multiplayer server
+ *   npm run server                  # ws://localhost:8787
+ *   npm run server -- --port 9000
+ *
+ * Then open the game with ?server=ws://localhost:8787, or start bots
+ * with `npm run bots`.
+ */
+const args = process.argv.slice(2)
+const flag = name => {
+  const i = args.indexOf(`--${name}`)
+  return i === -1 ? undefined : args[i + 1]
+}
+
+await RAPIER.init()
+const { terrain, waterLevel, source } = await loadTerrain()
+console.log(`🗺️  Terrain: ${source} (${terrain.width}×${terrain.depth})`)
+
+const server = new GameServer({ RAPIER, terrain, waterLevel, port: Number(flag('port') ?? DEFAULT_PORT) })
+await server.start()
+
+process.on('SIGINT', async () => {
+  await server.stop()
+  process.exit(0)
+})
@@ -0,0 +1,43 @@
+import { readFile } from 'node:fs/promises'
+import { decodeHeightmap, generateProceduralHeightmap, erodeHeightmap, Heightfield } from '../src/core/index.js'
+import { SplatMap } from '../src/utils/splat.js'
+
+/**
+ * Load the terrain the browser client builds in src/main.js, so server
+ * physics and client prediction walk on identical ground: public/heightmap.png
+ * if there is one, else the seeded procedural fallback, with the same world
+ * size, height scale, sea level and surface layers.
+ *
+ * @param {object} [options]
+ * @param {string} [options.heightmap]  Path of the heightmap PNG
+ * @returns {Promise<{ terrain: Heightfield, waterLevel: number, source: string }>}
+ */
+export async function loadTerrain({ heightmap = new URL('../public/heightmap.png', import.meta.url) } = {}) {
+  let heightData, source
+  try {
+    heightData = await decodeHeightmap(await readFile(heightmap), { targetSize: null })
+    source = 'heightmap.png'
+  } catch {
+    heightData = erodeHeightmap(generateProceduralHeightmap(101, { seed: 1337 }), { seed: 1337 })
+    source = 'procedural'
+  }
+
+  // Same world scale as main.js: an exported map's own, else the defaults
+  const scale = heightData.metadata ?? {}
+  const terrain = new Heightfield({
+    heights:      heightData.heights,
+    width:        heightData.width,
+    height:       heightData.height,
+    worldSizeX:   scale.worldSizeX ?? 200,
+    worldSizeZ:   scale.worldSizeZ,
+    heightScale:  scale.heightScale ?? 14,
+    heightOffset: scale.heightOffset ?? 0,
+  })
+  // Surface grip (snow, mud…) changes walking speed, so it has to match too;
+  // main.js only paints layers when the map isn't streamed in chunks
+  const { cols, rows } = terrain
+  const chunked = Math.max(cols, rows) > 1024 && cols % 64 === 0 && rows % 64 === 0
+  if (!chunked) terrain.surfaceMap = new SplatMap({ terrain, seed: 1337 })
+
+  return { terrain, waterLevel: terrain.heightOffset + terrain.heightScale * 0.15, source }
+}
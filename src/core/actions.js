@@ -0,0 +1,67 @@
+/**
+ * Per-tick input frames
+ * What PlayerController.update() reads from its input, reduced to plain
+ * numbers: a bitmask of held actions and the move stick. Frames are what
+ * replays store and what network clients send, and FrameInput plays one
+ * back into a controller in place of a live InputManager.
+ *
+ * Usage:
+ *   const mask = packActions(input)                // live input → bits
+ *   const frame = new FrameInput()
+ *   frame.set(mask, move.x, move.y)
+ *   player.input = frame
+ */
+
+// Actions PlayerController polls each tick; movement travels as the analog stick
+export const TICK_ACTIONS = ['jump', 'sprint', 'crouch', 'noclip']
+
+/** Bitmask of the `actions` held on `input` (bit i = actions[i]) */
+export function packActions(input, actions = TICK_ACTIONS) {
+  let mask = 0
+  actions.forEach((action, i) => { if (input.isDown(action)) mask |= 1 << i })
+  return mask
+}
+
+/** Bit for `action` in a mask built from `actions` (0 if not listed) */
+export function actionBit(action, actions = TICK_ACTIONS) {
+  const i = actions.indexOf(action)
+  return i === -1 ? 0 : 1 << i
+}
+
+/**
+ * Stand-in for InputManager that replays one frame: the controller only
+ * polls held actions and the move stick. Look travels as yaw/pitch on the
+ * controller itself, so `look` is always zero.
+ */
+export class FrameInput {
+  constructor(actions = TICK_ACTIONS) {
+    this.actions = actions
+    this.look    = { x: 0, y: 0 }
+    this.locked  = false
+    this.active  = true
+    this._mask   = 0
+    this._move   = { x: 0, y: 0 }
+  }
+
+  set(mask, x, y) {
+    this._mask   = mask
+    this._move.x = x
+    this._move.y = y
+  }
+
+  isDown(action) {
+    return (this._mask & actionBit(action, this.actions)) !== 0
+  }
+
+  value(action) {
+    return this.isDown(action) ? 1 : 0
+  }
+
+  pressed() {
+    return false
+  }
+
+  getMove() {
+    return { x: this._move.x, y: this._move.y }
+  }
+}
@@ -0,0 +1,141 @@
+import { PlayerController } from './player.js'
+
+/**
+ * NPC Agent
+ * ─────────
+ * A PlayerController that walks itself: give it a destination and it
+ * asks a NavGrid for a path, then steers along it by turning its yaw
+ * towards the next waypoint and pushing forward. Movement goes through
+ * its own Rapier character controller, so slopes, steps, water and
+ * props behave exactly as they do for the player.
+ *
+ * If it makes no progress for a while (blocked by a prop, another agent)
+ * it re-plans from where it is; after a few failed attempts it gives up.
+ *
+ * Usage:
+ *   const agent = new NpcAgent({ world, RAPIER, terrain, nav })
+ *   agent.setPosition(x, terrain.getHeightAtWorld(x, z) + 1, z)
+ *   agent.on('arrived', () => agent.moveTo(somewhereElse))
+ *   agent.moveTo({ x: 20, z: -5 })
+ *   // per physics step:
+ *   world.step()
+ *   agent.update(dt)
+ */
+export class NpcAgent extends PlayerController {
+  constructor({ world, RAPIER, terrain, water = null, nav }) {
+    // Steering writes into this input every step
+    const steering = {
+      move: { x: 0, y: 0 },
+      run:  false,
+      isDown: action => action === 'sprint' && steering.run,
+      getMove: () => steering.move,
+    }
+    super({ world, RAPIER, terrain, water, input: steering })
+    this.nav      = nav
+    this.steering = steering
+
+    this.path        = null    // [{x, y, z}] being followed, or null when idle
+    this.waypoint    = 0       // index of the point being walked to
+    this.destination = null
+    this.staminaEnabled = false
+
+    // ── Tuning ───────────────────────────────────────────────────
+    this.MOVE_SPEED      = 3.5   // m/s walk (sprint still multiplies)
+    this.WAYPOINT_RADIUS = 0.8   // metres; close enough to aim for the next point
+    this.ARRIVE_RADIUS   = 0.5   // metres from the destination to stop
+    this.SLOW_RADIUS     = 2     // start easing off this far from the destination
+    this.STUCK_TIME      = 1.5   // seconds between progress checks
+    this.STUCK_DISTANCE  = 0.3   // metres that count as progress
+    this.MAX_REPLANS     = 3
+
+    this._checkTimer = 0
+    this._checkPos   = null
+    this._replans    = 0
+  }
+
+  /**
+   * Walk to a world position.
+   * @param {{ x: number, z: number }} target
+   * @param {object}  [options]
+   * @param {boolean} [options.run=false]  Sprint there
+   * @returns {boolean} false if there is no path (the agent stays idle)
+   */
+  moveTo(target, { run = false } = {}) {
+    this.destination = { x: target.x, z: target.z }
+    this.steering.run = run
+    this._replans = 0
+    return this._plan()
+  }
+
+  /** Stop where it stands */
+  stop() {
+    this.path        = null
+    this.destination = null
+    this.steering.move = { x: 0, y: 0 }
+  }
+
+  /** Is it following a path? */
+  get moving() {
+    return this.path !== null
+  }
+
+  /**
+   * Steer, then advance one physics step (see PlayerController.update).
+   * Emits 'arrived' and 'stuck' — { position } — along the way.
+   */
+  update(dt) {
+    if (this.path) this._steer(dt)
+    return super.update(dt)
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _plan() {
+    const from = this.body.translation()
+    this.path = this.nav.findPath(from, this.destination)
+    this.waypoint    = Math.min(1, this.path ? this.path.length - 1 : 0)
+    this._checkTimer = 0
+    this._checkPos   = { x: from.x, z: from.z }
+    if (!this.path) this.stop()
+    return this.path !== null
+  }
+
+  _steer(dt) {
+    const pos = this.body.translation()
+    const { path } = this
+
+    // Skip waypoints we're already at
+    let target = path[this.waypoint]
+    while (this.waypoint < path.length - 1
+      && Math.hypot(target.x - pos.x, target.z - pos.z) < this.WAYPOINT_RADIUS) {
+      target = path[++this.waypoint]
+    }
+
+    const goal = path[path.length - 1]
+    const remaining = Math.hypot(goal.x - pos.x, goal.z - pos.z)
+    if (this.waypoint === path.length - 1 && remaining < this.ARRIVE_RADIUS) {
+      this.stop()
+      this._emit('arrived', { position: { x: pos.x, y: pos.y, z: pos.z } })
+      return
+    }
+
+    // Face the waypoint: forward is (-sin yaw, -cos yaw)
+    this.yaw = Math.atan2(-(target.x - pos.x), -(target.z - pos.z))
+    this.steering.move = { x: 0, y: Math.max(0.3, Math.min(1, remaining / this.SLOW_RADIUS)) }
+
+    // Progress check
+    this._checkTimer += dt
+    if (this._checkTimer < this.STUCK_TIME) return
+    const moved = Math.hypot(pos.x - this._checkPos.x, pos.z - this._checkPos.z)
+    this._checkTimer = 0
+    this._checkPos   = { x: pos.x, z: pos.z }
+    if (moved >= this.STUCK_DISTANCE) {
+      this._replans = 0
+      return
+    }
+
+    if (++this._replans > this.MAX_REPLANS || !this._plan()) {
+      this.stop()
+      this._emit('stuck', { position: { x: pos.x, y: pos.y, z: pos.z } })
+    }
+  }
+}
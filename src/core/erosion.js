@@ -0,0 +1,253 @@
+import { mulberry32, hashSeed } from './noise.js'
+
+/**
+ * Erosion post-process
+ * Takes the result of loadHeightmap / generateTerrain and returns an eroded
+ * copy in the same { heights, width, height, size, minH, maxH } shape, ready
+ * for TerrainBuilder. The input is never modified.
+ *
+ *   1. Hydraulic — simulated rain droplets roll downhill, picking up sediment
+ *      on steep ground and dropping it where they slow down (carves gullies,
+ *      fills valley floors)
+ *   2. Thermal — material slides off any slope steeper than the talus angle
+ *      (softens cliffs into scree)
+ *
+ * With `maps: true` the result also carries 0..1 `deposition` and `flow`
+ * maps (same grid) that can drive texturing, e.g. wet sediment in channels.
+ *
+ * Usage:
+ *   const eroded = erodeHeightmap(heightData, { seed: 7, maps: true })
+ *   new TerrainBuilder({ ...eroded, worldSizeX: 200, heightScale: 14 })
+ */
+export function erodeHeightmap(heightData, {
+  seed = 0,
+  // Hydraulic
+  droplets,                // default: one per two grid cells
+  maxLifetime = 30,        // steps before a droplet evaporates completely
+  erosionRadius = 3,       // cells
+  inertia = 0.05,          // 0 = always straight downhill, 1 = never turns
+  sedimentCapacity = 4,
+  minSedimentCapacity = 0.01,
+  erodeSpeed = 0.3,
+  depositSpeed = 0.3,
+  evaporateSpeed = 0.01,
+  gravity = 4,
+  // Thermal
+  thermalIterations = 20,
+  talusAngle = 35,         // degrees; steeper slopes shed material
+  thermalRate = 0.5,       // fraction of the excess moved per iteration
+  cellSize = 2,            // metres per cell, to turn talusAngle into a height step
+  heightScale = 14,        // metres per height unit
+  // Output
+  maps = false,
+} = {}) {
+  const { width, height } = heightData
+  const heights = heightData.heights.slice()
+  droplets = droplets ?? Math.round(width * height / 2)
+
+  const deposition = maps ? new Float32Array(width * height) : null
+  const flow       = maps ? new Float32Array(width * height) : null
+
+  if (droplets > 0) {
+    hydraulic(heights, width, height, {
+      random: mulberry32(hashSeed(seed)),
+      droplets, maxLifetime, erosionRadius, inertia, sedimentCapacity,
+      minSedimentCapacity, erodeSpeed, depositSpeed, evaporateSpeed, gravity,
+      deposition, flow,
+    })
+  }
+
+  if (thermalIterations > 0) {
+    // Largest stable height difference between neighbours, in 0..1 units
+    const talus = Math.tan(talusAngle * Math.PI / 180) * cellSize / heightScale
+    thermal(heights, width, height, thermalIterations, talus, thermalRate, deposition)
+  }
+
+  let minH = Infinity, maxH = -Infinity
+  for (let i = 0; i < heights.length; i++) {
+    if (heights[i] < minH) minH = heights[i]
+    if (heights[i] > maxH) maxH = heights[i]
+  }
+
+  const result = { heights, width, height, size: width === height ? width : null, minH, maxH }
+  if (maps) {
+    result.deposition = normalizeMax(deposition)
+    result.flow       = normalizeMax(flow)
+  }
+  return result
+}
+
+// ── Hydraulic erosion (droplet model) ────────────────────────────────────────
+function hydraulic(heights, width, height, opts) {
+  const {
+    random, droplets, maxLifetime, erosionRadius, inertia, sedimentCapacity,
+    minSedimentCapacity, erodeSpeed, depositSpeed, evaporateSpeed, gravity,
+    deposition, flow,
+  } = opts
+
+  const brush = buildBrush(erosionRadius)
+  const grad  = { h: 0, gx: 0, gy: 0 }
+
+  for (let n = 0; n < droplets; n++) {
+    let x = random() * (width - 1)
+    let y = random() * (height - 1)
+    let dirX = 0, dirY = 0
+    let speed = 1, water = 1, sediment = 0
+
+    for (let life = 0; life < maxLifetime; life++) {
+      const cx = Math.floor(x), cy = Math.floor(y)
+      const fx = x - cx, fy = y - cy
+      const cell = cy * width + cx
+
+      if (flow) flow[cell] += water
+
+      // Steer downhill, keeping some momentum
+      sampleGradient(heights, width, x, y, grad)
+      const oldHeight = grad.h
+      dirX = dirX * inertia - grad.gx * (1 - inertia)
+      dirY = dirY * inertia - grad.gy * (1 - inertia)
+      const len = Math.hypot(dirX, dirY)
+      if (len === 0) break
+      dirX /= len
+      dirY /= len
+      x += dirX
+      y += dirY
+
+      // Stop when the droplet rolls off the map
+      if (x < 0 || y < 0 || x >= width - 1 || y >= height - 1) break
+
+      sampleGradient(heights, width, x, y, grad)
+      const deltaH = grad.h - oldHeight
+
+      const capacity = Math.max(-deltaH * speed * water * sedimentCapacity, minSedimentCapacity)
+
+      if (sediment > capacity || deltaH > 0) {
+        // Uphill: fill the pit behind us; otherwise drop the excess
+        const amount = deltaH > 0
+          ? Math.min(deltaH, sediment)
+          : (sediment - capacity) * depositSpeed
+        sediment -= amount
+
+        // Deposit on the 4 corners of the cell we just left, bilinearly
+        heights[cell]             += amount * (1 - fx) * (1 - fy)
+        heights[cell + 1]         += amount * fx * (1 - fy)
+        heights[cell + width]     += amount * (1 - fx) * fy
+        heights[cell + width + 1] += amount * fx * fy
+        if (deposition) deposition[cell] += amount
+      } else {
+        // Never dig deeper than the drop we just made, or we'd carve holes
+        const amount = Math.min((capacity - sediment) * erodeSpeed, -deltaH)
+        sediment += erodeBrush(heights, width, height, cx, cy, brush, amount)
+      }
+
+      speed = Math.sqrt(Math.max(0, speed * speed + deltaH * gravity))
+      water *= 1 - evaporateSpeed
+    }
+  }
+}
+
+/** Bilinear height and gradient at a fractional grid position */
+function sampleGradient(heights, width, x, y, out) {
+  const cx = Math.floor(x), cy = Math.floor(y)
+  const fx = x - cx, fy = y - cy
+  const i = cy * width + cx
+
+  const nw = heights[i]
+  const ne = heights[i + 1]
+  const sw = heights[i + width]
+  const se = heights[i + width + 1]
+
+  out.gx = (ne - nw) * (1 - fy) + (se - sw) * fy
+  out.gy = (sw - nw) * (1 - fx) + (se - ne) * fx
+  out.h  = nw * (1 - fx) * (1 - fy) + ne * fx * (1 - fy) + sw * (1 - fx) * fy + se * fx * fy
+}
+
+/** Offsets + weights of a circular erosion brush, weights summing to 1 */
+function buildBrush(radius) {
+  const offsets = [], weights = []
+  let sum = 0
+  const r = Math.ceil(radius)
+  for (let dy = -r; dy <= r; dy++) {
+    for (let dx = -r; dx <= r; dx++) {
+      const d = Math.hypot(dx, dy)
+      if (d >= radius) continue
+      const w = 1 - d / radius
+      offsets.push(dx, dy)
+      weights.push(w)
+      sum += w
+    }
+  }
+  return { offsets, weights: weights.map(w => w / sum) }
+}
+
+/** Remove up to `amount` around (cx, cy), returning what was actually taken */
+function erodeBrush(heights, width, height, cx, cy, brush, amount) {
+  const { offsets, weights } = brush
+  let taken = 0
+  for (let k = 0; k < weights.length; k++) {
+    const x = cx + offsets[k * 2]
+    const y = cy + offsets[k * 2 + 1]
+    if (x < 0 || y < 0 || x >= width || y >= height) continue
+    const i = y * width + x
+    const delta = Math.min(heights[i], amount * weights[k])
+    heights[i] -= delta
+    taken += delta
+  }
+  return taken
+}
+
+// ── Thermal erosion ──────────────────────────────────────────────────────────
+const NEIGHBOURS = [[-1, 0], [1, 0], [0, -1], [0, 1], [-1, -1], [1, -1], [-1, 1], [1, 1]]
+
+function thermal(heights, width, height, iterations, talus, rate, deposition) {
+  const delta = new Float32Array(heights.length)
+
+  for (let it = 0; it < iterations; it++) {
+    delta.fill(0)
+
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x
+        const h = heights[i]
+
+        // Collect how far each neighbour sits below the stable slope
+        let total = 0, maxExcess = 0
+        for (const [dx, dy] of NEIGHBOURS) {
+          const nx = x + dx, ny = y + dy
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue
+          // Diagonals are √2 further away, so they tolerate a bigger step
+          const limit = dx && dy ? talus * Math.SQRT2 : talus
+          const excess = h - heights[ny * width + nx] - limit
+          if (excess > 0) {
+            total += excess
+            if (excess > maxExcess) maxExcess = excess
+          }
+        }
+        if (total === 0) continue
+
+        // Move half the worst excess (times rate), split by how steep each side is
+        const moved = maxExcess * 0.5 * rate
+        delta[i] -= moved
+        for (const [dx, dy] of NEIGHBOURS) {
+          const nx = x + dx, ny = y + dy
+          if (nx < 0 || ny < 0 || nx >= width || ny >= height) continue
+          const limit = dx && dy ? talus * Math.SQRT2 : talus
+          const excess = h - heights[ny * width + nx] - limit
+          if (excess > 0) delta[ny * width + nx] += moved * excess / total
+        }
+      }
+    }
+
+    for (let i = 0; i < heights.length; i++) {
+      heights[i] += delta[i]
+      if (deposition && delta[i] > 0) deposition[i] += delta[i]
+    }
+  }
+}
+
+function normalizeMax(values) {
+  let max = 0
+  for (let i = 0; i < values.length; i++) if (values[i] > max) max = values[i]
+  if (max > 0) for (let i = 0; i < values.length; i++) values[i] /= max
+  return values
+}
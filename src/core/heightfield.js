@@ -0,0 +1,297 @@
+import { encodePNG } from './png.js'
+import { METADATA_KEY } from './heightmap.js'
+
+/**
+ * Heightfield
+ * The terrain as data: a row-major grid of normalised heights stretched
+ * over a world-space rectangle centred on the origin. Answers height and
+ * surface queries and builds the matching Rapier heightfield collider.
+ * No rendering and no DOM, so it runs the same in Node (TerrainBuilder adds
+ * the Three.js mesh on top).
+ *
+ * Layout:
+ *   heights[row * width + col], rows along Z, columns along X
+ *   vertex (row, col) sits at x = col * cellSizeX - worldSizeX / 2
+ *                             z = row * cellSizeZ - worldSizeZ / 2
+ *
+ * Usage:
+ *   const terrain = new Heightfield({ heights, width, height, worldSizeX: 200, heightScale: 14 })
+ *   const collider = terrain.createCollider(world, RAPIER)
+ *   const y = terrain.getHeightAtWorld(x, z)
+ *   const png = await terrain.toPNG()   // 16-bit, loads back with loadHeightmap
+ */
+export class Heightfield {
+  constructor({
+    heights,       // Float32Array, row-major
+    size,          // square grid resolution (e.g. 101), or pass width + height
+    width = size,      // vertices along X (image width)
+    height = size,     // vertices along Z (image height)
+    worldSize = 200,   // total world size along X in meters
+    worldSizeX = worldSize,
+    worldSizeZ = worldSizeX * (height - 1) / (width - 1),  // square cells by default
+    heightScale = 14,  // max height in meters (matches Blender strength ~2.8 * 5)
+    heightOffset = 0   // Y offset
+  }) {
+    this.heights = heights
+    this.width = width       // 101 vertices along X
+    this.depth = height      // 101 vertices along Z
+    this.cols = width - 1    // 100 cells
+    this.rows = height - 1   // 100 cells
+    this.worldSizeX = worldSizeX
+    this.worldSizeZ = worldSizeZ
+    this.heightScale = heightScale
+    this.heightOffset = heightOffset
+    this.cellSizeX = worldSizeX / (width - 1)   // 2m per cell
+    this.cellSizeZ = worldSizeZ / (height - 1)
+    this.surfaceMap = null   // optional SplatMap for surface queries
+  }
+
+  /**
+   * Get height at grid position (row, col)
+   */
+  getHeight(row, col) {
+    row = Math.max(0, Math.min(this.depth - 1, row))
+    col = Math.max(0, Math.min(this.width - 1, col))
+    return this.heights[row * this.width + col] * this.heightScale + this.heightOffset
+  }
+
+  /**
+   * Get interpolated height at world position (x, z)
+   */
+  getHeightAtWorld(x, z) {
+    // Convert world pos to grid coords
+    const gx = (x + this.worldSizeX / 2) / this.cellSizeX
+    const gz = (z + this.worldSizeZ / 2) / this.cellSizeZ
+
+    const col0 = Math.floor(gx)
+    const row0 = Math.floor(gz)
+    const col1 = col0 + 1
+    const row1 = row0 + 1
+
+    const fx = gx - col0
+    const fz = gz - row0
+
+    const h00 = this.getHeight(row0, col0)
+    const h10 = this.getHeight(row0, col1)
+    const h01 = this.getHeight(row1, col0)
+    const h11 = this.getHeight(row1, col1)
+
+    // Bilinear interpolation
+    return h00 * (1 - fx) * (1 - fz)
+         + h10 * fx * (1 - fz)
+         + h01 * (1 - fx) * fz
+         + h11 * fx * fz
+  }
+
+  /**
+   * Which surface is at world position (x, z), with blend weights.
+   * Uses the SplatMap set as `surfaceMap` if there is one, otherwise the
+   * same height bands as the vertex colours (dirt, grass, rock, snow).
+   * @returns {{ type: string, weights: Object<string, number> }}
+   */
+  getSurfaceAtWorld(x, z) {
+    const weights = {}
+    let type = null, best = -1
+
+    if (this.surfaceMap) {
+      const w = this.surfaceMap.getWeightsAtWorld(x, z)
+      this.surfaceMap.layerNames.forEach((name, l) => {
+        weights[name] = (weights[name] ?? 0) + w[l]
+      })
+    } else {
+      const t = (this.getHeightAtWorld(x, z) - this.heightOffset) / this.heightScale
+      // Cross-fade over ±0.03 either side of each band edge
+      const edges = [0.3, 0.65, 0.85]
+      const names = ['dirt', 'grass', 'rock', 'snow']
+      for (const name of names) weights[name] = 0
+      let band = edges.findIndex(e => t < e)
+      if (band === -1) band = edges.length
+      weights[names[band]] = 1
+      for (let e = 0; e < edges.length; e++) {
+        const d = t - edges[e]
+        if (Math.abs(d) >= 0.03) continue
+        const s = (d + 0.03) / 0.06   // 0 → lower band, 1 → upper band
+        weights[names[e]] = 1 - s
+        weights[names[e + 1]] = s
+      }
+    }
+
+    for (const name in weights) {
+      if (weights[name] > best) { best = weights[name]; type = name }
+    }
+    return { type, weights }
+  }
+
+  /**
+   * First point where a ray meets the terrain surface, e.g. to project a
+   * brush from the camera. Marches half-cell steps, then bisects the
+   * crossing; works on the heights alone, so any renderer (mesh, LOD,
+   * chunks) can use it.
+   * @param {{ x: number, y: number, z: number }} origin
+   * @param {{ x: number, y: number, z: number }} direction  Normalised
+   * @param {number} [maxDistance=1000]
+   * @returns {{ x: number, y: number, z: number, distance: number } | null}
+   */
+  raycast(origin, direction, maxDistance = 1000) {
+    const halfX = this.worldSizeX / 2, halfZ = this.worldSizeZ / 2
+    const step  = Math.min(this.cellSizeX, this.cellSizeZ) / 2
+    const above = t => origin.y + direction.y * t
+      - this.getHeightAtWorld(origin.x + direction.x * t, origin.z + direction.z * t)
+    const inside = t => Math.abs(origin.x + direction.x * t) <= halfX
+      && Math.abs(origin.z + direction.z * t) <= halfZ
+
+    let prev = 0
+    for (let t = Math.min(step, maxDistance); ; t = Math.min(t + step, maxDistance)) {
+      if (above(t) <= 0) {
+        // Crossed between prev and t: narrow it down
+        let lo = prev, hi = t
+        for (let i = 0; i < 16; i++) {
+          const mid = (lo + hi) / 2
+          if (above(mid) > 0) lo = mid
+          else hi = mid
+        }
+        if (!inside(hi)) return null
+        return {
+          x: origin.x + direction.x * hi,
+          y: origin.y + direction.y * hi,
+          z: origin.z + direction.z * hi,
+          distance: hi,
+        }
+      }
+      if (t >= maxDistance) return null
+      prev = t
+    }
+  }
+
+  /**
+   * Build Rapier heightfield collider descriptor
+   * Rapier HeightField: (nrows, ncols, heights, scale)
+   *   rows run along Z, columns along X
+   *   heights.length = (nrows+1)*(ncols+1), stored column-major
+   */
+  buildRapierHeightfield(RAPIER) {
+    const { width, depth, worldSizeX, worldSizeZ, heightScale } = this
+
+    // We have a width×depth vertex grid so rows = depth-1, cols = width-1
+    const nrows = depth - 1  // 100
+    const ncols = width - 1  // 100
+
+    // The scale vector: x=totalWidth, y=maxHeight, z=totalDepth
+    const scale = { x: worldSizeX, y: heightScale, z: worldSizeZ }
+
+    // Values are normalized 0..1 (Rapier scales by scale.y)
+    // Rapier HeightField layout: column-major!
+    // heights[row + col*(nrows+1)] = height at row, col
+    const rapierHeights = new Float32Array((nrows + 1) * (ncols + 1))
+
+    for (let row = 0; row < depth; row++) {
+      for (let col = 0; col < width; col++) {
+        rapierHeights[col * depth + row] = this.heights[row * width + col]
+      }
+    }
+
+    return { nrows, ncols, heights: rapierHeights, scale }
+  }
+
+  /**
+   * Create a fixed body at the terrain's origin (lifted by heightOffset)
+   * carrying the heightfield collider.
+   * @returns {RAPIER.Collider}
+   */
+  createCollider(world, RAPIER, { friction = 0.9 } = {}) {
+    const { nrows, ncols, heights, scale } = this.buildRapierHeightfield(RAPIER)
+    const body = world.createRigidBody(
+      RAPIER.RigidBodyDesc.fixed().setTranslation(0, this.heightOffset, 0)
+    )
+    return world.createCollider(
+      RAPIER.ColliderDesc
+        .heightfield(nrows, ncols, heights, new RAPIER.Vector3(scale.x, scale.y, scale.z))
+        .setFriction(friction),
+      body
+    )
+  }
+
+  /**
+   * Swap the shape of an existing heightfield collider for one built from
+   * the current heights. Rapier can't patch heightfields in place, so the
+   * whole shape is rebuilt: the cost grows with the grid, not the edit.
+   */
+  updateRapierCollider(collider, RAPIER) {
+    const { nrows, ncols, heights, scale } = this.buildRapierHeightfield(RAPIER)
+    collider.setShape(
+      new RAPIER.Heightfield(nrows, ncols, heights, new RAPIER.Vector3(scale.x, scale.y, scale.z))
+    )
+  }
+
+  // ── Export ─────────────────────────────────────────────────────
+  /**
+   * Grid size and world scale, as stored with exported heightmaps so
+   * loadHeightmap can rebuild the same terrain. Edits that pushed heights
+   * outside 0..1 widen heightScale / heightOffset to fit, leaving every
+   * height in metres unchanged.
+   * @returns {{ version: number, width: number, height: number, worldSizeX: number,
+   *   worldSizeZ: number, heightScale: number, heightOffset: number }}
+   */
+  exportMetadata() {
+    return this._exportSamples().metadata
+  }
+
+  /**
+   * Heights as a 16-bit grayscale PNG with the metadata in a tEXt chunk.
+   * @returns {Promise<Uint8Array>}
+   */
+  async toPNG() {
+    const { values, metadata } = this._exportSamples()
+    return encodePNG({
+      width: this.width, height: this.depth, values, bitDepth: 16,
+      text: { [METADATA_KEY]: JSON.stringify(metadata) },
+    })
+  }
+
+  /**
+   * Heights as headerless little-endian unsigned 16-bit samples (.r16 /
+   * .raw, as Unity, Unreal and World Machine read them). Save the metadata
+   * next to it as `<file>.json` for loadHeightmap to pick up.
+   * @returns {{ data: Uint8Array, metadata: object }}
+   */
+  toR16() {
+    const { values, metadata } = this._exportSamples()
+    const data = new Uint8Array(values.length * 2)
+    const view = new DataView(data.buffer)
+    for (let i = 0; i < values.length; i++) {
+      view.setUint16(i * 2, Math.round(Math.max(0, Math.min(1, values[i])) * 65535), true)
+    }
+    return { data, metadata }
+  }
+
+  /** 0..1 samples plus the scale that maps them back to metres */
+  _exportSamples() {
+    let lo = 0, hi = 1
+    for (let i = 0; i < this.heights.length; i++) {
+      if (this.heights[i] < lo) lo = this.heights[i]
+      if (this.heights[i] > hi) hi = this.heights[i]
+    }
+    // Float noise under half a 16-bit step just clamps; refit real overshoot only
+    if (lo > -0.5 / 65535) lo = 0
+    if (hi < 1 + 0.5 / 65535) hi = 1
+    const range = hi - lo
+    const values = lo === 0 && hi === 1
+      ? this.heights
+      : this.heights.map(h => (h - lo) / range)
+
+    return {
+      values,
+      metadata: {
+        version:      EXPORT_VERSION,
+        width:        this.width,
+        height:       this.depth,
+        worldSizeX:   this.worldSizeX,
+        worldSizeZ:   this.worldSizeZ,
+        heightScale:  this.heightScale * range,
+        heightOffset: this.heightOffset + lo * this.heightScale,
+      },
+    }
+  }
+}
+
+export const EXPORT_VERSION = 1
@@ -0,0 +1,172 @@
+import { decodePNG } from './png.js'
+import { generateTerrain } from './procedural.js'
+
+// tEXt keyword holding an exported heightmap's world scale (JSON)
+export const METADATA_KEY = 'heightfield'
+
+/**
+ * HeightmapLoader
+ * Loads a heightmap file and returns:
+ *   - Float32Array of heights (row-major, normalised 0..1)
+ *   - width/height of the grid (size too when it is square)
+ *   - min/max height values
+ *
+ * Pass targetSize = null to keep the file's native (possibly non-square)
+ * resolution; a number resamples to a targetSize × targetSize grid.
+ *
+ * Formats (from options.format, else the URL extension):
+ *   png        — 1–16-bit PNG, decoded directly so 16-bit keeps full precision
+ *   raw / r16  — headerless unsigned 16-bit samples (little or big endian)
+ *   r32 / f32  — headerless 32-bit float samples
+ *
+ * Files exported by Heightfield (toPNG / toR16) carry their world scale:
+ * in a `heightfield` tEXt chunk for PNG, in a `<file>.json` sidecar for
+ * RAW (fetched when width isn't given). It comes back as `metadata`
+ * ({ worldSizeX, worldSizeZ, heightScale, heightOffset }), or null.
+ */
+export async function loadHeightmap(url, targetSize = 101, options = {}) {
+  const res = await fetch(url)
+  if (!res.ok) throw new Error(`loadHeightmap: ${url} (HTTP ${res.status})`)
+  const buffer = await res.arrayBuffer()
+
+  const format = options.format ?? formatFromUrl(url)
+  if (format !== 'png' && options.width === undefined && options.metadata === undefined) {
+    const sidecar = await fetch(`${url.split(/[?#]/)[0]}.json`).catch(() => null)
+    if (sidecar?.ok) options = { ...options, metadata: await sidecar.json().catch(() => null) }
+  }
+  return decodeHeightmap(buffer, { ...options, format, targetSize })
+}
+
+/**
+ * Decode heightmap bytes already in memory (see loadHeightmap for formats).
+ * @param {ArrayBuffer} buffer
+ * @param {object}  [options]
+ * @param {'png'|'r16'|'f32'} [options.format='png']
+ * @param {number}  [options.targetSize]  Resample to this square size (null = native width × height)
+ * @param {number}  [options.width]       RAW only; defaults to a square guess
+ * @param {number}  [options.height]      RAW only; defaults to width
+ * @param {'little'|'big'} [options.endian='little']  RAW only
+ * @param {boolean} [options.normalize]   Stretch values to 0..1 (default: on for floats)
+ * @param {object}  [options.metadata]    RAW only: an exported sidecar (also supplies width / height)
+ */
+export async function decodeHeightmap(buffer, {
+  format = 'png',
+  targetSize = null,
+  width,
+  height,
+  endian = 'little',
+  normalize = format === 'f32',
+  metadata = null,
+} = {}) {
+  let values
+  if (format === 'png') {
+    let text
+    ({ width, height, values, text } = await decodePNG(buffer))
+    metadata = parseMetadata(text[METADATA_KEY])
+  } else if (format === 'r16' || format === 'f32') {
+    width  = width ?? metadata?.width
+    height = height ?? metadata?.height
+    const bytesPer = format === 'r16' ? 2 : 4
+    const count = buffer.byteLength / bytesPer
+    width  = width ?? Math.round(Math.sqrt(count))
+    height = height ?? width
+    if (width * height !== count) {
+      throw new Error(`decodeHeightmap: ${count} samples don't fit a ${width}×${height} grid`)
+    }
+
+    const view = new DataView(buffer)
+    const little = endian === 'little'
+    values = new Float32Array(count)
+    for (let i = 0; i < count; i++) {
+      values[i] = format === 'r16'
+        ? view.getUint16(i * 2, little) / 65535
+        : view.getFloat32(i * 4, little)
+    }
+  } else {
+    throw new Error(`decodeHeightmap: unknown format "${format}"`)
+  }
+
+  if (normalize) normalizeInPlace(values)
+
+  if (targetSize) {
+    values = resample(values, width, height, targetSize, targetSize)
+    width = height = targetSize
+  }
+
+  let minH = Infinity, maxH = -Infinity
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < minH) minH = values[i]
+    if (values[i] > maxH) maxH = values[i]
+  }
+
+  return { heights: values, width, height, size: width === height ? width : null, minH, maxH, metadata }
+}
+
+// ── Format helpers ───────────────────────────────────────────────────────────
+function formatFromUrl(url) {
+  const ext = url.split(/[?#]/)[0].split('.').pop().toLowerCase()
+  if (ext === 'raw' || ext === 'r16') return 'r16'
+  if (ext === 'r32' || ext === 'f32') return 'f32'
+  return 'png'
+}
+
+/** World scale from an exported file; null if missing or malformed */
+function parseMetadata(json) {
+  if (!json) return null
+  try {
+    const meta = JSON.parse(json)
+    return typeof meta?.heightScale === 'number' ? meta : null
+  } catch {
+    return null
+  }
+}
+
+function normalizeInPlace(values) {
+  let min = Infinity, max = -Infinity
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] < min) min = values[i]
+    if (values[i] > max) max = values[i]
+  }
+  const range = max - min || 1
+  for (let i = 0; i < values.length; i++) values[i] = (values[i] - min) / range
+}
+
+/**
+ * Bilinear resample with corners pinned, so the map edges stay the map edges
+ */
+function resample(src, srcW, srcH, dstW, dstH) {
+  if (srcW === dstW && srcH === dstH) return src
+
+  const out = new Float32Array(dstW * dstH)
+  const sx = dstW > 1 ? (srcW - 1) / (dstW - 1) : 0
+  const sy = dstH > 1 ? (srcH - 1) / (dstH - 1) : 0
+
+  for (let row = 0; row < dstH; row++) {
+    const gy = row * sy
+    const y0 = Math.floor(gy), y1 = Math.min(srcH - 1, y0 + 1)
+    const fy = gy - y0
+    for (let col = 0; col < dstW; col++) {
+      const gx = col * sx
+      const x0 = Math.floor(gx), x1 = Math.min(srcW - 1, x0 + 1)
+      const fx = gx - x0
+
+      out[row * dstW + col] =
+          src[y0 * srcW + x0] * (1 - fx) * (1 - fy)
+        + src[y0 * srcW + x1] * fx * (1 - fy)
+        + src[y1 * srcW + x0] * (1 - fx) * fy
+        + src[y1 * srcW + x1] * fx * fy
+    }
+  }
+  return out
+}
+
+/**
+ * Generates a procedural heightmap using cloud-like noise
+ * This simulates what you'd get from Blender's Cloud displacement
+ * Use this if you don't have a PNG yet!
+ *
+ * Options are passed through to generateTerrain (seed, mode, octaves…).
+ */
+export function generateProceduralHeightmap(size = 101, options = {}) {
+  return generateTerrain({ width: size, height: size, ...options })
+}
@@ -0,0 +1,123 @@
+/**
+ * EditHistory
+ * Undo / redo stack. An entry is anything with undo() and redo(); pushing
+ * a new one drops whatever could have been redone, and the oldest entries
+ * fall off past `limit`.
+ *
+ * copyRegion / pasteRegion cut a rectangle out of a row-major grid (with
+ * `channels` values per sample) so an entry only stores what an edit
+ * touched rather than the whole map.
+ *
+ * Usage:
+ *   const history = new EditHistory()
+ *   const before = copyRegion(heights, width, region)
+ *   // ...edit heights inside region...
+ *   const after = copyRegion(heights, width, region)
+ *   history.push({
+ *     undo: () => { pasteRegion(heights, width, region, before); deformer.sync(region) },
+ *     redo: () => { pasteRegion(heights, width, region, after);  deformer.sync(region) },
+ *   })
+ *   history.undo()
+ */
+export class EditHistory {
+  constructor({
+    limit = 100,   // entries kept for undo
+  } = {}) {
+    this.limit = limit
+    this._done   = []
+    this._undone = []
+    this._listeners = []
+  }
+
+  get canUndo() { return this._done.length > 0 }
+  get canRedo() { return this._undone.length > 0 }
+
+  /** Record an edit that has already been applied */
+  push(entry) {
+    this._done.push(entry)
+    if (this._done.length > this.limit) this._done.shift()
+    this._undone = []
+    this._emit()
+  }
+
+  /** @returns {object|null} the entry undone, or null if there was none */
+  undo() {
+    const entry = this._done.pop()
+    if (!entry) return null
+    entry.undo()
+    this._undone.push(entry)
+    this._emit()
+    return entry
+  }
+
+  /** @returns {object|null} the entry redone, or null if there was none */
+  redo() {
+    const entry = this._undone.pop()
+    if (!entry) return null
+    entry.redo()
+    this._done.push(entry)
+    this._emit()
+    return entry
+  }
+
+  /** Forget everything, e.g. after loading a save replaced the terrain */
+  clear() {
+    this._done   = []
+    this._undone = []
+    this._emit()
+  }
+
+  /**
+   * Subscribe to stack changes (e.g. to enable undo / redo buttons).
+   * @param {() => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  onChange(fn) {
+    this._listeners.push(fn)
+    return () => {
+      this._listeners = this._listeners.filter(l => l !== fn)
+    }
+  }
+
+  _emit() {
+    for (const fn of this._listeners) fn()
+  }
+}
+
+/**
+ * Copy the samples of `region` (inclusive rows / cols) out of a row-major grid.
+ * @param {Float32Array|Uint8Array} array
+ * @param {number} width     Samples per row
+ * @param {{ minRow: number, maxRow: number, minCol: number, maxCol: number }} region
+ * @param {number} [channels=1]  Values per sample
+ */
+export function copyRegion(array, width, { minRow, maxRow, minCol, maxCol }, channels = 1) {
+  const rowLength = (maxCol - minCol + 1) * channels
+  const out = new array.constructor(rowLength * (maxRow - minRow + 1))
+  for (let row = minRow; row <= maxRow; row++) {
+    const start = (row * width + minCol) * channels
+    out.set(array.subarray(start, start + rowLength), (row - minRow) * rowLength)
+  }
+  return out
+}
+
+/** Write back what copyRegion returned for the same region */
+export function pasteRegion(array, width, { minRow, maxRow, minCol, maxCol }, data, channels = 1) {
+  const rowLength = (maxCol - minCol + 1) * channels
+  for (let row = minRow; row <= maxRow; row++) {
+    const offset = (row - minRow) * rowLength
+    array.set(data.subarray(offset, offset + rowLength), (row * width + minCol) * channels)
+  }
+}
+
+/** Smallest region covering both (either may be null) */
+export function mergeRegions(a, b) {
+  if (!a) return b
+  if (!b) return a
+  return {
+    minRow: Math.min(a.minRow, b.minRow),
+    maxRow: Math.max(a.maxRow, b.maxRow),
+    minCol: Math.min(a.minCol, b.minCol),
+    maxCol: Math.max(a.maxCol, b.maxCol),
+  }
+}
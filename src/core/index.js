@@ -0,0 +1,29 @@
+/**
+ * Simulation core
+ * Everything here needs only @dimforge/rapier3d-compat and typed arrays —
+ * no DOM, no Three.js — so the same terrain and movement run in the
+ * browser, in Node tests, in bots and on a server.
+ *
+ * Usage (Node):
+ *   import RAPIER from '@dimforge/rapier3d-compat'
+ *   import { decodeHeightmap, Heightfield, PlayerController } from './src/core/index.js'
+ *
+ *   await RAPIER.init()
+ *   const data    = await decodeHeightmap(await readFile('heightmap.png'), { targetSize: 101 })
+ *   const terrain = new Heightfield({ ...data, worldSizeX: 200, heightScale: 14 })
+ *   const world   = new RAPIER.World({ x: 0, y: -20, z: 0 })
+ *   terrain.createCollider(world, RAPIER)
+ *   const player  = new PlayerController({ world, RAPIER, terrain, input })
+ */
+export { loadHeightmap, decodeHeightmap, generateProceduralHeightmap } from './heightmap.js'
+export { decodePNG, encodePNG } from './png.js'
+export { generateTerrain, createNoiseField } from './procedural.js'
+export { erodeHeightmap } from './erosion.js'
+export { mulberry32, hashSeed, createSimplex2D, poissonDisk } from './noise.js'
+export { Heightfield } from './heightfield.js'
+export { PlayerController } from './player.js'
+export { NavGrid } from './navigation.js'
+export { NpcAgent } from './agent.js'
+export { EditHistory, copyRegion, pasteRegion, mergeRegions } from './history.js'
+export { TICK_ACTIONS, packActions, actionBit, FrameInput } from './actions.js'
+export { FixedTimestep } from './timestep.js'
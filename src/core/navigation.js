@@ -0,0 +1,371 @@
+/**
+ * Navigation Grid
+ * ───────────────
+ * Walkability over a Heightfield, A* queries and path smoothing for NPCs.
+ *
+ * Nodes sit on terrain vertices (every `stride`-th one for big maps).
+ * A node is walkable when the ground there is no steeper than `maxSlope`,
+ * isn't deeper under water than `maxWaterDepth`, and isn't covered by an
+ * obstacle (see block()). Moving between neighbours (8-way, no corner
+ * cutting) is allowed when the rise is climbable: no steeper than
+ * `maxSlope`, or no higher than `stepHeight`. Pass a PlayerController's
+ * MAX_SLOPE / STEP_HEIGHT so paths only go where its character controller
+ * can actually walk.
+ *
+ * Paths come back as world points on the ground, string-pulled so agents
+ * walk straight lines across open ground instead of grid zig-zags.
+ *
+ * Usage:
+ *   const nav  = new NavGrid({ terrain, maxSlope: player.MAX_SLOPE, stepHeight: player.STEP_HEIGHT })
+ *   nav.block(x, z, 0.5)            // a tree trunk
+ *   const path = nav.findPath(from, to)   // [{x, y, z}, ...] or null
+ *   deformer.onChange(region => nav.rebuild(region))
+ */
+export class NavGrid {
+  constructor({
+    terrain,               // Heightfield / TerrainBuilder
+    maxSlope = 50,         // degrees
+    stepHeight = 0.5,      // metres
+    agentRadius = 0.4,     // obstacles are inflated by this
+    water = null,          // { getWaterLevelAt(x, z) }, e.g. WaterSystem
+    maxWaterDepth = 0.5,   // metres of water an agent will wade through
+    stride = null,         // terrain vertices per node; default keeps ≤ 512 nodes a side
+  }) {
+    this.terrain       = terrain
+    this.maxSlope      = maxSlope
+    this.stepHeight    = stepHeight
+    this.agentRadius   = agentRadius
+    this.water         = water
+    this.maxWaterDepth = maxWaterDepth
+    this.stride        = stride ?? Math.max(1, Math.ceil(Math.max(terrain.cols, terrain.rows) / 512))
+
+    this.cols      = Math.floor(terrain.cols / this.stride) + 1   // nodes along X
+    this.rows      = Math.floor(terrain.rows / this.stride) + 1   // nodes along Z
+    this.spacingX  = terrain.cellSizeX * this.stride
+    this.spacingZ  = terrain.cellSizeZ * this.stride
+    this._maxRise  = Math.tan(maxSlope * Math.PI / 180)   // rise per metre
+
+    const count = this.cols * this.rows
+    this.walkable  = new Uint8Array(count)   // 1 = an agent may stand here
+    this.heights   = new Float32Array(count) // ground height per node
+    this._blocked  = new Uint8Array(count)   // obstacle cover count
+
+    // A* scratch, reused between queries; `_stamp` avoids clearing it
+    this._g      = new Float32Array(count)
+    this._parent = new Int32Array(count)
+    this._seen   = new Uint32Array(count)
+    this._closed = new Uint32Array(count)
+    this._stamp  = 0
+    this._heap   = new MinHeap()
+
+    this.rebuild()
+  }
+
+  /**
+   * Recompute heights and walkability, for the whole grid or just where
+   * the terrain changed (TerrainDeformer.onChange regions are in terrain
+   * cells: { minRow, maxRow, minCol, maxCol }).
+   */
+  rebuild(region = null) {
+    const { stride, cols, rows, terrain } = this
+    const c0 = region ? Math.max(0, Math.floor(region.minCol / stride) - 1) : 0
+    const c1 = region ? Math.min(cols - 1, Math.ceil(region.maxCol / stride) + 1) : cols - 1
+    const r0 = region ? Math.max(0, Math.floor(region.minRow / stride) - 1) : 0
+    const r1 = region ? Math.min(rows - 1, Math.ceil(region.maxRow / stride) + 1) : rows - 1
+
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) {
+        const x = c * this.spacingX - terrain.worldSizeX / 2
+        const z = r * this.spacingZ - terrain.worldSizeZ / 2
+        this.heights[r * cols + c] = terrain.getHeightAtWorld(x, z)
+      }
+    }
+    for (let r = r0; r <= r1; r++) {
+      for (let c = c0; c <= c1; c++) this._classify(r, c)
+    }
+  }
+
+  /**
+   * Mark a disc as blocked (unblock with `blocked = false`). Blocks stack,
+   * so overlapping obstacles can be removed one at a time.
+   */
+  block(x, z, radius, blocked = true) {
+    const r = radius + this.agentRadius
+    const c0 = Math.max(0, Math.ceil((x - r + this.terrain.worldSizeX / 2) / this.spacingX))
+    const c1 = Math.min(this.cols - 1, Math.floor((x + r + this.terrain.worldSizeX / 2) / this.spacingX))
+    const r0 = Math.max(0, Math.ceil((z - r + this.terrain.worldSizeZ / 2) / this.spacingZ))
+    const r1 = Math.min(this.rows - 1, Math.floor((z + r + this.terrain.worldSizeZ / 2) / this.spacingZ))
+    for (let row = r0; row <= r1; row++) {
+      for (let col = c0; col <= c1; col++) {
+        const nx = col * this.spacingX - this.terrain.worldSizeX / 2
+        const nz = row * this.spacingZ - this.terrain.worldSizeZ / 2
+        if ((nx - x) ** 2 + (nz - z) ** 2 > r * r) continue
+        const i = row * this.cols + col
+        this._blocked[i] = Math.max(0, this._blocked[i] + (blocked ? 1 : -1))
+        this._classify(row, col)
+      }
+    }
+  }
+
+  /** Is the node nearest (x, z) walkable? */
+  isWalkable(x, z) {
+    const i = this._nodeAt(x, z)
+    return i !== -1 && this.walkable[i] === 1
+  }
+
+  /**
+   * Closest walkable spot to (x, z), searching outward up to `maxDistance`
+   * metres; null if there is none.
+   * @returns {{ x: number, y: number, z: number } | null}
+   */
+  nearestWalkable(x, z, maxDistance = 10) {
+    const i = this._nearestNode(x, z, maxDistance)
+    return i === -1 ? null : this._point(i)
+  }
+
+  /**
+   * A* between two world positions.
+   * @param {{ x: number, z: number }} from
+   * @param {{ x: number, z: number }} to
+   * @param {object}  [options]
+   * @param {boolean} [options.smooth=true]   String-pull the grid path
+   * @param {number}  [options.maxNodes=50000] Give up after expanding this many nodes
+   * @returns {Array<{ x: number, y: number, z: number }> | null}
+   *   Ground points from start to goal (the goal snapped to walkable
+   *   ground), or null when there is no way there
+   */
+  findPath(from, to, { smooth = true, maxNodes = 50000 } = {}) {
+    const start = this._nearestNode(from.x, from.z, 3)
+    const goal  = this._nearestNode(to.x, to.z, 10)
+    if (start === -1 || goal === -1) return null
+
+    const { cols, _g: g, _parent: parent, _seen: seen, _closed: closed, _heap: heap } = this
+    const stamp = ++this._stamp
+    const gc = goal % cols, gr = (goal - gc) / cols
+
+    // Octile distance: never more than the real (3D) cost
+    const heuristic = i => {
+      const c = i % cols, r = (i - c) / cols
+      const dx = Math.abs(c - gc) * this.spacingX, dz = Math.abs(r - gr) * this.spacingZ
+      return Math.max(dx, dz) + (Math.SQRT2 - 1) * Math.min(dx, dz)
+    }
+
+    heap.clear()
+    g[start] = 0
+    parent[start] = -1
+    seen[start] = stamp
+    heap.push(start, heuristic(start))
+
+    let expanded = 0, found = false
+    while (heap.size) {
+      const i = heap.pop()
+      if (closed[i] === stamp) continue
+      if (i === goal) { found = true; break }
+      closed[i] = stamp
+      if (++expanded > maxNodes) break
+
+      const c = i % cols, r = (i - c) / cols
+      for (const [dc, dr] of NEIGHBOURS) {
+        const nc = c + dc, nr = r + dr
+        if (nc < 0 || nr < 0 || nc >= cols || nr >= this.rows) continue
+        const n = nr * cols + nc
+        if (closed[n] === stamp || !this._passable(i, n)) continue
+        // Diagonals only when both sides are open, so paths don't clip corners
+        if (dc && dr && !(this._passable(i, r * cols + nc) && this._passable(i, nr * cols + c))) continue
+
+        const dx = dc * this.spacingX, dz = dr * this.spacingZ
+        const cost = g[i] + Math.hypot(dx, this.heights[n] - this.heights[i], dz)
+        if (seen[n] === stamp && cost >= g[n]) continue
+        seen[n]   = stamp
+        g[n]      = cost
+        parent[n] = i
+        heap.push(n, cost + heuristic(n))
+      }
+    }
+    if (!found) return null
+
+    const path = []
+    for (let i = goal; i !== -1; i = parent[i]) path.push(this._point(i))
+    path.reverse()
+    // Begin where the agent actually is, not on the nearest node
+    path[0] = { x: from.x, y: this.terrain.getHeightAtWorld(from.x, from.z), z: from.z }
+    return smooth ? this.smoothPath(path) : path
+  }
+
+  /**
+   * Drop every waypoint that can be skipped by walking straight to a later
+   * one (string pulling against walkability and climbable rises).
+   */
+  smoothPath(path) {
+    if (path.length <= 2) return path.slice()
+    const out = [path[0]]
+    let anchor = 0
+    while (anchor < path.length - 1) {
+      let next = anchor + 1
+      for (let j = path.length - 1; j > next; j--) {
+        if (this.clearLine(path[anchor], path[j])) { next = j; break }
+      }
+      out.push(path[next])
+      anchor = next
+    }
+    return out
+  }
+
+  /** Can an agent walk straight from a to b? */
+  clearLine(a, b) {
+    const { terrain } = this
+    const length = Math.hypot(b.x - a.x, b.z - a.z)
+    const step   = Math.min(this.spacingX, this.spacingZ) / 2
+    const count  = Math.max(1, Math.ceil(length / step))
+    let prevY = terrain.getHeightAtWorld(a.x, a.z)
+    for (let s = 1; s <= count; s++) {
+      const t = s / count
+      const x = a.x + (b.x - a.x) * t, z = a.z + (b.z - a.z) * t
+      if (!this._cellWalkable(x, z)) return false
+      const y = terrain.getHeightAtWorld(x, z)
+      if (!this._climbable(Math.abs(y - prevY), length / count)) return false
+      prevY = y
+    }
+    return true
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _classify(r, c) {
+    const { cols, rows, heights } = this
+    const i = r * cols + c
+    // Steepest one-sided difference per axis, so ridges and spikes (flat
+    // to central differences) count as steep
+    const h  = heights[i]
+    const hl = heights[r * cols + Math.max(0, c - 1)], hr = heights[r * cols + Math.min(cols - 1, c + 1)]
+    const hd = heights[Math.max(0, r - 1) * cols + c], hu = heights[Math.min(rows - 1, r + 1) * cols + c]
+    const dhdx = Math.max(Math.abs(hr - h), Math.abs(h - hl)) / this.spacingX
+    const dhdz = Math.max(Math.abs(hu - h), Math.abs(h - hd)) / this.spacingZ
+    const steep = Math.hypot(dhdx, dhdz) > this._maxRise
+
+    let flooded = false
+    if (this.water) {
+      const x = c * this.spacingX - this.terrain.worldSizeX / 2
+      const z = r * this.spacingZ - this.terrain.worldSizeZ / 2
+      flooded = this.water.getWaterLevelAt(x, z) - heights[i] > this.maxWaterDepth
+    }
+    this.walkable[i] = steep || flooded || this._blocked[i] ? 0 : 1
+  }
+
+  _climbable(rise, run) {
+    return rise <= this.stepHeight || rise <= run * this._maxRise
+  }
+
+  _passable(a, b) {
+    if (!this.walkable[b]) return false
+    const ac = a % this.cols, bc = b % this.cols
+    const run = Math.hypot((bc - ac) * this.spacingX, ((b - bc) - (a - ac)) / this.cols * this.spacingZ)
+    return this._climbable(Math.abs(this.heights[b] - this.heights[a]), run)
+  }
+
+  /** All four nodes around (x, z) walkable */
+  _cellWalkable(x, z) {
+    const gx = (x + this.terrain.worldSizeX / 2) / this.spacingX
+    const gz = (z + this.terrain.worldSizeZ / 2) / this.spacingZ
+    const c = Math.floor(gx), r = Math.floor(gz)
+    if (c < 0 || r < 0 || c >= this.cols - 1 || r >= this.rows - 1) return false
+    const i = r * this.cols + c
+    return this.walkable[i] && this.walkable[i + 1] && this.walkable[i + this.cols] && this.walkable[i + this.cols + 1]
+  }
+
+  _nodeAt(x, z) {
+    const c = Math.round((x + this.terrain.worldSizeX / 2) / this.spacingX)
+    const r = Math.round((z + this.terrain.worldSizeZ / 2) / this.spacingZ)
+    if (c < 0 || r < 0 || c >= this.cols || r >= this.rows) return -1
+    return r * this.cols + c
+  }
+
+  /** Nearest walkable node, searching square rings outward */
+  _nearestNode(x, z, maxDistance) {
+    const c = Math.round((x + this.terrain.worldSizeX / 2) / this.spacingX)
+    const r = Math.round((z + this.terrain.worldSizeZ / 2) / this.spacingZ)
+    const maxRing = Math.ceil(maxDistance / Math.min(this.spacingX, this.spacingZ))
+    for (let ring = 0; ring <= maxRing; ring++) {
+      let best = -1, bestD = Infinity
+      for (let dr = -ring; dr <= ring; dr++) {
+        for (let dc = -ring; dc <= ring; dc++) {
+          if (Math.max(Math.abs(dr), Math.abs(dc)) !== ring) continue
+          const nc = c + dc, nr = r + dr
+          if (nc < 0 || nr < 0 || nc >= this.cols || nr >= this.rows) continue
+          const i = nr * this.cols + nc
+          if (!this.walkable[i]) continue
+          const p = this._point(i)
+          const d = (p.x - x) ** 2 + (p.z - z) ** 2
+          if (d < bestD) { best = i; bestD = d }
+        }
+      }
+      if (best !== -1) return best
+    }
+    return -1
+  }
+
+  _point(i) {
+    const c = i % this.cols, r = (i - c) / this.cols
+    return {
+      x: c * this.spacingX - this.terrain.worldSizeX / 2,
+      y: this.heights[i],
+      z: r * this.spacingZ - this.terrain.worldSizeZ / 2,
+    }
+  }
+}
+
+const NEIGHBOURS = [[1, 0], [-1, 0], [0, 1], [0, -1], [1, 1], [1, -1], [-1, 1], [-1, -1]]
+
+/** Binary min-heap of node indices keyed by f-score (duplicates allowed) */
+class MinHeap {
+  constructor() {
+    this.items = []
+    this.keys  = []
+  }
+
+  get size() {
+    return this.items.length
+  }
+
+  clear() {
+    this.items.length = 0
+    this.keys.length  = 0
+  }
+
+  push(item, key) {
+    const { items, keys } = this
+    let i = items.length
+    items.push(item)
+    keys.push(key)
+    while (i > 0) {
+      const parent = (i - 1) >> 1
+      if (keys[parent] <= key) break
+      items[i] = items[parent]
+      keys[i]  = keys[parent]
+      i = parent
+    }
+    items[i] = item
+    keys[i]  = key
+  }
+
+  pop() {
+    const { items, keys } = this
+    const top = items[0]
+    const item = items.pop(), key = keys.pop()
+    if (items.length === 0) return top
+
+    let i = 0
+    const n = items.length
+    while (true) {
+      let child = 2 * i + 1
+      if (child >= n) break
+      if (child + 1 < n && keys[child + 1] < keys[child]) child++
+      if (keys[child] >= key) break
+      items[i] = items[child]
+      keys[i]  = keys[child]
+      i = child
+    }
+    items[i] = item
+    keys[i]  = key
+    return top
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Seeded noise primitives
+ *   - mulberry32: small deterministic PRNG (same seed → same sequence everywhere)
+ *   - createSimplex2D: 2D simplex noise with a seeded permutation, range ≈ -1..1
+ *   - poissonDisk: evenly spread random points, none closer than a radius
+ */
+
+/**
+ * @param {number} seed  Any 32-bit integer
+ * @returns {() => number}  Uniform random in [0, 1)
+ */
+export function mulberry32(seed) {
+  let a = seed >>> 0
+  return function () {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+/**
+ * Hash a string seed (e.g. a level name) to a 32-bit integer.
+ */
+export function hashSeed(seed) {
+  if (typeof seed === 'number') return seed >>> 0
+  let h = 2166136261
+  for (let i = 0; i < seed.length; i++) {
+    h = Math.imul(h ^ seed.charCodeAt(i), 16777619)
+  }
+  return h >>> 0
+}
+
+// 12 gradient directions, evenly spread around the circle
+const GRADIENTS = new Float32Array(24)
+for (let i = 0; i < 12; i++) {
+  GRADIENTS[i * 2]     = Math.cos(i * Math.PI / 6)
+  GRADIENTS[i * 2 + 1] = Math.sin(i * Math.PI / 6)
+}
+
+const F2 = 0.5 * (Math.sqrt(3) - 1)
+const G2 = (3 - Math.sqrt(3)) / 6
+
+/**
+ * @param {number|string} seed
+ * @returns {(x: number, y: number) => number}
+ */
+export function createSimplex2D(seed = 0) {
+  const random = mulberry32(hashSeed(seed))
+
+  // Seeded permutation, doubled to skip the wrap-around
+  const p = new Uint8Array(256)
+  for (let i = 0; i < 256; i++) p[i] = i
+  for (let i = 255; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1))
+    const tmp = p[i]; p[i] = p[j]; p[j] = tmp
+  }
+  const perm = new Uint8Array(512)
+  const gradIndex = new Uint8Array(512)
+  for (let i = 0; i < 512; i++) {
+    perm[i] = p[i & 255]
+    gradIndex[i] = (perm[i] % 12) * 2
+  }
+
+  function corner(gi, x, y) {
+    let t = 0.5 - x * x - y * y
+    if (t < 0) return 0
+    t *= t
+    return t * t * (GRADIENTS[gi] * x + GRADIENTS[gi + 1] * y)
+  }
+
+  return function simplex(x, y) {
+    // Skew into the simplex grid to find the containing triangle
+    const s  = (x + y) * F2
+    const i  = Math.floor(x + s)
+    const j  = Math.floor(y + s)
+    const t  = (i + j) * G2
+    const x0 = x - (i - t)
+    const y0 = y - (j - t)
+
+    const i1 = x0 > y0 ? 1 : 0
+    const j1 = x0 > y0 ? 0 : 1
+
+    const x1 = x0 - i1 + G2
+    const y1 = y0 - j1 + G2
+    const x2 = x0 - 1 + 2 * G2
+    const y2 = y0 - 1 + 2 * G2
+
+    const ii = i & 255
+    const jj = j & 255
+
+    const n = corner(gradIndex[ii + perm[jj]], x0, y0)
+            + corner(gradIndex[ii + i1 + perm[jj + j1]], x1, y1)
+            + corner(gradIndex[ii + 1 + perm[jj + 1]], x2, y2)
+
+    // Scale the sum of the three corner kernels to roughly -1..1
+    // (unit-length gradients peak at ≈0.01)
+    return 100 * n
+  }
+}
+
+/**
+ * Poisson-disk sampling (Bridson): random points filling a width × depth
+ * rectangle from (0, 0), no two closer than `radius` — natural-looking
+ * spacing without clumps or a visible grid.
+ * @param {number} width
+ * @param {number} depth
+ * @param {number} radius  Minimum distance between points
+ * @param {() => number} random  e.g. mulberry32(seed)
+ * @param {number} [tries=20]  Candidates per point before it stops spawning more
+ * @returns {Float32Array} x, z pairs
+ */
+export function poissonDisk(width, depth, radius, random, tries = 20) {
+  const cell = radius / Math.SQRT2   // at most one point per grid cell
+  const cols = Math.ceil(width / cell)
+  const rows = Math.ceil(depth / cell)
+  const grid = new Int32Array(cols * rows).fill(-1)
+  const points = []
+  const active = []
+  const r2 = radius * radius
+
+  const add = (x, z) => {
+    const i = points.length / 2
+    points.push(x, z)
+    active.push(i)
+    grid[Math.floor(z / cell) * cols + Math.floor(x / cell)] = i
+  }
+
+  const fits = (x, z) => {
+    const col = Math.floor(x / cell), row = Math.floor(z / cell)
+    for (let r = Math.max(0, row - 2); r <= Math.min(rows - 1, row + 2); r++) {
+      for (let c = Math.max(0, col - 2); c <= Math.min(cols - 1, col + 2); c++) {
+        const j = grid[r * cols + c]
+        if (j === -1) continue
+        const dx = points[j * 2] - x, dz = points[j * 2 + 1] - z
+        if (dx * dx + dz * dz < r2) return false
+      }
+    }
+    return true
+  }
+
+  add(random() * width, random() * depth)
+  while (active.length) {
+    const a = Math.floor(random() * active.length)
+    const i = active[a]
+    let spawned = false
+    for (let t = 0; t < tries; t++) {
+      // Candidate in the annulus radius..2·radius around the point
+      const angle = random() * Math.PI * 2
+      const d = radius * (1 + random())
+      const x = points[i * 2] + Math.cos(angle) * d
+      const z = points[i * 2 + 1] + Math.sin(angle) * d
+      if (x < 0 || z < 0 || x >= width || z >= depth || !fits(x, z)) continue
+      add(x, z)
+      spawned = true
+      break
+    }
+    if (!spawned) {
+      active[a] = active[active.length - 1]
+      active.pop()
+    }
+  }
+  return new Float32Array(points)
+}
@@ -0,0 +1,610 @@
+/**
+ * Player Controller
+ * ─────────────────
+ * Walking, jumping, swimming, crouching and flying for a Rapier kinematic
+ * capsule + character controller. Pure simulation: reads actions from any
+ * input source with `isDown(action)` and `getMove()`, and needs nothing
+ * but Rapier, so bots, tests and servers run it in Node.
+ * (FPSController adds the camera and browser input on top.)
+ *
+ * Walking into dynamic bodies pushes them.
+ * With a `terrain`, the surface underfoot scales speed/grip and
+ * footstep events fire at a stride-based cadence.
+ * With `water`, the player swims once the capsule is submerged:
+ * jump swims up, crouch dives, and gravity is mostly cancelled.
+ *
+ * Movement modes:
+ *   crouch  — shrinks the capsule, stands back up only with headroom
+ *             (hold, or press to toggle with `crouchToggle`)
+ *   noclip  — free flight along the view direction, collider off
+ *   stamina — sprinting and jumping drain a pool that refills at rest
+ *             (`staminaEnabled = false` for unlimited sprint)
+ *
+ * Look direction is `yaw` / `pitch` (radians); whoever owns the input
+ * sets them. update() is meant to run once per fixed physics step, right
+ * after world.step().
+ *
+ * Usage:
+ *   const player = new PlayerController({ world, RAPIER, terrain, input })
+ *   player.setPosition(0, terrain.getHeightAtWorld(0, 0) + 2, 0)
+ *   // per physics step:
+ *   world.step()
+ *   const { position, grounded } = player.update(dt)
+ */
+
+// Input used when none is given: nothing pressed
+const IDLE_INPUT = {
+  isDown: () => false,
+  getMove: () => ({ x: 0, y: 0 }),
+}
+
+export class PlayerController {
+  constructor({ world, RAPIER, terrain = null, water = null, input = null }) {
+    this.world   = world
+    this.RAPIER  = RAPIER
+    this.terrain = terrain   // Heightfield / TerrainBuilder, for surface queries
+    this.water   = water     // WaterSystem, for swimming
+    this.input   = input ?? IDLE_INPUT
+
+    // ── Input state ──────────────────────────────────────────────
+    this.yaw     = 0      // horizontal look (radians)
+    this.pitch   = 0      // vertical look (radians)
+
+    // ── Physics state ────────────────────────────────────────────
+    this.velY         = 0
+    this.isGrounded   = false
+    this.jumpCooldown = 0
+    this.strideDist   = 0      // metres walked since the last footstep
+    this.isSwimming   = false
+    this.isCrouching  = false
+    this.noclip       = false
+    this.enabled      = true
+    this.crouchToggle = false  // press to toggle crouch instead of holding
+    this.staminaEnabled = true
+    this.exhausted    = false  // ran dry; no sprint until partly recovered
+    this._staminaIdle = 0      // seconds since stamina was last spent
+    this._crouchWasDown = false
+    this._noclipWasDown = false
+
+    // ── Tuning ───────────────────────────────────────────────────
+    this.MOVE_SPEED   = 8      // m/s walk
+    this.SPRINT_MULT  = 1.8    // sprint multiplier
+    this.JUMP_FORCE   = 9      // m/s upward on jump
+    this.GRAVITY      = -25    // m/s² downward
+    this.EYE_HEIGHT   = 1.2    // camera offset above body centre
+    this.CAPSULE_HALF_HEIGHT = 0.5
+    this.CAPSULE_RADIUS      = 0.4
+    this.CROUCH_HALF_HEIGHT  = 0.1   // → crouched height ~1.0m
+    this.CROUCH_EYE_HEIGHT   = 0.6   // camera above the crouched body centre
+    this.CROUCH_SPEED_MULT   = 0.5
+    this.EYE_SPEED    = 12     // 1/s, how quickly the camera settles after crouching
+    this.NOCLIP_SPEED = 20     // m/s flying (sprint triples it)
+    this.STAMINA_MAX     = 100
+    this.SPRINT_DRAIN    = 20  // per second of sprinting
+    this.JUMP_COST       = 15
+    this.STAMINA_REGEN   = 15  // per second, once rested
+    this.REGEN_DELAY     = 1   // seconds after the last drain before refilling
+    this.EXHAUST_RECOVER = 30  // stamina needed to sprint again after running dry
+    this.ACCELERATION = 14     // 1/s, how fast we reach target speed
+    this.DECELERATION = 16     // 1/s, how fast we stop with no input
+    this.AIR_CONTROL  = 2      // 1/s, steering while airborne
+    this.MAX_SLOPE    = 50     // degrees climbable (NavGrid uses the same limits)
+    this.STEP_HEIGHT  = 0.5    // metres auto-stepped
+    this.STRIDE       = 1.5    // metres per footstep at walking pace
+    this.MASS         = 80     // kg, how hard we shove dynamic props
+    this.SWIM_DEPTH   = 0.9    // water this far above the body centre → swimming
+    this.FLOAT_DEPTH  = 0.6    // idle swimmers drift up until the water is this high
+    this.SWIM_SPEED_MULT = 0.45
+    this.SWIM_VERTICAL   = 3   // m/s swimming up / down
+    this.SWIM_GRAVITY    = -2  // m/s² net sink while in water
+    this.WATER_DRAG      = 3   // 1/s, damps vertical speed in water
+
+    // Per-surface multipliers (unknown surfaces count as 1)
+    //   speed    — top speed
+    //   accel    — how quickly input takes effect
+    //   friction — how quickly we stop; low values slide
+    this.SURFACES = {
+      dirt:  { speed: 1.0,  accel: 1.0, friction: 1.0 },
+      grass: { speed: 1.0,  accel: 1.0, friction: 0.9 },
+      rock:  { speed: 0.95, accel: 1.0, friction: 1.0 },
+      snow:  { speed: 0.8,  accel: 0.3, friction: 0.12 },
+      mud:   { speed: 0.5,  accel: 0.6, friction: 1.5 },
+    }
+
+    this._vel  = { x: 0, y: 0, z: 0 }   // current horizontal velocity
+    this._snap = true                   // body jumped (teleport, crouch): don't interpolate across it
+
+    this.stamina   = this.STAMINA_MAX
+    this.eyeHeight = this.EYE_HEIGHT   // smoothed camera offset above body centre
+    this._pendingShift = 0             // body shift from a crouch, applied next step
+
+    this._listeners = {}
+
+    this._initPhysics()
+  }
+
+  // ── Physics setup ──────────────────────────────────────────────
+  _initPhysics() {
+    const { RAPIER, world } = this
+
+    // Kinematic position-based body (we drive it manually)
+    const rbDesc = RAPIER.RigidBodyDesc
+      .kinematicPositionBased()
+      .setTranslation(0, 30, 0)   // spawn high so it falls onto terrain
+
+    this.body = world.createRigidBody(rbDesc)
+
+    // Capsule: half-height 0.5m, radius 0.4m → standing height ~1.8m
+    const colDesc = RAPIER.ColliderDesc
+      .capsule(this.CAPSULE_HALF_HEIGHT, this.CAPSULE_RADIUS)
+      .setFriction(0.5)
+      .setRestitution(0.0)
+
+    this.collider = world.createCollider(colDesc, this.body)
+
+    // Rapier character controller — handles slope, steps, sliding
+    this.controller = world.createCharacterController(0.05)
+    this.controller.setSlideEnabled(true)
+    this.controller.setMaxSlopeClimbAngle(this.MAX_SLOPE * Math.PI / 180)
+    this.controller.setMinSlopeSlideAngle(30 * Math.PI / 180)
+    this.controller.enableAutostep(this.STEP_HEIGHT, 0.2, true)
+    this.controller.enableSnapToGround(0.5)
+    // Walking into dynamic bodies pushes them instead of stopping dead
+    this.controller.setApplyImpulsesToDynamicBodies(true)
+    this.controller.setCharacterMass(this.MASS)
+  }
+
+  /**
+   * Advance one physics step.
+   * @param {number} dt  Delta time in seconds
+   * @returns {{ position: {x, y, z}, speed: number, grounded: boolean, swimming: boolean,
+   *   crouching: boolean, noclip: boolean, stamina: number, exhausted: boolean, surface: object }}
+   *   stamina is 0..1
+   */
+  update(dt) {
+    // ── Cooldowns ───────────────────────────────────────────────
+    if (this.jumpCooldown > 0) this.jumpCooldown -= dt
+
+    const { input } = this
+
+    // ── Mode toggles ────────────────────────────────────────────
+    const noclipDown = input.isDown('noclip')
+    if (noclipDown && !this._noclipWasDown) this.setNoclip(!this.noclip)
+    this._noclipWasDown = noclipDown
+
+    const crouchDown = input.isDown('crouch')
+    let wantCrouch = this.crouchToggle
+      ? this.isCrouching !== (crouchDown && !this._crouchWasDown)
+      : crouchDown
+    this._crouchWasDown = crouchDown
+    // Crouch doubles as "swim down" in water
+    if (this.noclip || this.isSwimming) wantCrouch = false
+
+    const start = this.body.translation()
+
+    // A resize from the previous step has now moved the body; shift the
+    // eye by the same amount so the view eases instead of jumping
+    this.eyeHeight -= this._pendingShift
+    this._pendingShift = 0
+    const targetEye = this.isCrouching ? this.CROUCH_EYE_HEIGHT : this.EYE_HEIGHT
+    this.eyeHeight += (targetEye - this.eyeHeight) * (1 - Math.exp(-this.EYE_SPEED * dt))
+
+    if (this.noclip) return this._fly(dt, start)
+
+    // The collider only follows a resize on the next world.step(); querying
+    // the character controller before then would sink us into the ground
+    if (wantCrouch !== this.isCrouching && (wantCrouch || this._hasHeadroom())) {
+      this._setCrouch(wantCrouch)
+      return this._report(null)
+    }
+
+    // ── Surface underfoot ───────────────────────────────────────
+    const surface = this.terrain ? this.terrain.getSurfaceAtWorld(start.x, start.z) : null
+    const grip    = this._surfaceGrip(surface)
+
+    // ── Water ───────────────────────────────────────────────────
+    // Depth of the water surface above the capsule centre
+    const waterDepth = this.water ? this.water.getWaterLevelAt(start.x, start.z) - start.y : -Infinity
+    const wasSwimming = this.isSwimming
+    this.isSwimming = waterDepth >= this.SWIM_DEPTH
+      // Keep swimming while bobbing at the surface, don't drop back to walking
+      || (wasSwimming && waterDepth >= this.FLOAT_DEPTH - 0.3 && !this.isGrounded
+          && this.velY <= this.SWIM_VERTICAL)   // a kick out of the water leaves swim mode
+    if (this.isSwimming && !wasSwimming) this.velY *= 0.3   // splash-down
+
+    // ── Build horizontal movement vector ────────────────────────
+    // Forward (-sin, -cos) and right (cos, -sin) relative to where the
+    // player is looking (yaw only). Analog: a half-pushed stick walks at half speed
+    const move = input.getMove()
+    const sin = Math.sin(this.yaw), cos = Math.cos(this.yaw)
+    let movX = -sin * move.y + cos * move.x
+    let movZ = -cos * move.y - sin * move.x
+    const moving = movX * movX + movZ * movZ > 0.001
+
+    // ── Stamina ─────────────────────────────────────────────────
+    const sprint = moving && input.isDown('sprint') && !this.isCrouching
+      && !(this.staminaEnabled && this.exhausted)
+    let spent = sprint ? this.SPRINT_DRAIN * dt : 0
+
+    const speed = this.MOVE_SPEED * (sprint ? this.SPRINT_MULT : 1.0)
+      * (this.isSwimming ? this.SWIM_SPEED_MULT : grip.speed)
+      * (this.isCrouching ? this.CROUCH_SPEED_MULT : 1.0)
+
+    if (moving) {
+      movX *= speed
+      movZ *= speed
+    }
+
+    // Ease towards the target velocity; slippery surfaces keep sliding
+    const rate = this.isSwimming ? this.ACCELERATION * 0.3
+      : !this.isGrounded ? this.AIR_CONTROL
+      : moving ? this.ACCELERATION * grip.accel
+      : this.DECELERATION * grip.friction
+    const k = 1 - Math.exp(-rate * dt)
+    this._vel.x += (movX - this._vel.x) * k
+    this._vel.z += (movZ - this._vel.z) * k
+
+    // ── Vertical velocity (gravity + jump) ──────────────────────
+    if (this.isSwimming) {
+      this._swim(waterDepth, dt)
+    } else {
+      this.velY += this.GRAVITY * dt
+
+      if (this.isGrounded && this.velY < 0) {
+        this.velY = -2  // small downward to keep snap-to-ground working
+      }
+
+      const canAfford = !this.staminaEnabled || this.stamina >= this.JUMP_COST
+      if (input.isDown('jump') && this.isGrounded && this.jumpCooldown <= 0 && canAfford && !this.isCrouching) {
+        this.velY         = this.JUMP_FORCE
+        this.jumpCooldown = 0.4
+        spent += this.JUMP_COST
+      }
+    }
+    this._updateStamina(spent, dt)
+
+    // ── Ask Rapier controller to resolve the movement ────────────
+    const desired = {
+      x: this._vel.x * dt,
+      y: this.velY   * dt,
+      z: this._vel.z * dt,
+    }
+
+    this.controller.computeColliderMovement(this.collider, desired)
+
+    const corrected    = this.controller.computedMovement()
+    const wasGrounded  = this.isGrounded
+    this.isGrounded    = this.controller.computedGrounded()
+
+    // Move kinematic body
+    const cur = this.body.translation()
+    this.body.setNextKinematicTranslation({
+      x: cur.x + corrected.x,
+      y: cur.y + corrected.y,
+      z: cur.z + corrected.z,
+    })
+
+    // ── Footsteps ───────────────────────────────────────────────
+    if (this.isGrounded && !this.isSwimming) {
+      this.strideDist += Math.hypot(corrected.x, corrected.z)
+      const stride = this.STRIDE * (sprint ? 1.3 : 1.0)
+      const landed = !wasGrounded && this.velY < -8
+      if (this.strideDist >= stride || landed) {
+        this.strideDist = 0
+        this._emit('footstep', {
+          surface,
+          position: { x: cur.x + corrected.x, y: cur.y + corrected.y, z: cur.z + corrected.z },
+          speed:    this._speed(),
+          landing:  landed,
+        })
+      }
+    }
+
+    return this._report(surface)
+  }
+
+  /**
+   * Subscribe to controller events:
+   *   'footstep' — { surface, position, speed, landing }
+   * @returns {() => void} unsubscribe
+   */
+  on(type, fn) {
+    const list = this._listeners[type] ??= []
+    list.push(fn)
+    return () => {
+      this._listeners[type] = this._listeners[type].filter(l => l !== fn)
+    }
+  }
+
+  /** Teleport the player to a world position */
+  setPosition(x, y, z) {
+    this.body.setNextKinematicTranslation({ x, y, z })
+    this.velY  = 0
+    this._snap = true
+  }
+
+  /**
+   * Lift the player out of the ground if the terrain under them was raised
+   * (e.g. by TerrainDeformer). The character controller only resolves
+   * movement, not a collider that is already buried.
+   * @param {number} groundY  Terrain height at the player's X/Z
+   */
+  resolveGround(groundY) {
+    const pos  = this.body.translation()
+    const minY = groundY + this.collider.halfHeight() + this.CAPSULE_RADIUS
+    if (pos.y >= minY) return
+
+    this.body.setTranslation({ x: pos.x, y: minY, z: pos.z }, true)
+    this.body.setNextKinematicTranslation({ x: pos.x, y: minY, z: pos.z })
+    this.velY  = 0
+    this._snap = true
+  }
+
+  /**
+   * Park the player, e.g. while they drive a Vehicle: the capsule stops
+   * colliding and update() should not be called until re-enabled.
+   */
+  setEnabled(enabled) {
+    this.enabled = enabled
+    this.collider.setEnabled(enabled && !this.noclip)
+    this.velY = 0
+    this._vel.x = this._vel.y = this._vel.z = 0
+  }
+
+  /**
+   * Fly through everything (for inspecting a level). Turning it off
+   * drops the player back in, lifted out of the terrain if needed.
+   */
+  setNoclip(noclip) {
+    if (noclip === this.noclip) return
+    this.noclip = noclip
+    if (noclip && this.isCrouching) this._setCrouch(false)   // flying ignores headroom
+    this.collider.setEnabled(this.enabled && !noclip)
+    this.velY = 0
+    this._vel.x = this._vel.y = this._vel.z = 0
+    if (!noclip && this.terrain) {
+      const pos = this.body.translation()
+      this.resolveGround(this.terrain.getHeightAtWorld(pos.x, pos.z))
+    }
+  }
+
+  /** Remove the body, collider and character controller from the world */
+  dispose() {
+    this.world.removeCharacterController(this.controller)
+    this.world.removeRigidBody(this.body)   // also removes its collider
+    this._listeners = {}
+  }
+
+  /** Current world position */
+  getPosition() {
+    return this.body.translation()
+  }
+
+  /**
+   * Everything update() depends on, as plain JSON — with the same inputs,
+   * setState(getState()) makes the following steps repeat exactly.
+   */
+  getState() {
+    const p = this.body.nextTranslation()   // where the last update() is heading
+    return {
+      position:     { x: p.x, y: p.y, z: p.z },
+      yaw:          this.yaw,
+      pitch:        this.pitch,
+      velY:         this.velY,
+      vel:          { x: this._vel.x, y: this._vel.y, z: this._vel.z },
+      grounded:     this.isGrounded,
+      jumpCooldown: this.jumpCooldown,
+      strideDist:   this.strideDist,
+      swimming:     this.isSwimming,
+      crouching:    this.isCrouching,
+      noclip:       this.noclip,
+      eyeHeight:    this.eyeHeight,
+      stamina:      this.stamina,
+      exhausted:    this.exhausted,
+      staminaIdle:  this._staminaIdle,
+      crouchWasDown: this._crouchWasDown,
+      noclipWasDown: this._noclipWasDown,
+    }
+  }
+
+  /**
+   * Restore a getState() result. Takes effect at the next world.step().
+   * @param {object}  state
+   * @param {object}  [options]
+   * @param {boolean} [options.teleport=true]  false keeps render interpolation
+   *   running across the change (small corrections)
+   */
+  setState(state, { teleport = true } = {}) {
+    this.setNoclip(state.noclip)
+    this.collider.setHalfHeight(state.crouching ? this.CROUCH_HALF_HEIGHT : this.CAPSULE_HALF_HEIGHT)
+
+    const { position: p, vel: v } = state
+    this.body.setTranslation(p, true)
+    this.body.setNextKinematicTranslation(p)
+    this._vel = { x: v.x, y: v.y, z: v.z }
+
+    this.yaw            = state.yaw
+    this.pitch          = state.pitch
+    this.velY           = state.velY
+    this.isGrounded     = state.grounded
+    this.jumpCooldown   = state.jumpCooldown
+    this.strideDist     = state.strideDist
+    this.isSwimming     = state.swimming
+    this.isCrouching    = state.crouching
+    this.eyeHeight      = state.eyeHeight
+    this.stamina        = state.stamina
+    this.exhausted      = state.exhausted
+    this._staminaIdle   = state.staminaIdle
+    this._crouchWasDown = state.crouchWasDown
+    this._noclipWasDown = state.noclipWasDown
+    this._pendingShift  = 0
+    this._snap          = this._snap || teleport
+  }
+
+  /**
+   * Run `count` more steps straight away, without world.step(): before
+   * each one the body is put directly at the last step's target. Nothing
+   * else in the world moves, so this suits re-applying a few inputs on
+   * top of a correction (client-side prediction), not general simulation.
+   * @param {number} count
+   * @param {number} dt
+   * @param {(i: number) => void} beforeStep  Set up input/look for step i
+   */
+  fastForward(count, dt, beforeStep) {
+    for (let i = 0; i < count; i++) {
+      this.body.setTranslation(this.body.nextTranslation(), false)
+      this.world.propagateModifiedBodyPositionsToColliders()
+      beforeStep(i)
+      // This class's update, not a subclass's per-frame bookkeeping
+      PlayerController.prototype.update.call(this, dt)
+    }
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  /** State for the HUD / other systems */
+  _report(surface) {
+    const pos = this.body.translation()
+    return {
+      position:  { x: pos.x, y: pos.y, z: pos.z },
+      speed:     this._speed(),
+      grounded:  this.isGrounded,
+      swimming:  this.isSwimming,
+      crouching: this.isCrouching,
+      noclip:    this.noclip,
+      stamina:   this.stamina / this.STAMINA_MAX,
+      exhausted: this.exhausted,
+      surface,
+    }
+  }
+
+  _speed() {
+    return Math.hypot(this._vel.x, this._vel.y, this._vel.z)
+  }
+
+  /** Noclip: move along the full view direction, straight through geometry */
+  _fly(dt, start) {
+    const { input } = this
+    const cosP = Math.cos(this.pitch), sinP = Math.sin(this.pitch)
+    const sin  = Math.sin(this.yaw),   cos  = Math.cos(this.yaw)
+
+    // Forward (view direction) × stick Y + right × stick X, up/down on jump/crouch
+    const move = input.getMove()
+    let x = -sin * cosP * move.y + cos * move.x
+    let y = sinP * move.y + (input.isDown('jump') ? 1 : 0) - (input.isDown('crouch') ? 1 : 0)
+    let z = -cos * cosP * move.y - sin * move.x
+    const lengthSq = x * x + y * y + z * z
+    const scale = (lengthSq > 1 ? 1 / Math.sqrt(lengthSq) : 1)
+      * this.NOCLIP_SPEED * (input.isDown('sprint') ? 3 : 1)
+    x *= scale; y *= scale; z *= scale
+
+    this._vel = { x, y: 0, z }
+    this.isGrounded = false
+    this.body.setNextKinematicTranslation({
+      x: start.x + x * dt,
+      y: start.y + y * dt,
+      z: start.z + z * dt,
+    })
+    this._updateStamina(0, dt)
+    return this._report(null)
+  }
+
+  /**
+   * Swap between the standing and crouched capsule, keeping the feet
+   * where they are. The body moves on the next world.step().
+   */
+  _setCrouch(crouch) {
+    const shift = (this.CAPSULE_HALF_HEIGHT - this.CROUCH_HALF_HEIGHT) * (crouch ? -1 : 1)
+    this.collider.setHalfHeight(crouch ? this.CROUCH_HALF_HEIGHT : this.CAPSULE_HALF_HEIGHT)
+
+    const pos = this.body.translation()
+    this.body.setNextKinematicTranslation({ x: pos.x, y: pos.y + shift, z: pos.z })
+
+    this._pendingShift = shift
+    this.isCrouching   = crouch
+    this._snap         = true
+  }
+
+  /** Would the standing capsule fit where we'd stand up? */
+  _hasHeadroom() {
+    const { RAPIER } = this
+    const pos = this.body.translation()
+    const standY = pos.y + this.CAPSULE_HALF_HEIGHT - this.CROUCH_HALF_HEIGHT
+    // Slightly thinner than the real capsule so touching walls doesn't count
+    const shape = new RAPIER.Capsule(this.CAPSULE_HALF_HEIGHT, this.CAPSULE_RADIUS * 0.9)
+    const hit = this.world.intersectionWithShape(
+      { x: pos.x, y: standY + 0.05, z: pos.z }, { x: 0, y: 0, z: 0, w: 1 }, shape,
+      undefined, undefined, this.collider, this.body,
+    )
+    return hit === null
+  }
+
+  /** Spend `spent` stamina, or refill once we've rested long enough */
+  _updateStamina(spent, dt) {
+    if (!this.staminaEnabled) {
+      this.stamina   = this.STAMINA_MAX
+      this.exhausted = false
+      return
+    }
+    if (spent > 0) {
+      this.stamina = Math.max(0, this.stamina - spent)
+      this._staminaIdle = 0
+      if (this.stamina === 0) this.exhausted = true
+    } else {
+      this._staminaIdle += dt
+      if (this._staminaIdle >= this.REGEN_DELAY) {
+        this.stamina = Math.min(this.STAMINA_MAX, this.stamina + this.STAMINA_REGEN * dt)
+      }
+    }
+    if (this.exhausted && this.stamina >= this.EXHAUST_RECOVER) this.exhausted = false
+  }
+
+  /** Vertical velocity while swimming: buoyant, draggy, steerable */
+  _swim(waterDepth, dt) {
+    const up   = this.input.isDown('jump')
+    const down = this.input.isDown('crouch')
+
+    this.velY += this.SWIM_GRAVITY * dt
+    if (up)   this.velY += (this.SWIM_VERTICAL - this.velY) * Math.min(1, 4 * dt)
+    if (down) this.velY += (-this.SWIM_VERTICAL - this.velY) * Math.min(1, 4 * dt)
+
+    // Idle swimmers float back up to the surface
+    if (!up && !down && waterDepth > this.FLOAT_DEPTH) {
+      this.velY += Math.min(waterDepth - this.FLOAT_DEPTH, 1) * 6 * dt
+    }
+    // Never rise out of the water on buoyancy alone
+    if (!up && waterDepth < this.FLOAT_DEPTH && this.velY > 0) this.velY = 0
+
+    this.velY *= Math.exp(-this.WATER_DRAG * dt)
+
+    // At the surface, jump kicks out of the water (onto a shore or ledge)
+    if (up && waterDepth < this.FLOAT_DEPTH + 0.2 && this.jumpCooldown <= 0) {
+      this.velY         = this.JUMP_FORCE * 0.7
+      this.jumpCooldown = 0.6
+    }
+  }
+
+  _emit(type, event) {
+    for (const fn of this._listeners[type] ?? []) fn(event)
+  }
+
+  /** Surface multipliers blended by the surface weights underfoot */
+  _surfaceGrip(surface) {
+    const grip = { speed: 0, accel: 0, friction: 0 }
+    if (!surface) return { speed: 1, accel: 1, friction: 1 }
+
+    let total = 0
+    for (const name in surface.weights) {
+      const w = surface.weights[name]
+      const props = this.SURFACES[name] ?? { speed: 1, accel: 1, friction: 1 }
+      grip.speed    += props.speed * w
+      grip.accel    += props.accel * w
+      grip.friction += props.friction * w
+      total += w
+    }
+    if (total === 0) return { speed: 1, accel: 1, friction: 1 }
+    grip.speed /= total
+    grip.accel /= total
+    grip.friction /= total
+    return grip
+  }
+}
@@ -0,0 +1,270 @@
+/**
+ * PNG decoder / encoder
+ * Minimal decoder for heightmaps, so 16-bit images keep their full precision
+ * instead of being flattened to 8 bits by a 2D canvas, and a grayscale
+ * encoder to write them back out (encodePNG).
+ *
+ * Supports every non-interlaced colour type (gray, RGB, palette, gray+alpha,
+ * RGBA) at bit depths 1–16. Decompression uses the platform
+ * DecompressionStream, available in browsers and Node 18+.
+ *
+ * Returns the first channel of every pixel (red for colour images, the
+ * palette's red for indexed ones) normalised to 0..1, or every channel
+ * interleaved with `allChannels: true` (e.g. RGBA splat maps). `tEXt`
+ * chunks come back as `text` ({ keyword: string }).
+ */
+
+const SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]
+
+// Channels per pixel for each PNG colour type
+const CHANNELS = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }
+
+/**
+ * @param {ArrayBuffer|Uint8Array} buffer  Raw PNG file bytes
+ * @param {{ allChannels?: boolean }} [options]
+ * @returns {Promise<{ width: number, height: number, bitDepth: number, channels: number,
+ *   values: Float32Array, text: Object<string, string> }>}
+ */
+export async function decodePNG(buffer, { allChannels = false } = {}) {
+  const bytes = buffer instanceof Uint8Array ? buffer : new Uint8Array(buffer)
+  const view  = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+
+  for (let i = 0; i < SIGNATURE.length; i++) {
+    if (bytes[i] !== SIGNATURE[i]) throw new Error('decodePNG: not a PNG file')
+  }
+
+  // ── Walk chunks ─────────────────────────────────────────────
+  let width = 0, height = 0, bitDepth = 0, colorType = 0, interlace = 0
+  let palette = null
+  const idat = []
+  const text = {}
+
+  let offset = 8
+  while (offset < bytes.length) {
+    const length = view.getUint32(offset)
+    const type   = String.fromCharCode(...bytes.subarray(offset + 4, offset + 8))
+    const start  = offset + 8
+    const data   = bytes.subarray(start, start + length)
+    offset = start + length + 4   // skip CRC
+
+    if (type === 'IHDR') {
+      width     = view.getUint32(start)
+      height    = view.getUint32(start + 4)
+      bitDepth  = data[8]
+      colorType = data[9]
+      interlace = data[12]
+    } else if (type === 'PLTE') {
+      palette = data
+    } else if (type === 'IDAT') {
+      idat.push(data)
+    } else if (type === 'tEXt') {
+      const nul = data.indexOf(0)
+      if (nul > 0) text[latin1(data.subarray(0, nul))] = latin1(data.subarray(nul + 1))
+    } else if (type === 'IEND') {
+      break
+    }
+  }
+
+  if (!width || !height) throw new Error('decodePNG: missing IHDR chunk')
+  if (interlace !== 0)   throw new Error('decodePNG: interlaced PNGs are not supported')
+  const channels = CHANNELS[colorType]
+  if (!channels)         throw new Error(`decodePNG: unknown colour type ${colorType}`)
+  if (colorType === 3 && !palette) throw new Error('decodePNG: indexed PNG without a palette')
+
+  // ── Inflate + unfilter ──────────────────────────────────────
+  const raw = await inflate(concat(idat))
+
+  const bitsPerPixel = channels * bitDepth
+  const bpp    = Math.max(1, bitsPerPixel >> 3)          // filter byte distance
+  const stride = Math.ceil(width * bitsPerPixel / 8)     // bytes per scanline
+
+  if (raw.length < height * (stride + 1)) throw new Error('decodePNG: truncated image data')
+
+  const pixels = new Uint8Array(height * stride)
+  let prev = new Uint8Array(stride)
+
+  for (let y = 0; y < height; y++) {
+    const filter = raw[y * (stride + 1)]
+    const line   = raw.subarray(y * (stride + 1) + 1, (y + 1) * (stride + 1))
+    const out    = pixels.subarray(y * stride, (y + 1) * stride)
+    unfilter(filter, line, prev, out, bpp)
+    prev = out
+  }
+
+  // ── Samples → 0..1 ──────────────────────────────────────────
+  // Indexed pixels expand to the palette's RGB
+  const outChannels = !allChannels ? 1 : colorType === 3 ? 3 : channels
+  const values = new Float32Array(width * height * outChannels)
+  const maxVal = (1 << bitDepth) - 1
+
+  for (let y = 0; y < height; y++) {
+    const rowOff = y * stride
+    for (let x = 0; x < width; x++) {
+      for (let c = 0; c < outChannels; c++) {
+        const sample = colorType === 3 ? 0 : c
+        let v
+        if (bitDepth === 16) {
+          const o = rowOff + (x * channels + sample) * 2
+          v = ((pixels[o] << 8) | pixels[o + 1]) / 65535
+        } else if (bitDepth === 8) {
+          v = pixels[rowOff + x * channels + sample]
+        } else {
+          // Packed 1/2/4-bit samples, most significant bits first
+          const bit = x * bitDepth
+          v = (pixels[rowOff + (bit >> 3)] >> (8 - bitDepth - (bit & 7))) & maxVal
+        }
+
+        if (bitDepth !== 16) {
+          v = colorType === 3 ? palette[v * 3 + c] / 255 : v / maxVal
+        }
+        values[(y * width + x) * outChannels + c] = v
+      }
+    }
+  }
+
+  return { width, height, bitDepth, channels: outChannels, values, text }
+}
+
+/**
+ * Encode a grayscale PNG.
+ * @param {object} image
+ * @param {number} image.width
+ * @param {number} image.height
+ * @param {Float32Array|number[]} image.values  Row-major, 0..1 (clamped)
+ * @param {8|16}   [image.bitDepth=16]
+ * @param {Object<string, string>} [image.text]  Stored as tEXt chunks (Latin-1)
+ * @returns {Promise<Uint8Array>} PNG file bytes
+ */
+export async function encodePNG({ width, height, values, bitDepth = 16, text = {} }) {
+  const bpp    = bitDepth / 8
+  const stride = width * bpp
+  const maxVal = (1 << bitDepth) - 1
+
+  // Samples, then Sub-filtered scanlines (smooth terrain compresses well as deltas)
+  const raw = new Uint8Array(height * (stride + 1))
+  const line = new Uint8Array(stride)
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const v = Math.round(Math.max(0, Math.min(1, values[y * width + x])) * maxVal)
+      if (bitDepth === 16) {
+        line[x * 2]     = v >> 8
+        line[x * 2 + 1] = v & 0xff
+      } else {
+        line[x] = v
+      }
+    }
+    const o = y * (stride + 1)
+    raw[o] = 1   // Sub
+    for (let i = 0; i < stride; i++) raw[o + 1 + i] = line[i] - (i >= bpp ? line[i - bpp] : 0)
+  }
+
+  const ihdr = new Uint8Array(13)
+  const view = new DataView(ihdr.buffer)
+  view.setUint32(0, width)
+  view.setUint32(4, height)
+  ihdr[8] = bitDepth   // colour type 0 (gray), no interlace: rest stay 0
+
+  const chunks = [chunk('IHDR', ihdr)]
+  for (const [keyword, value] of Object.entries(text)) {
+    chunks.push(chunk('tEXt', concat([fromLatin1(keyword), new Uint8Array([0]), fromLatin1(value)])))
+  }
+  chunks.push(chunk('IDAT', await deflate(raw)), chunk('IEND', new Uint8Array(0)))
+  return concat([new Uint8Array(SIGNATURE), ...chunks])
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+function concat(chunks) {
+  const total = chunks.reduce((n, c) => n + c.length, 0)
+  const out = new Uint8Array(total)
+  let o = 0
+  for (const c of chunks) {
+    out.set(c, o)
+    o += c.length
+  }
+  return out
+}
+
+async function deflate(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+async function inflate(bytes) {
+  // 'deflate' is the zlib-wrapped stream PNG uses
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate'))
+  return new Uint8Array(await new Response(stream).arrayBuffer())
+}
+
+function unfilter(filter, line, prev, out, bpp) {
+  const n = line.length
+  switch (filter) {
+    case 0: // None
+      out.set(line)
+      break
+    case 1: // Sub
+      for (let i = 0; i < n; i++) {
+        out[i] = line[i] + (i >= bpp ? out[i - bpp] : 0)
+      }
+      break
+    case 2: // Up
+      for (let i = 0; i < n; i++) out[i] = line[i] + prev[i]
+      break
+    case 3: // Average
+      for (let i = 0; i < n; i++) {
+        const left = i >= bpp ? out[i - bpp] : 0
+        out[i] = line[i] + ((left + prev[i]) >> 1)
+      }
+      break
+    case 4: // Paeth
+      for (let i = 0; i < n; i++) {
+        const a = i >= bpp ? out[i - bpp] : 0
+        const b = prev[i]
+        const c = i >= bpp ? prev[i - bpp] : 0
+        const p  = a + b - c
+        const pa = Math.abs(p - a), pb = Math.abs(p - b), pc = Math.abs(p - c)
+        out[i] = line[i] + (pa <= pb && pa <= pc ? a : pb <= pc ? b : c)
+      }
+      break
+    default:
+      throw new Error(`decodePNG: bad filter type ${filter}`)
+  }
+}
+
+/** Length + type + data + CRC */
+function chunk(type, data) {
+  const out  = new Uint8Array(12 + data.length)
+  const view = new DataView(out.buffer)
+  view.setUint32(0, data.length)
+  out.set(fromLatin1(type), 4)
+  out.set(data, 8)
+  view.setUint32(8 + data.length, crc32(out.subarray(4, 8 + data.length)))
+  return out
+}
+
+let CRC_TABLE = null
+
+function crc32(bytes) {
+  if (!CRC_TABLE) {
+    CRC_TABLE = new Uint32Array(256)
+    for (let n = 0; n < 256; n++) {
+      let c = n
+      for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+      CRC_TABLE[n] = c >>> 0
+    }
+  }
+  let crc = 0xffffffff
+  for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+function latin1(bytes) {
+  let s = ''
+  for (let i = 0; i < bytes.length; i++) s += String.fromCharCode(bytes[i])
+  return s
+}
+
+function fromLatin1(string) {
+  const out = new Uint8Array(string.length)
+  for (let i = 0; i < string.length; i++) out[i] = string.charCodeAt(i) & 0xff
+  return out
+}
@@ -0,0 +1,163 @@
+import { createSimplex2D, hashSeed } from './noise.js'
+
+/**
+ * Procedural terrain generator
+ * Seeded simplex-noise height fields. The same options (including seed)
+ * always produce the same heights, so levels are reproducible.
+ *
+ * Modes:
+ *   fbm     — classic fractal Brownian motion: rolling hills
+ *   ridged  — ridged multifractal: sharp mountain crests
+ *   billow  — absolute-value fBm: puffy, rounded lumps
+ *
+ * Post-effects (combine freely with any mode):
+ *   warp      — domain warping strength (0 = off), bends features into swirls
+ *   terraces  — number of terrace steps (0 = off)
+ *   island    — 0..1 radial falloff to sea level at the map edge
+ *
+ * Usage:
+ *   const { heights, width, height } = generateTerrain({ width: 257, seed: 42, mode: 'ridged' })
+ */
+export function generateTerrain({
+  width = 101,
+  height = width,
+  seed = 0,
+  mode = 'fbm',
+  frequency = 4,       // base features across the map width
+  octaves = 6,
+  persistence = 0.5,   // amplitude multiplier per octave
+  lacunarity = 2,      // frequency multiplier per octave
+  warp = 0,
+  warpFrequency = 1,
+  terraces = 0,
+  island = 0,
+} = {}) {
+  const field = createNoiseField({ seed, mode, octaves, persistence, lacunarity, warp, warpFrequency })
+  const heights = new Float32Array(width * height)
+
+  // Same frequency on both axes so features stay round on non-square maps
+  const step = frequency / Math.max(1, width - 1)
+
+  let minH = Infinity, maxH = -Infinity
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      const h = field(col * step, row * step)
+      heights[row * width + col] = h
+      if (h < minH) minH = h
+      if (h > maxH) maxH = h
+    }
+  }
+
+  // Normalize to [0..1]
+  const range = maxH - minH || 1
+  for (let i = 0; i < heights.length; i++) {
+    heights[i] = (heights[i] - minH) / range
+  }
+
+  if (terraces > 0) applyTerraces(heights, terraces)
+  if (island > 0)   applyIslandMask(heights, width, height, island)
+
+  minH = Infinity
+  maxH = -Infinity
+  for (let i = 0; i < heights.length; i++) {
+    if (heights[i] < minH) minH = heights[i]
+    if (heights[i] > maxH) maxH = heights[i]
+  }
+
+  return { heights, width, height, size: width === height ? width : null, minH, maxH }
+}
+
+/**
+ * Unbounded noise field (x, y) → roughly 0..1, for sampling outside a fixed
+ * grid (e.g. endless TerrainChunkManager terrain). No normalisation,
+ * terraces or island mask, since those need the whole map.
+ */
+export function createNoiseField({
+  seed = 0,
+  mode = 'fbm',
+  octaves = 6,
+  persistence = 0.5,
+  lacunarity = 2,
+  warp = 0,
+  warpFrequency = 1,
+} = {}) {
+  const base   = hashSeed(seed)
+  const noise  = createSimplex2D(base)
+  // Independent noise for each warp axis, derived from the same seed
+  const warpX  = createSimplex2D((base + 0x9e3779b9) >>> 0)
+  const warpY  = createSimplex2D((base + 0x7f4a7c15) >>> 0)
+
+  const octave = { fbm, ridged, billow }[mode]
+  if (!octave) throw new Error(`createNoiseField: unknown mode "${mode}"`)
+
+  function fbm(x, y) {
+    let value = 0, amplitude = 1, frequency = 1, maxValue = 0
+    for (let i = 0; i < octaves; i++) {
+      value    += noise(x * frequency, y * frequency) * amplitude
+      maxValue += amplitude
+      amplitude *= persistence
+      frequency *= lacunarity
+    }
+    return 0.5 + 0.5 * value / maxValue
+  }
+
+  function billow(x, y) {
+    let value = 0, amplitude = 1, frequency = 1, maxValue = 0
+    for (let i = 0; i < octaves; i++) {
+      value    += Math.abs(noise(x * frequency, y * frequency)) * amplitude
+      maxValue += amplitude
+      amplitude *= persistence
+      frequency *= lacunarity
+    }
+    return value / maxValue
+  }
+
+  // Musgrave's ridged multifractal: each octave is weighted by the previous
+  // ridge, so detail piles up on crests and valleys stay smooth
+  function ridged(x, y) {
+    let value = 0, amplitude = 1, frequency = 1, maxValue = 0, weight = 1
+    for (let i = 0; i < octaves; i++) {
+      let signal = 1 - Math.abs(noise(x * frequency, y * frequency))
+      signal *= signal * weight
+      weight = Math.min(1, Math.max(0, signal * 2))
+      value    += signal * amplitude
+      maxValue += amplitude
+      amplitude *= persistence
+      frequency *= lacunarity
+    }
+    return value / maxValue
+  }
+
+  if (warp <= 0) return octave
+
+  return function warped(x, y) {
+    const qx = warpX(x * warpFrequency, y * warpFrequency)
+    const qy = warpY(x * warpFrequency, y * warpFrequency)
+    return octave(x + warp * qx, y + warp * qy)
+  }
+}
+
+// ── Post-effects ─────────────────────────────────────────────────────────────
+/** Flat steps with steep risers, on 0..1 heights */
+function applyTerraces(heights, steps) {
+  for (let i = 0; i < heights.length; i++) {
+    const t = heights[i] * steps
+    const f = t - Math.floor(t)
+    heights[i] = Math.min(1, (Math.floor(t) + f * f * f) / steps)
+  }
+}
+
+/** Fade heights to 0 towards the map edge; strength 0..1 */
+function applyIslandMask(heights, width, height, strength) {
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) {
+      // 0 at the centre, 1 at the middle of each edge
+      const dx = col / (width - 1) * 2 - 1
+      const dy = row / (height - 1) * 2 - 1
+      const d  = Math.min(1, Math.hypot(dx, dy))
+      const s  = Math.max(0, (d - 0.5) / 0.5)
+      const falloff = 1 - s * s * (3 - 2 * s)
+      heights[row * width + col] *= 1 - strength + strength * falloff
+    }
+  }
+}
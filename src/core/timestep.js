@@ -0,0 +1,59 @@
+/**
+ * FixedTimestep
+ * Accumulator for running physics at a fixed rate, independent of the
+ * display's refresh rate. Each frame, the real elapsed time is banked and
+ * spent in whole physics steps; what's left over becomes `alpha`, the
+ * fraction of the way from the previous physics state to the current one,
+ * for interpolating what gets rendered.
+ *
+ * If a frame takes so long that more than `maxSubsteps` steps are owed,
+ * the excess is dropped (the game slows down instead of spiralling).
+ *
+ * Usage:
+ *   const timestep = new FixedTimestep({ hz: 60, maxSubsteps: 5 })
+ *   world.timestep = timestep.dt
+ *   // in game loop:
+ *   const alpha = timestep.advance(frameDt, dt => {
+ *     world.step()
+ *     player.update(dt)
+ *   })
+ *   player.interpolate(alpha)
+ */
+export class FixedTimestep {
+  constructor({
+    hz = 60,          // physics steps per second
+    maxSubsteps = 5,  // most steps taken in one frame
+  } = {}) {
+    this.maxSubsteps = maxSubsteps
+    this.accumulator = 0
+    this.alpha       = 0
+    this.setHz(hz)
+  }
+
+  /** Change the physics rate (also update world.timestep to match) */
+  setHz(hz) {
+    this.hz = hz
+    this.dt = 1 / hz
+  }
+
+  /**
+   * Bank `frameDt` seconds and run `step(dt)` for every whole step owed.
+   * @param {number} frameDt  Real time since the last frame, in seconds
+   * @param {(dt: number) => void} step
+   * @returns {number} alpha, 0..1 between the previous and current state
+   */
+  advance(frameDt, step) {
+    this.accumulator += frameDt
+
+    let steps = 0
+    while (this.accumulator >= this.dt && steps < this.maxSubsteps) {
+      step(this.dt)
+      this.accumulator -= this.dt
+      steps++
+    }
+    if (this.accumulator >= this.dt) this.accumulator %= this.dt
+
+    this.alpha = this.accumulator / this.dt
+    return this.alpha
+  }
+}
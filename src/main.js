@@ -1,8 +1,31 @@
 import * as THREE from 'three'
 import RAPIER from '@dimforge/rapier3d-compat'
-import { generateProceduralHeightmap, loadHeightmap } from './utils/heightmap.js'
+import { generateProceduralHeightmap, loadHeightmap } from './core/heightmap.js'
+import { erodeHeightmap } from './core/erosion.js'
 import { TerrainBuilder } from './utils/terrain.js'
+import { TerrainChunkManager } from './utils/chunks.js'
+import { TerrainDeformer } from './utils/deform.js'
+import { TerrainLOD } from './utils/lod.js'
+import { SplatMap } from './utils/splat.js'
+import { WaterSystem } from './utils/water.js'
 import { FPSController } from './utils/controller.js'
+import { Vehicle } from './utils/vehicle.js'
+import { PropSystem } from './utils/props.js'
+import { ScatterSystem } from './utils/scatter.js'
+import { NavGrid } from './core/navigation.js'
+import { NpcCrowd } from './utils/npcs.js'
+import { MapView } from './utils/minimap.js'
+import { DayNightCycle } from './utils/daynight.js'
+import { TerrainEditor } from './utils/editor.js'
+import { FixedTimestep } from './core/timestep.js'
+import { InputManager } from './utils/input.js'
+import { SettingsPanel } from './utils/settings.js'
+import {
+  createSnapshot, applySnapshot, saveToSlot, loadFromSlot, exportSnapshot, importSnapshot, downloadFile,
+} from './utils/save.js'
+import { InputRecorder, ReplayPlayer, exportRecording, importRecording } from './utils/replay.js'
+import { NetClient } from './net/client.js'
+import { RemotePlayers } from './net/remote.js'
 
 // ── UI helpers ───────────────────────────────────────────────────────────────
 const loadingEl   = document.getElementById('loading')
@@ -30,22 +53,31 @@ async function main() {
   let heightData
   try {
     // Put your Blender-exported PNG at /public/heightmap.png
-    heightData = await loadHeightmap('/heightmap.png', 101)
+    // (8/16-bit PNG, or .r16/.raw and .f32 with loadHeightmap's format options)
+    // Native resolution; may be non-square
+    heightData = await loadHeightmap('/heightmap.png', null)
     console.log('✅ Loaded heightmap.png')
   } catch {
     console.log('ℹ️  No heightmap.png — using procedural terrain')
-    heightData = generateProceduralHeightmap(101)
+    // Erode the raw noise so it reads as landscape rather than blobs
+    heightData = erodeHeightmap(generateProceduralHeightmap(101, { seed: 1337 }), { seed: 1337 })
   }
 
   // 3 ── Build terrain data ──────────────────────────────────────────────────
   setProgress(40, 'BUILDING TERRAIN...')
+  // Maps exported with F4 carry their own world scale
+  const scale = heightData.metadata ?? {}
   const terrainBuilder = new TerrainBuilder({
     heights:      heightData.heights,
-    size:         heightData.size,
-    worldSize:    200,   // metres — must match your Blender plane size
-    heightScale:  14,    // max height in metres (Blender Strength × 5)
-    heightOffset: 0,
+    width:        heightData.width,
+    height:       heightData.height,
+    worldSizeX:   scale.worldSizeX ?? 200,   // metres — must match your Blender plane size (Z follows the aspect ratio)
+    worldSizeZ:   scale.worldSizeZ,
+    heightScale:  scale.heightScale ?? 14,   // max height in metres (Blender Strength × 5)
+    heightOffset: scale.heightOffset ?? 0,
   })
+  // Pristine copy; saves store terrain edits as a diff against it
+  const baseHeights = terrainBuilder.heights.slice()
 
   // 4 ── Three.js renderer ───────────────────────────────────────────────────
   setProgress(55, 'INITIALIZING RENDERER...')
@@ -60,53 +92,305 @@ async function main() {
   renderer.setClearColor(0x87ceeb)
 
   const scene  = new THREE.Scene()
-  scene.fog    = new THREE.Fog(0x87ceeb, 80, 220)
-  scene.background = new THREE.Color(0x87ceeb)
 
   const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 500)
 
   // 5 ── Lighting ────────────────────────────────────────────────────────────
-  const sun = new THREE.DirectionalLight(0xfff4e0, 1.8)
-  sun.position.set(80, 120, 60)
-  sun.castShadow = true
-  sun.shadow.mapSize.width  = 2048
-  sun.shadow.mapSize.height = 2048
-  sun.shadow.camera.near   = 1
-  sun.shadow.camera.far    = 400
-  sun.shadow.camera.left   = -130
-  sun.shadow.camera.right  =  130
-  sun.shadow.camera.top    =  130
-  sun.shadow.camera.bottom = -130
-  sun.shadow.bias = -0.001
-  scene.add(sun)
-  scene.add(new THREE.AmbientLight(0x4488bb, 0.6))
-  scene.add(new THREE.HemisphereLight(0x87ceeb, 0x3d5e34, 0.4))
-
-  // 6 ── Terrain mesh ────────────────────────────────────────────────────────
-  const terrainMesh = terrainBuilder.buildMesh()
-  terrainMesh.receiveShadow = true
-  scene.add(terrainMesh)
-
-  // 7 ── Clouds ──────────────────────────────────────────────────────────────
+  // Sun, moon, sky and fog follow the time of day; ?time=19 starts at dusk.
+  // Shadows cover a box around the player, whatever the terrain size.
+  const startTime = Number(new URLSearchParams(location.search).get('time') ?? 10)
+  const sky = new DayNightCycle({ scene, time: startTime, timeScale: 60 })
+
+  // 6 ── Clouds ──────────────────────────────────────────────────────────────
   addClouds(scene)
 
-  // 8 ── Rapier physics world ────────────────────────────────────────────────
+  // 7 ── Rapier physics world ────────────────────────────────────────────────
   setProgress(65, 'BUILDING PHYSICS WORLD...')
   const world = new RAPIER.World({ x: 0, y: -20, z: 0 })
 
-  // Terrain heightfield collider
-  const { nrows, ncols, heights, scale } = terrainBuilder.buildRapierHeightfield(RAPIER)
-  const terrainBody = world.createRigidBody(RAPIER.RigidBodyDesc.fixed())
-  world.createCollider(
-    RAPIER.ColliderDesc
-      .heightfield(nrows, ncols, heights, new RAPIER.Vector3(scale.x, scale.y, scale.z))
-      .setFriction(0.9),
-    terrainBody
-  )
+  // Physics always advances in fixed steps, whatever the display refresh rate
+  const timestep = new FixedTimestep({ hz: 60, maxSubsteps: 5 })
+  world.timestep = timestep.dt
+
+  // 8 ── Terrain mesh + heightfield collider ─────────────────────────────────
+  // Huge heightmaps are streamed around the player in tiles; authoring-size
+  // ones (513², 1025²) render through LOD patches over one full-res
+  // collider; small ones stay a single mesh and collider.
+  const CHUNK_CELLS     = 64
+  const MAX_LOD_CELLS   = 1024
+  const LOD_PATCH_CELLS = 32
+  const { cols, rows } = terrainBuilder
+  let terrainChunks = null
+  let terrainLOD    = null
+  let terrainSplat  = null
+  let terrainDeformer
+
+  if (Math.max(cols, rows) > MAX_LOD_CELLS && cols % CHUNK_CELLS === 0 && rows % CHUNK_CELLS === 0) {
+    terrainChunks = TerrainChunkManager.fromHeightmap({
+      scene, world, RAPIER,
+      heights:      heightData.heights,
+      width:        heightData.width,
+      height:       heightData.height,
+      worldSizeX:   terrainBuilder.worldSizeX,
+      worldSizeZ:   terrainBuilder.worldSizeZ,
+      heightScale:  terrainBuilder.heightScale,
+      heightOffset: terrainBuilder.heightOffset,
+      chunkCells:   CHUNK_CELLS,
+    })
+    // Build everything around the spawn point up front so the player lands on ground
+    terrainChunks.update({ x: 0, z: 0 }, Infinity)
+    terrainDeformer = new TerrainDeformer({ terrain: terrainBuilder, RAPIER, chunks: terrainChunks })
+  } else {
+    let terrainMesh = null
+    if (cols * rows > 128 * 128 && cols % LOD_PATCH_CELLS === 0 && rows % LOD_PATCH_CELLS === 0) {
+      terrainLOD = new TerrainLOD({ terrain: terrainBuilder, patchCells: LOD_PATCH_CELLS })
+      scene.add(terrainLOD.group)
+    } else {
+      terrainMesh = terrainBuilder.buildMesh()
+      terrainMesh.receiveShadow = true
+      scene.add(terrainMesh)
+    }
+
+    // Layered height/slope material instead of height-only vertex colours
+    terrainSplat = new SplatMap({ terrain: terrainBuilder, seed: 1337 })
+    terrainBuilder.surfaceMap = terrainSplat   // surface queries follow the painted layers
+    const terrainMaterial = terrainSplat.createMaterial()
+    if (terrainLOD) {
+      terrainLOD.setMaterial(terrainMaterial)
+    } else {
+      terrainMesh.material.dispose()
+      terrainMesh.material = terrainMaterial
+    }
+
+    const terrainCollider = terrainBuilder.createCollider(world, RAPIER)
+    terrainDeformer = new TerrainDeformer({
+      terrain: terrainBuilder, RAPIER, mesh: terrainMesh, lod: terrainLOD, collider: terrainCollider,
+    })
+  }
+
+  // Flood the lowest valleys; add `regions` for lakes above sea level
+  const water = new WaterSystem({
+    scene, RAPIER,
+    terrain: terrainBuilder,
+    level:   terrainBuilder.heightOffset + terrainBuilder.heightScale * 0.15,
+  })
+
+  // Minimap (top right), full map with waypoints on M
+  const mapView = new MapView({ terrain: terrainBuilder, waterLevel: water.level })
 
   // 9 ── FPS controller ──────────────────────────────────────────────────────
   setProgress(80, 'SPAWNING PLAYER...')
-  const player = new FPSController({ world, RAPIER, camera })
+  // Keyboard/mouse, gamepad and touch, remappable; bindings persist in localStorage
+  const input  = new InputManager()
+  // Controls menu on the "Click to Enter" overlay: rebind, look speed, invert Y
+  new SettingsPanel({ input })
+  const player = new FPSController({ world, RAPIER, camera, terrain: terrainBuilder, water, input })
+
+  // Terrain edits under the player's feet must not leave them buried
+  terrainDeformer.onChange(region => {
+    const pos = player.getPosition()
+    player.resolveGround(terrainBuilder.getHeightAtWorld(pos.x, pos.z))
+    if (terrainSplat) terrainSplat.update(region)
+    mapView.refresh()
+    if (scatter)      scatter.refresh(region)
+    if (crowd)        crowd.refresh(region)
+  })
+
+  // A car parked next to the spawn; interact (F) gets in and out
+  const vehicle = new Vehicle({
+    world, RAPIER, scene, camera, input,
+    position: { x: 6, y: terrainBuilder.getHeightAtWorld(6, 0) + 2, z: 0 },
+  })
+
+  function toggleVehicle() {
+    if (vehicle.driving) {
+      const { position, yaw } = vehicle.exit()
+      const groundY = terrainBuilder.getHeightAtWorld(position.x, position.z)
+      player.setPosition(position.x, Math.max(position.y, groundY + 1.5), position.z)
+      player.yaw   = yaw
+      player.pitch = 0
+      player.setEnabled(true)
+    } else if (vehicle.canEnter(player.getPosition())) {
+      player.setEnabled(false)
+      vehicle.enter()
+    }
+  }
+
+  // Loose props to knock over; throw (click) launches one from the camera
+  const props = new PropSystem({ world, RAPIER, scene })
+  const SHAPES = ['box', 'sphere', 'capsule', 'hull']
+  for (let i = 0; i < 12; i++) {
+    const x = -6 + (i % 4) * 2, z = -8 - Math.floor(i / 4) * 2
+    props.spawn({
+      shape:    SHAPES[i % SHAPES.length],
+      position: { x, y: terrainBuilder.getHeightAtWorld(x, z) + 2 + i * 0.3, z },
+    })
+  }
+
+  // Trees, bushes, rocks and grass; kept clear of the spawn, car and props.
+  // A multiplayer server doesn't know about them, so they only collide offline.
+  const serverUrl = new URLSearchParams(location.search).get('server')
+  let scatter = null
+  if (!terrainChunks) {
+    scatter = new ScatterSystem({
+      world, RAPIER, scene,
+      terrain:   terrainBuilder,
+      seed:      1337,
+      colliders: !serverUrl,
+      exclude:   (x, z) => x * x + z * z < 14 * 14,
+    })
+    console.log('🌲 Scattered', scatter.counts)
+  }
+
+  // NPCs wandering on a navigation grid that shares the player's slope and
+  // step limits and steers round scattered trees and boulders. Offline only:
+  // a server wouldn't simulate them.
+  let nav = null, crowd = null
+  if (!terrainChunks && !serverUrl) {
+    nav = new NavGrid({
+      terrain:    terrainBuilder,
+      maxSlope:   player.MAX_SLOPE,
+      stepHeight: player.STEP_HEIGHT,
+      water,
+    })
+    for (const { x, z, radius } of scatter.obstacles()) nav.block(x, z, radius)
+    crowd = new NpcCrowd({ world, RAPIER, scene, terrain: terrainBuilder, water, nav, count: 6, seed: 1337 })
+  }
+
+  // Terrain editor (T): fly with the brush under the crosshair, T again drops
+  // back into walking. Offline only — a server keeps its own terrain.
+  const editor = new TerrainEditor({ scene, terrain: terrainBuilder, deformer: terrainDeformer, splat: terrainSplat })
+  let noclipBeforeEdit = false
+
+  function toggleEditor() {
+    if (editor.toggle()) {
+      if (vehicle.driving) toggleVehicle()
+      noclipBeforeEdit = player.noclip
+      player.setNoclip(true)
+      console.log('✏️  Terrain editor on')
+    } else {
+      player.setNoclip(noclipBeforeEdit)   // lands on the edited ground when walking
+      console.log('✏️  Terrain editor off')
+    }
+  }
+
+  // Save / load: quick slot in IndexedDB (F5 / F9) or a JSON file (F6 / F7)
+  const saveTargets = { player, terrain: terrainBuilder, baseHeights, deformer: terrainDeformer, props, vehicle }
+
+  // Both leave the editor first: it holds the player in noclip, which would
+  // be saved, and loading resets noclip under it
+  async function saveGame(write) {
+    if (editor.active) toggleEditor()
+    try {
+      await write(await createSnapshot(saveTargets))
+      console.log('💾 Saved')
+    } catch (err) {
+      console.warn('⚠️  Save failed:', err)
+    }
+  }
+
+  // Export the terrain as it stands, edits included (F4): the heightmap as a
+  // 16-bit PNG that loads back at the same scale, and the mesh as GLB
+  async function exportTerrain() {
+    try {
+      downloadFile(await terrainBuilder.toPNG(), 'terrain.png', 'image/png')
+      downloadFile(terrainBuilder.toGLB(), 'terrain.glb', 'model/gltf-binary')
+      console.log('📦 Exported terrain.png and terrain.glb')
+    } catch (err) {
+      console.warn('⚠️  Export failed:', err)
+    }
+  }
+
+  async function loadGame(read) {
+    try {
+      const snapshot = await read()
+      if (!snapshot) return
+      if (vehicle.driving) toggleVehicle()
+      if (editor.active)   toggleEditor()
+      await applySnapshot(snapshot, saveTargets)
+      editor.history.clear()   // undo steps would paste over the loaded terrain
+      console.log('💾 Loaded save from', snapshot.savedAt)
+    } catch (err) {
+      console.warn('⚠️  Load failed:', err)
+    }
+  }
+
+  // Multiplayer: ?server=ws://localhost:8787 joins a GameServer (npm run server).
+  // The server owns movement; the car, saves and replays stay single-player.
+  let net = null, remotes = null
+  if (serverUrl) {
+    net     = new NetClient({ url: serverUrl, player, world, terrain: terrainBuilder })
+    remotes = new RemotePlayers({ scene })
+    net.on('welcome', ({ id }) => {
+      if (vehicle.driving) toggleVehicle()
+      console.log(`🌐 Joined ${serverUrl} as player ${id}`)
+    })
+    net.on('snapshot', snapshot => remotes.push(snapshot))
+    net.on('error', ({ message }) => console.warn('⚠️  Multiplayer:', message))
+    net.on('close', () => console.log('🌐 Disconnected from', serverUrl))
+  }
+
+  // Record / replay: F8 starts recording, F8 again stops and downloads it.
+  // F10 replays the last recording (or asks for a file) from its start state.
+  let recorder = null, replay = null, lastRecording = null, busy = false
+
+  async function toggleRecording() {
+    if (busy || replay || editor.active || net?.connected) return
+    if (recorder) {
+      lastRecording = recorder.stop()
+      recorder = null
+      exportRecording(lastRecording)
+      console.log(`⏺️  Recorded ${lastRecording.ticks.length} ticks`)
+      return
+    }
+    if (vehicle.driving) return console.warn('⚠️  Recording only covers the player on foot')
+    busy = true
+    try {
+      recorder = await InputRecorder.start({ player, input, targets: saveTargets, seed: 1337, hz: timestep.hz })
+      console.log('⏺️  Recording...')
+    } catch (err) {
+      console.warn('⚠️  Recording failed:', err)
+    }
+    busy = false
+  }
+
+  async function startReplay() {
+    if (busy || recorder || replay || editor.active || net?.connected) return
+    busy = true
+    try {
+      const recording = lastRecording ?? await importRecording()
+      if (recording) {
+        if (recording.hz !== timestep.hz) throw new Error(`recorded at ${recording.hz} Hz, running at ${timestep.hz} Hz`)
+        if (vehicle.driving) toggleVehicle()
+        replay = await ReplayPlayer.start({ recording, player, targets: saveTargets })
+        editor.history.clear()
+        timestep.accumulator = 0
+        console.log(`▶️  Replaying ${recording.ticks.length} ticks`)
+      }
+    } catch (err) {
+      console.warn('⚠️  Replay failed:', err)
+    }
+    busy = false
+  }
+
+  function stopReplay() {
+    replay.stop()
+    if (replay.divergedAt === -1) console.log('✅ Replay matched the recording')
+    replay = null
+  }
+
+  // The full map needs the mouse: release pointer lock while it's open
+  let mapWasLocked = false
+  function toggleMap() {
+    const wasLocked = input.locked
+    if (mapView.toggle()) {
+      if (wasLocked) document.exitPointerLock()
+      mapWasLocked = wasLocked
+    } else if (mapWasLocked) {
+      // A key press counts as a user gesture, so this usually re-locks
+      Promise.resolve(input.element.requestPointerLock()).catch(() => {})
+    }
+  }
 
   // Show the "Click to Enter" overlay
   const overlay = document.getElementById('click-to-play')
@@ -120,23 +404,95 @@ async function main() {
   // 11 ── Game loop ──────────────────────────────────────────────────────────
   const MAX_SPEED = player.MOVE_SPEED * player.SPRINT_MULT
   let prevTime = performance.now()
+  let state    = { position: new THREE.Vector3(), speed: 0 }
+  const heading = new THREE.Vector3()
+
+  function physicsStep(dt) {
+    water.applyForces(world, dt)
+    world.step()
+    const carState = vehicle.update(dt)
+    crowd?.update(dt)
+    if (vehicle.driving) {
+      state = carState
+    } else if (replay && !replay.done) {
+      replay.beforeTick()
+      state = player.update(dt)
+      const { tick, diverged, expected, actual } = replay.afterTick()
+      if (diverged) console.warn(`⚠️  Replay diverged at tick ${tick} (expected ${expected}, got ${actual})`)
+    } else {
+      net?.beforeTick()
+      recorder?.beforeTick()
+      state = player.update(dt)
+      recorder?.afterTick()
+      net?.afterTick()
+    }
+    props.update()
+  }
 
   function loop() {
     requestAnimationFrame(loop)
 
-    const now = performance.now()
-    const dt  = Math.min((now - prevTime) / 1000, 0.05)
-    prevTime  = now
+    const now     = performance.now()
+    const frameDt = Math.min((now - prevTime) / 1000, 0.25)   // e.g. back from a hidden tab
+    prevTime      = now
 
-    // Step Rapier physics then update player
-    world.step()
-    const { position, speed } = player.update(dt)
+    input.update(frameDt)
+    if (replay?.done) stopReplay()
+    if (input.pressed('record')) toggleRecording()
+    if (input.pressed('replay')) startReplay()
+    if (input.pressed('map'))     toggleMap()
+    if (input.pressed('zoomIn'))  mapView.zoomBy(1)
+    if (input.pressed('zoomOut')) mapView.zoomBy(-1)
+    if (input.pressed('exportTerrain')) exportTerrain()
+    if (!replay && !recorder && !net?.connected) {
+      if (input.pressed('editor'))   toggleEditor()
+      if (input.pressed('interact') && !editor.active) toggleVehicle()
+      if (input.pressed('quickSave'))  saveGame(save => saveToSlot('quick', save))
+      if (input.pressed('exportSave')) saveGame(save => exportSnapshot(save))
+      if (input.pressed('quickLoad'))  loadGame(() => loadFromSlot('quick'))
+      if (input.pressed('importSave')) loadGame(() => importSnapshot())
+    }
+    if (editor.active) {
+      if (input.pressed('prevTool'))      editor.cycleTool(-1)
+      if (input.pressed('nextTool'))      editor.cycleTool(1)
+      if (input.pressed('brushSmaller'))  editor.setRadius(editor.radius / 1.25)
+      if (input.pressed('brushBigger'))   editor.setRadius(editor.radius * 1.25)
+      if (input.pressed('brushWeaker'))   editor.setStrength(editor.strength - 0.1)
+      if (input.pressed('brushStronger')) editor.setStrength(editor.strength + 0.1)
+      if (input.pressed('undo')) editor.undo()
+      if (input.pressed('redo')) editor.redo()
+    }
+    if (input.pressed('throw') && input.active && !editor.active && !vehicle.driving && !replay && !recorder) {
+      props.throwFrom(camera, { shape: SHAPES[Math.floor(Math.random() * SHAPES.length)] })
+    }
+
+    // Step Rapier physics then draw everything between the last two steps
+    const alpha = timestep.advance(frameDt, physicsStep)
+    if (!vehicle.driving) player.interpolate(alpha)
+    vehicle.interpolate(alpha, frameDt)
+    props.sync(alpha)
+    crowd?.sync(alpha)
+    remotes?.update()
+
+    const { position, speed } = state
+    camera.getWorldDirection(heading)
+    mapView.update({
+      position,
+      yaw: vehicle.driving ? Math.atan2(-heading.x, -heading.z) : player.yaw,
+      camera,
+    })
+    if (terrainChunks) terrainChunks.update(position)
+    if (terrainLOD)    terrainLOD.update(camera.position)
+    sky.update(frameDt, camera.position)
+    editor.update(frameDt, { origin: camera.position, direction: heading, down: input.isDown('brush') })
+    if (scatter)       scatter.update(camera.position)
 
     // HUD
     posX.textContent = `X: ${position.x.toFixed(1)}`
     posY.textContent = `Y: ${position.y.toFixed(1)}`
     posZ.textContent = `Z: ${position.z.toFixed(1)}`
-    speedFill.style.width = Math.min(100, (speed / MAX_SPEED) * 100) + '%'
+    const maxSpeed = vehicle.driving ? vehicle.TOP_SPEED : MAX_SPEED
+    speedFill.style.width = Math.min(100, (speed / maxSpeed) * 100) + '%'
 
     renderer.render(scene, camera)
   }
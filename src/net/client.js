@@ -0,0 +1,193 @@
+import { packActions, FrameInput } from '../core/actions.js'
+import { PROTOCOL_VERSION, NOCLIP_BIT, encode, decode, terrainChecksum } from './protocol.js'
+
+/**
+ * NetClient
+ * Connects a local player to a GameServer (server/game.js).
+ *
+ * Prediction: the local controller keeps simulating every physics tick
+ * as usual; each tick's input goes to the server too, tagged with a
+ * sequence number, and is kept until the server acknowledges it.
+ *
+ * Reconciliation: every snapshot says which input the server applied
+ * last and where that left the player. If that differs from what was
+ * predicted for the same input, the player is reset to the server's state
+ * and the still-unacknowledged inputs are re-applied on top
+ * (PlayerController.fastForward), so the correction lands in the present.
+ *
+ * Works with any PlayerController (FPSController in the browser, a bare
+ * one for bots) and any WebSocket implementation.
+ *
+ * Usage:
+ *   const net = new NetClient({ url: 'ws://localhost:8787', player, world, terrain })
+ *   net.on('snapshot', snapshot => remotes.push(snapshot))
+ *   // per physics step:
+ *   world.step()
+ *   net.beforeTick(); player.update(dt); net.afterTick()
+ */
+export class NetClient {
+  constructor({
+    url,
+    player,                  // PlayerController to predict with
+    world,                   // its Rapier world (for the tick length)
+    terrain = null,          // checked against the server's heights when given
+    WebSocket: Socket = globalThis.WebSocket,
+  }) {
+    this.player  = player
+    this.world   = world
+    this.terrain = terrain
+
+    this.id          = null
+    this.ready       = false   // welcomed, and the terrain matched
+    this.corrections = 0       // snapshots that disagreed with the prediction
+
+    // ── Tuning ───────────────────────────────────────────────────
+    this.TOLERANCE     = 0.001  // metres of disagreement ignored
+    this.SNAP_DISTANCE = 3      // corrections larger than this teleport (no smoothing)
+
+    this._seq       = 0
+    this._pending   = []        // sent, unacknowledged inputs (oldest first)
+    this._input     = new FrameInput()
+    this._liveInput = null      // player's own input while a tick is running
+    this._listeners = {}
+
+    this.socket = new Socket(url)
+    this.socket.onmessage = event => this._receive(decode(event.data))
+    this.socket.onclose   = () => {
+      this.ready = false
+      this._emit('close', {})
+    }
+  }
+
+  /** Connected and in sync with the server? */
+  get connected() {
+    return this.ready && this.socket.readyState === 1
+  }
+
+  /**
+   * Subscribe to:
+   *   'welcome'    — { id }
+   *   'snapshot'   — the server snapshot (see protocol.js)
+   *   'correction' — { error } metres the prediction was off
+   *   'error'      — { message } (the connection is closed)
+   *   'close'      — {}
+   * @returns {() => void} unsubscribe
+   */
+  on(type, fn) {
+    const list = this._listeners[type] ??= []
+    list.push(fn)
+    return () => {
+      this._listeners[type] = this._listeners[type].filter(l => l !== fn)
+    }
+  }
+
+  /**
+   * Send this tick's input and hand it to the player for update().
+   * Call right before player.update(); does nothing until welcomed.
+   */
+  beforeTick() {
+    if (!this.connected) return
+    const { player } = this
+    const live = player.input
+    const move = live.getMove()
+    const frame = {
+      seq:   this._seq++,
+      mask:  packActions(live) & ~NOCLIP_BIT,
+      move:  [move.x, move.y],
+      yaw:   player.yaw,
+      pitch: player.pitch,
+    }
+    this.socket.send(encode('input', frame))
+    this._pending.push(frame)
+
+    // Predict with exactly what the server will see
+    this._apply(frame)
+    this._liveInput = live
+    player.input    = this._input
+  }
+
+  /** Remember the prediction and give the player its input back. Call right after player.update(). */
+  afterTick() {
+    if (!this._liveInput) return
+    this._pending[this._pending.length - 1].predicted = this._target()
+    this.player.input = this._liveInput
+    this._liveInput   = null
+  }
+
+  close() {
+    this.socket.close()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _receive(message) {
+    if (message?.type === 'welcome')  this._welcome(message)
+    if (message?.type === 'snapshot' && this.ready) {
+      this._reconcile(message)
+      this._emit('snapshot', message)
+    }
+  }
+
+  _welcome({ version, id, hz, terrain, state }) {
+    const fail = message => {
+      this._emit('error', { message })
+      this.socket.close()
+    }
+    if (version !== PROTOCOL_VERSION) return fail(`server speaks protocol ${version}, client ${PROTOCOL_VERSION}`)
+    if (Math.abs(this.world.timestep - 1 / hz) > 1e-9) return fail(`server runs at ${hz} Hz, client at ${1 / this.world.timestep} Hz`)
+    if (this.terrain && (terrain.width !== this.terrain.width || terrain.height !== this.terrain.depth
+      || terrain.checksum !== terrainChecksum(this.terrain.heights))) {
+      return fail('server terrain differs from ours')
+    }
+
+    this.id    = id
+    this.ready = true
+    this.player.setState(state)
+    this._emit('welcome', { id })
+  }
+
+  /** Compare the server's result for the acked input with our prediction */
+  _reconcile({ ack, you }) {
+    const pending = this._pending
+    let acked = null
+    while (pending.length && pending[0].seq <= ack) acked = pending.shift()
+    if (!acked?.predicted) return
+
+    const p = you.position, q = acked.predicted
+    const error = Math.hypot(p.x - q.x, p.y - q.y, p.z - q.z)
+    if (error <= this.TOLERANCE) return
+
+    const { player } = this
+    const live = player.input, yaw = player.yaw, pitch = player.pitch
+    player.setState(you, { teleport: error > this.SNAP_DISTANCE })
+
+    // Re-apply everything the server hasn't seen yet, refreshing predictions
+    player.input = this._input
+    player.fastForward(pending.length, this.world.timestep, i => {
+      if (i > 0) pending[i - 1].predicted = this._target()
+      this._apply(pending[i])
+    })
+    if (pending.length) pending[pending.length - 1].predicted = this._target()
+
+    player.input = live
+    player.yaw   = yaw
+    player.pitch = pitch
+    this.corrections++
+    this._emit('correction', { error })
+  }
+
+  _apply(frame) {
+    this._input.set(frame.mask, frame.move[0], frame.move[1])
+    this.player.yaw   = frame.yaw
+    this.player.pitch = frame.pitch
+  }
+
+  /** Where the player's last update() is taking the body */
+  _target() {
+    const p = this.player.body.nextTranslation()
+    return { x: p.x, y: p.y, z: p.z }
+  }
+
+  _emit(type, event) {
+    for (const fn of this._listeners[type] ?? []) fn(event)
+  }
+}
@@ -0,0 +1,52 @@
+import { actionBit } from '../core/actions.js'
+
+/**
+ * Multiplayer wire protocol
+ * JSON text messages over one WebSocket per player. The server runs the
+ * authoritative simulation at HZ; clients predict their own player
+ * locally and send one `input` per physics tick.
+ *
+ * client → server
+ *   input     { seq, mask, move: [x, y], yaw, pitch }
+ *             one physics tick of input; `mask` packs TICK_ACTIONS
+ *
+ * server → client
+ *   welcome   { version, id, hz, terrain: { width, height, checksum }, state }
+ *             your id, and your player's starting PlayerController state
+ *   snapshot  { tick, ack, you, players: [{ id, x, y, z, yaw, crouching }] }
+ *             sent every SNAPSHOT_EVERY ticks; `ack` is the last input seq
+ *             applied and `you` your player's state right after it
+ */
+
+export const PROTOCOL_VERSION = 1
+export const HZ             = 60   // server physics steps per second
+export const SNAPSHOT_EVERY = 3    // ticks between snapshots (20 per second)
+export const DEFAULT_PORT   = 8787
+
+// Flying through the level is single-player only; servers ignore the bit
+export const NOCLIP_BIT = actionBit('noclip')
+
+export function encode(type, body) {
+  return JSON.stringify({ type, ...body })
+}
+
+/** @returns {object|null} the message, or null if it isn't one */
+export function decode(data) {
+  try {
+    const message = JSON.parse(typeof data === 'string' ? data : data.toString())
+    return typeof message?.type === 'string' ? message : null
+  } catch {
+    return null
+  }
+}
+
+/**
+ * 32-bit FNV-1a over height samples, so a client can check it loaded the
+ * same terrain as the server before predicting movement on it.
+ */
+export function terrainChecksum(heights) {
+  const bytes = new Uint8Array(heights.buffer, heights.byteOffset, heights.byteLength)
+  let h = 2166136261
+  for (let i = 0; i < bytes.length; i++) h = Math.imul(h ^ bytes[i], 16777619)
+  return h >>> 0
+}
@@ -0,0 +1,89 @@
+import * as THREE from 'three'
+import { HZ } from './protocol.js'
+
+/**
+ * RemotePlayers
+ * Draws the other players from server snapshots as capsules. Snapshots
+ * arrive ~20 times a second with jitter, so each capsule is drawn a
+ * little in the past (`delay`) and interpolated between the two
+ * snapshots around that moment — smooth at the cost of ~100 ms latency.
+ *
+ * Usage:
+ *   const remotes = new RemotePlayers({ scene })
+ *   net.on('snapshot', snapshot => remotes.push(snapshot))
+ *   // per render frame:
+ *   remotes.update()
+ */
+export class RemotePlayers {
+  constructor({
+    scene,
+    delay = 0.1,          // seconds behind the newest snapshot
+    radius = 0.4,         // match PlayerController's capsule
+    halfHeight = 0.5,
+    crouchHalfHeight = 0.1,
+    color = 0xd9713b,
+  }) {
+    this.scene  = scene
+    this.delay  = delay
+    this.players = new Map()   // id → { mesh, samples: [{ t, x, y, z, yaw, crouching }] }
+
+    this._geometry = new THREE.CapsuleGeometry(radius, halfHeight * 2, 4, 12)
+    this._material = new THREE.MeshLambertMaterial({ color })
+    this._crouchScale = (crouchHalfHeight + radius) / (halfHeight + radius)
+    this._offset = Infinity    // local clock minus server clock (smallest seen)
+  }
+
+  /** Buffer a snapshot; players missing from it are removed */
+  push(snapshot, time = performance.now() / 1000) {
+    const serverTime = snapshot.tick / HZ
+    this._offset = Math.min(this._offset, time - serverTime)
+
+    const seen = new Set()
+    for (const { id, x, y, z, yaw, crouching } of snapshot.players) {
+      seen.add(id)
+      let remote = this.players.get(id)
+      if (!remote) {
+        const mesh = new THREE.Mesh(this._geometry, this._material)
+        mesh.castShadow = true
+        mesh.name = `player-${id}`
+        this.scene.add(mesh)
+        remote = { mesh, samples: [] }
+        this.players.set(id, remote)
+      }
+      remote.samples.push({ t: serverTime, x, y, z, yaw, crouching })
+      if (remote.samples.length > 16) remote.samples.shift()
+    }
+
+    for (const [id, remote] of this.players) {
+      if (seen.has(id)) continue
+      this.scene.remove(remote.mesh)
+      this.players.delete(id)
+    }
+  }
+
+  /** Place every capsule at `delay` seconds in the past */
+  update(time = performance.now() / 1000) {
+    const t = time - this._offset - this.delay
+    for (const { mesh, samples } of this.players.values()) {
+      // Newest sample at or before t, and the one after it
+      let i = samples.length - 1
+      while (i > 0 && samples[i].t > t) i--
+      const a = samples[i], b = samples[Math.min(i + 1, samples.length - 1)]
+      const f = b.t > a.t ? Math.max(0, Math.min(1, (t - a.t) / (b.t - a.t))) : 0
+
+      mesh.position.set(a.x + (b.x - a.x) * f, a.y + (b.y - a.y) * f, a.z + (b.z - a.z) * f)
+      // Shortest way round between the two headings
+      const turn = Math.atan2(Math.sin(b.yaw - a.yaw), Math.cos(b.yaw - a.yaw))
+      mesh.rotation.y = a.yaw + turn * f
+      const crouching = f < 0.5 ? a.crouching : b.crouching
+      mesh.scale.y = crouching ? this._crouchScale : 1
+    }
+  }
+
+  dispose() {
+    for (const { mesh } of this.players.values()) this.scene.remove(mesh)
+    this.players.clear()
+    this._geometry.dispose()
+    this._material.dispose()
+  }
+}
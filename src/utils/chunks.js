@@ -0,0 +1,280 @@
+import * as THREE from 'three'
+import { TerrainBuilder } from './terrain.js'
+
+/**
+ * TerrainChunkManager
+ * Streams a large height field as a grid of square tiles around the player.
+ * Each tile owns:
+ *   1. a Three.js mesh built by its own TerrainBuilder
+ *   2. a fixed Rapier body with a heightfield collider
+ *
+ * Neighbouring tiles share their border vertices, and normals are taken
+ * from the global field rather than the tile, so edges meet without
+ * cracks or lighting seams.
+ *
+ * Usage:
+ *   const chunks = TerrainChunkManager.fromHeightmap({ scene, world, RAPIER, heights, width, height })
+ *   // in game loop:
+ *   chunks.update(player.getPosition())
+ */
+export class TerrainChunkManager {
+  constructor({
+    scene,
+    world,
+    RAPIER,
+    sampleHeight,          // (col, row) => normalised 0..1 height on the global grid
+    gridWidth = null,      // vertices along X of a finite map (null = endless)
+    gridDepth = gridWidth, // vertices along Z of a finite map
+    cellSizeX = 2,         // metres between grid vertices along X
+    cellSizeZ = cellSizeX, // ... and along Z
+    heightScale = 14,
+    heightOffset = 0,
+    chunkCells = 64,       // cells per tile side
+    viewDistance = 160,    // tiles closer than this (m) are loaded
+    unloadMargin = 32,     // extra distance (m) before a loaded tile is dropped
+    maxBuildsPerUpdate = 2,
+    friction = 0.9,
+  }) {
+    const finite = gridWidth !== null
+    if (finite && ((gridWidth - 1) % chunkCells !== 0 || (gridDepth - 1) % chunkCells !== 0)) {
+      throw new Error(
+        `TerrainChunkManager: ${gridWidth - 1}×${gridDepth - 1} cells is not divisible into ${chunkCells}-cell tiles`
+      )
+    }
+
+    this.scene        = scene
+    this.world        = world
+    this.RAPIER       = RAPIER
+    this.sampleHeight = sampleHeight
+    this.gridWidth    = gridWidth
+    this.gridDepth    = gridDepth
+    this.cellSizeX    = cellSizeX
+    this.cellSizeZ    = cellSizeZ
+    this.heightScale  = heightScale
+    this.heightOffset = heightOffset
+    this.chunkCells   = chunkCells
+    this.viewDistance = viewDistance
+    this.unloadMargin = unloadMargin
+    this.maxBuildsPerUpdate = maxBuildsPerUpdate
+    this.friction     = friction
+
+    // Finite maps are centred on the world origin like a single TerrainBuilder
+    this.originX = finite ? -(gridWidth - 1) * cellSizeX / 2 : 0
+    this.originZ = finite ? -(gridDepth - 1) * cellSizeZ / 2 : 0
+    this.chunkSizeX  = chunkCells * cellSizeX   // metres per tile along X
+    this.chunkSizeZ  = chunkCells * cellSizeZ   // ... and along Z
+    this.chunkCountX = finite ? (gridWidth - 1) / chunkCells : Infinity
+    this.chunkCountZ = finite ? (gridDepth - 1) / chunkCells : Infinity
+
+    this.chunks = new Map()   // "cx,cz" → { cx, cz, builder, mesh, body }
+  }
+
+  /**
+   * Tile a row-major heightmap (e.g. from loadHeightmap) centred on the origin.
+   */
+  static fromHeightmap({
+    heights,
+    size,
+    width = size,
+    height = size,
+    worldSizeX = 200,
+    worldSizeZ = worldSizeX * (height - 1) / (width - 1),
+    ...options
+  }) {
+    return new TerrainChunkManager({
+      ...options,
+      gridWidth: width,
+      gridDepth: height,
+      cellSizeX: worldSizeX / (width - 1),
+      cellSizeZ: worldSizeZ / (height - 1),
+      sampleHeight: (col, row) => {
+        col = Math.max(0, Math.min(width - 1, col))
+        row = Math.max(0, Math.min(height - 1, row))
+        return heights[row * width + col]
+      },
+    })
+  }
+
+  /**
+   * Load tiles near `position` and drop the ones that fell out of range.
+   * @param {{ x: number, z: number }} position  Usually the player position
+   * @param {number} [budget]  Max tiles to build this call (Infinity to build all)
+   */
+  update(position, budget = this.maxBuildsPerUpdate) {
+    const { chunkSizeX, chunkSizeZ, viewDistance, unloadMargin } = this
+
+    // ── Unload distant tiles ────────────────────────────────────
+    const dropDistance = viewDistance + unloadMargin
+    for (const [key, chunk] of this.chunks) {
+      if (this._distanceToChunk(position, chunk.cx, chunk.cz) > dropDistance) {
+        this._disposeChunk(chunk)
+        this.chunks.delete(key)
+      }
+    }
+
+    // ── Collect missing tiles in range, nearest first ───────────
+    const reachX = Math.ceil(viewDistance / chunkSizeX)
+    const reachZ = Math.ceil(viewDistance / chunkSizeZ)
+    const pcx = Math.floor((position.x - this.originX) / chunkSizeX)
+    const pcz = Math.floor((position.z - this.originZ) / chunkSizeZ)
+
+    const missing = []
+    for (let cz = pcz - reachZ; cz <= pcz + reachZ; cz++) {
+      for (let cx = pcx - reachX; cx <= pcx + reachX; cx++) {
+        if (!this._inBounds(cx, cz) || this.chunks.has(`${cx},${cz}`)) continue
+        const d = this._distanceToChunk(position, cx, cz)
+        if (d <= viewDistance) missing.push({ cx, cz, d })
+      }
+    }
+    missing.sort((a, b) => a.d - b.d)
+
+    for (let i = 0; i < missing.length && i < budget; i++) {
+      const { cx, cz } = missing[i]
+      this.chunks.set(`${cx},${cz}`, this._buildChunk(cx, cz))
+    }
+  }
+
+  /**
+   * Get interpolated height at world position (x, z) from the global field
+   */
+  getHeightAtWorld(x, z) {
+    const gx = (x - this.originX) / this.cellSizeX
+    const gz = (z - this.originZ) / this.cellSizeZ
+    const col0 = Math.floor(gx)
+    const row0 = Math.floor(gz)
+    const fx = gx - col0
+    const fz = gz - row0
+
+    const h00 = this._worldHeight(col0,     row0)
+    const h10 = this._worldHeight(col0 + 1, row0)
+    const h01 = this._worldHeight(col0,     row0 + 1)
+    const h11 = this._worldHeight(col0 + 1, row0 + 1)
+
+    return h00 * (1 - fx) * (1 - fz)
+         + h10 * fx * (1 - fz)
+         + h01 * (1 - fx) * fz
+         + h11 * fx * fz
+  }
+
+  /**
+   * Rebuild loaded tiles that overlap a grid region whose heights changed.
+   * @param {{ minRow: number, maxRow: number, minCol: number, maxCol: number }} region
+   */
+  invalidate({ minRow, maxRow, minCol, maxCol }) {
+    const C = this.chunkCells
+    // Normals read one vertex beyond the edit, so widen the region by one
+    for (const [key, chunk] of this.chunks) {
+      const col0 = chunk.cx * C, row0 = chunk.cz * C
+      if (col0 > maxCol + 1 || col0 + C < minCol - 1) continue
+      if (row0 > maxRow + 1 || row0 + C < minRow - 1) continue
+      this._disposeChunk(chunk)
+      this.chunks.set(key, this._buildChunk(chunk.cx, chunk.cz))
+    }
+  }
+
+  /** Remove every tile from the scene and the physics world */
+  dispose() {
+    for (const chunk of this.chunks.values()) this._disposeChunk(chunk)
+    this.chunks.clear()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _inBounds(cx, cz) {
+    if (this.gridWidth === null) return true
+    return cx >= 0 && cz >= 0 && cx < this.chunkCountX && cz < this.chunkCountZ
+  }
+
+  _worldHeight(col, row) {
+    return this.sampleHeight(col, row) * this.heightScale + this.heightOffset
+  }
+
+  /** Horizontal distance from a point to the nearest edge of tile (cx, cz) */
+  _distanceToChunk(position, cx, cz) {
+    const minX = this.originX + cx * this.chunkSizeX
+    const minZ = this.originZ + cz * this.chunkSizeZ
+    const dx = Math.max(minX - position.x, 0, position.x - (minX + this.chunkSizeX))
+    const dz = Math.max(minZ - position.z, 0, position.z - (minZ + this.chunkSizeZ))
+    return Math.hypot(dx, dz)
+  }
+
+  _buildChunk(cx, cz) {
+    const { chunkCells, cellSizeX, cellSizeZ, RAPIER, world } = this
+    const size = chunkCells + 1
+    const col0 = cx * chunkCells
+    const row0 = cz * chunkCells
+
+    // One extra vertex per side so the border is shared with the neighbour
+    const heights = new Float32Array(size * size)
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        heights[row * size + col] = this.sampleHeight(col0 + col, row0 + row)
+      }
+    }
+
+    const builder = new TerrainBuilder({
+      heights,
+      size,
+      worldSizeX:   this.chunkSizeX,
+      worldSizeZ:   this.chunkSizeZ,
+      heightScale:  this.heightScale,
+      heightOffset: this.heightOffset,
+    })
+
+    const centerX = this.originX + (col0 + chunkCells / 2) * cellSizeX
+    const centerZ = this.originZ + (row0 + chunkCells / 2) * cellSizeZ
+
+    // ── Mesh ────────────────────────────────────────────────────
+    const mesh = builder.buildMesh()
+    mesh.name = `terrain-${cx}-${cz}`
+    mesh.position.set(centerX, 0, centerZ)
+    this._applyGlobalNormals(mesh, col0, row0, size)
+    this.scene.add(mesh)
+
+    // ── Collider ────────────────────────────────────────────────
+    // Rapier heightfields are centred on their body, heights scaled by scale.y
+    const { nrows, ncols, heights: hf, scale } = builder.buildRapierHeightfield(RAPIER)
+    const body = world.createRigidBody(
+      RAPIER.RigidBodyDesc.fixed().setTranslation(centerX, this.heightOffset, centerZ)
+    )
+    world.createCollider(
+      RAPIER.ColliderDesc
+        .heightfield(nrows, ncols, hf, new RAPIER.Vector3(scale.x, scale.y, scale.z))
+        .setFriction(this.friction),
+      body
+    )
+
+    return { cx, cz, builder, mesh, body }
+  }
+
+  /**
+   * Replace per-tile normals with central differences over the global
+   * field, so both sides of a shared edge get the exact same normal.
+   */
+  _applyGlobalNormals(mesh, col0, row0, size) {
+    const normals = mesh.geometry.attributes.normal
+    const n = new THREE.Vector3()
+    const { cellSizeX, cellSizeZ } = this
+
+    for (let row = 0; row < size; row++) {
+      for (let col = 0; col < size; col++) {
+        const gc = col0 + col
+        const gr = row0 + row
+        const hL = this._worldHeight(gc - 1, gr)
+        const hR = this._worldHeight(gc + 1, gr)
+        const hD = this._worldHeight(gc, gr - 1)
+        const hU = this._worldHeight(gc, gr + 1)
+        // (-dh/dx, 1, -dh/dz) scaled by 4·cellSizeX·cellSizeZ
+        n.set((hL - hR) * 2 * cellSizeZ, 4 * cellSizeX * cellSizeZ, (hD - hU) * 2 * cellSizeX).normalize()
+        normals.setXYZ(row * size + col, n.x, n.y, n.z)
+      }
+    }
+    normals.needsUpdate = true
+  }
+
+  _disposeChunk(chunk) {
+    this.scene.remove(chunk.mesh)
+    chunk.mesh.geometry.dispose()
+    chunk.mesh.material.dispose()
+    this.world.removeRigidBody(chunk.body)   // also removes its collider
+  }
+}
@@ -0,0 +1,261 @@
+import * as THREE from 'three'
+
+/**
+ * DayNightCycle
+ * Time of day for the whole scene: moves the sun and moon, and blends
+ * sky, fog, ambient, hemisphere and light colours through dawn, day,
+ * dusk and night.
+ *
+ * One DirectionalLight casts all the shadows: it follows the sun by day
+ * and the moon by night, handing over at the horizon where both are dark
+ * (switching shadow casters would recompile every material). Its shadow
+ * frustum is a box of ±`shadowDistance` around the player rather than the
+ * whole terrain, so shadow resolution holds on big maps; the box moves in
+ * whole shadow-map texels to keep edges from shimmering.
+ *
+ * Time is in hours (0–24, 12 = noon). The sun rises in the east (+X),
+ * passes south (+Z) and sets in the west.
+ *
+ * Usage:
+ *   const sky = new DayNightCycle({ scene, time: 9, timeScale: 60 })
+ *   sky.time = 18.5        // jump to dusk
+ *   sky.timeScale = 0      // freeze
+ *   // per render frame:
+ *   sky.update(dt, player.getPosition())
+ */
+export class DayNightCycle {
+  constructor({
+    scene,
+    time = 10,               // hours
+    timeScale = 60,          // game seconds per real second (24 min days)
+    tilt = 30,               // degrees the sun's path leans south of overhead
+    shadowDistance = 60,     // metres of shadow around the player, each way
+    shadowMapSize = 2048,
+    skyDistance = 400,       // how far away the sun and moon discs are drawn
+  }) {
+    this.scene     = scene
+    this.time      = time
+    this.timeScale = timeScale
+    this.tilt      = tilt * Math.PI / 180
+    this.shadowDistance = shadowDistance
+    this.skyDistance    = skyDistance
+
+    // ── Lights ───────────────────────────────────────────────────
+    this.light = new THREE.DirectionalLight(0xffffff, 1)
+    this.light.castShadow = true
+    this.light.shadow.mapSize.set(shadowMapSize, shadowMapSize)
+    const cam = this.light.shadow.camera
+    cam.left = cam.bottom = -shadowDistance
+    cam.right = cam.top   =  shadowDistance
+    cam.near = 1
+    cam.far  = shadowDistance * 6
+    this.light.shadow.bias = -0.0005
+    this.light.shadow.normalBias = 0.02
+    this.ambient    = new THREE.AmbientLight(0xffffff, 0.5)
+    this.hemisphere = new THREE.HemisphereLight(0xffffff, 0xffffff, 0.4)
+    scene.add(this.light, this.light.target, this.ambient, this.hemisphere)
+
+    scene.background = new THREE.Color()
+    scene.fog        = new THREE.Fog(0xffffff, 80, 220)
+
+    // ── Sky objects ──────────────────────────────────────────────
+    const disc = (radius, color) => new THREE.Mesh(
+      new THREE.CircleGeometry(radius, 32),
+      new THREE.MeshBasicMaterial({ color, fog: false, transparent: true, depthWrite: false }),
+    )
+    this.sunDisc  = disc(14, 0xfff2c0)
+    this.moonDisc = disc(9, 0xdfe6ff)
+    this.stars    = createStars(skyDistance * 0.95)
+    scene.add(this.sunDisc, this.moonDisc, this.stars)
+
+    // Scratch, reused every frame
+    this.sunDirection  = new THREE.Vector3()   // towards the sun
+    this.moonDirection = new THREE.Vector3()
+    this._palette = blankPalette()
+    this._basis   = new THREE.Matrix4()
+    this._v       = new THREE.Vector3()
+    this._axis    = new THREE.Vector3()
+
+    this.update(0, { x: 0, y: 0, z: 0 })
+  }
+
+  /** 'dawn' | 'day' | 'dusk' | 'night' */
+  get phase() {
+    const elevation = this.sunDirection.y
+    if (elevation < -0.1) return 'night'
+    if (elevation > 0.25) return 'day'
+    return this.time < 12 ? 'dawn' : 'dusk'
+  }
+
+  /**
+   * Advance the clock and relight the scene.
+   * @param {number} dt  Real seconds since the last frame
+   * @param {{ x: number, y: number, z: number }} focus  Where shadows are
+   *   needed (the player); the sky objects are centred here too
+   */
+  update(dt, focus) {
+    this.time = (((this.time + dt * this.timeScale / 3600) % 24) + 24) % 24
+
+    // ── Sun and moon ────────────────────────────────────────────
+    // Angle along the sun's path: 0 at 6:00 (east horizon), π at 18:00 (west)
+    const angle = (this.time - 6) / 24 * Math.PI * 2
+    this.sunDirection.set(
+      Math.cos(angle),
+      Math.sin(angle) * Math.cos(this.tilt),
+      Math.sin(angle) * Math.sin(this.tilt),
+    )
+    this.moonDirection.copy(this.sunDirection).negate()
+
+    // ── Colours ─────────────────────────────────────────────────
+    const p = samplePalette(this.sunDirection.y, this.time < 12, this._palette)
+    this.scene.background.copy(p.sky)
+    this.scene.fog.color.copy(p.fog)
+    this.ambient.color.copy(p.ambient)
+    this.ambient.intensity = p.ambientIntensity
+    this.hemisphere.color.copy(p.sky)
+    this.hemisphere.groundColor.copy(p.ground)
+    this.hemisphere.intensity = p.hemisphereIntensity
+
+    // The key light is whichever of sun and moon is up
+    const sunUp = this.sunDirection.y > 0
+    const key   = sunUp ? this.sunDirection : this.moonDirection
+    const lift  = THREE.MathUtils.smoothstep(key.y, 0, 0.15)   // fade at the horizon
+    this.light.color.copy(sunUp ? p.sun : MOON_COLOR)
+    this.light.intensity = (sunUp ? p.sunIntensity : MOON_INTENSITY) * lift
+    this._placeShadow(key, focus)
+
+    // ── Sky objects ─────────────────────────────────────────────
+    const d = this.skyDistance
+    this.sunDisc.position.copy(focus).addScaledVector(this.sunDirection, d)
+    this.moonDisc.position.copy(focus).addScaledVector(this.moonDirection, d)
+    this.sunDisc.lookAt(focus.x, focus.y, focus.z)
+    this.moonDisc.lookAt(focus.x, focus.y, focus.z)
+    this.sunDisc.material.color.copy(p.sun).lerp(WHITE, 0.5)
+    this.sunDisc.material.opacity  = THREE.MathUtils.smoothstep(this.sunDirection.y, -0.05, 0.05)
+    this.moonDisc.material.opacity = THREE.MathUtils.smoothstep(this.moonDirection.y, -0.05, 0.05)
+
+    this.stars.position.copy(focus)
+    // Turn with the sky: about the axis of the sun's tilted path, so the
+    // stars keep their place relative to the sun and moon
+    this._axis.set(0, -Math.sin(this.tilt), Math.cos(this.tilt))
+    this.stars.quaternion.setFromAxisAngle(this._axis, angle)
+    this.stars.material.opacity = p.stars
+    this.stars.visible = p.stars > 0.01
+  }
+
+  dispose() {
+    this.scene.remove(this.light, this.light.target, this.ambient, this.hemisphere)
+    for (const object of [this.sunDisc, this.moonDisc, this.stars]) {
+      this.scene.remove(object)
+      object.geometry.dispose()
+      object.material.dispose()
+    }
+    this.light.dispose()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  /**
+   * Centre the shadow box on `focus`, snapped to shadow-map texels in
+   * light space so it doesn't shimmer as the player moves
+   */
+  _placeShadow(direction, focus) {
+    const { light, _basis: basis, _v: v } = this
+    const texel = (2 * this.shadowDistance) / light.shadow.mapSize.x
+
+    // Light-space axes: looking down `direction`
+    basis.lookAt(direction, ZERO, Math.abs(direction.y) > 0.99 ? FORWARD : UP)
+    v.copy(focus).applyMatrix4(_inverse.copy(basis).transpose())   // rotation only: inverse = transpose
+    v.x = Math.round(v.x / texel) * texel
+    v.y = Math.round(v.y / texel) * texel
+    v.applyMatrix4(basis)
+
+    light.target.position.copy(v)
+    light.position.copy(v).addScaledVector(direction, this.shadowDistance * 3)
+    light.target.updateMatrixWorld()
+  }
+}
+
+const ZERO    = new THREE.Vector3(0, 0, 0)
+const UP      = new THREE.Vector3(0, 1, 0)
+const FORWARD = new THREE.Vector3(0, 0, 1)
+const WHITE   = new THREE.Color(0xffffff)
+const MOON_COLOR     = new THREE.Color(0x9fb4e0)
+const MOON_INTENSITY = 0.35
+const _inverse = new THREE.Matrix4()
+
+// ── Palettes ─────────────────────────────────────────────────────────────────
+// Keyed by sun elevation (sin of its height above the horizon). Dawn and dusk
+// share elevations but not colours: mornings pinker, evenings more orange.
+const key = (elevation, o) => ({
+  elevation,
+  sky: new THREE.Color(o.sky), fog: new THREE.Color(o.fog ?? o.sky), ground: new THREE.Color(o.ground),
+  ambient: new THREE.Color(o.ambient), sun: new THREE.Color(o.sun),
+  ambientIntensity: o.ambientIntensity, hemisphereIntensity: o.hemisphereIntensity,
+  sunIntensity: o.sunIntensity, stars: o.stars,
+})
+
+const NIGHT = { sky: 0x0a1022, fog: 0x0c1326, ground: 0x0b120c, ambient: 0x22325a, sun: 0xff9a5a,
+  ambientIntensity: 0.35, hemisphereIntensity: 0.15, sunIntensity: 0, stars: 1 }
+const DAY   = { sky: 0x87ceeb, ground: 0x3d5e34, ambient: 0x4488bb, sun: 0xfff4e0,
+  ambientIntensity: 0.6, hemisphereIntensity: 0.4, sunIntensity: 1.8, stars: 0 }
+
+const DAWN_KEYS = [
+  key(-1,    NIGHT),
+  key(-0.15, NIGHT),
+  key(0,     { sky: 0x6b6a9a, fog: 0xc9a0a8, ground: 0x2b3328, ambient: 0x5a5a8a, sun: 0xff8a70,
+    ambientIntensity: 0.4, hemisphereIntensity: 0.25, sunIntensity: 0.6, stars: 0.3 }),
+  key(0.12,  { sky: 0xa9b8d8, fog: 0xe8c8b8, ground: 0x3a4f32, ambient: 0x6a80b0, sun: 0xffc8a0,
+    ambientIntensity: 0.5, hemisphereIntensity: 0.35, sunIntensity: 1.2, stars: 0 }),
+  key(0.3,   DAY),
+  key(1,     DAY),
+]
+const DUSK_KEYS = [
+  key(-1,    NIGHT),
+  key(-0.15, NIGHT),
+  key(0,     { sky: 0x5a4a78, fog: 0xd0806a, ground: 0x2a2e22, ambient: 0x604a70, sun: 0xff6a30,
+    ambientIntensity: 0.4, hemisphereIntensity: 0.25, sunIntensity: 0.7, stars: 0.3 }),
+  key(0.12,  { sky: 0xd0a070, fog: 0xe8b080, ground: 0x3d4a2c, ambient: 0x8a7070, sun: 0xffb070,
+    ambientIntensity: 0.5, hemisphereIntensity: 0.35, sunIntensity: 1.3, stars: 0 }),
+  key(0.3,   DAY),
+  key(1,     DAY),
+]
+
+function blankPalette() {
+  return {
+    sky: new THREE.Color(), fog: new THREE.Color(), ground: new THREE.Color(),
+    ambient: new THREE.Color(), sun: new THREE.Color(),
+    ambientIntensity: 0, hemisphereIntensity: 0, sunIntensity: 0, stars: 0,
+  }
+}
+
+/** Blend the two palette keys around `elevation` into `out` */
+function samplePalette(elevation, morning, out) {
+  const keys = morning ? DAWN_KEYS : DUSK_KEYS
+  let i = 1
+  while (i < keys.length - 1 && keys[i].elevation < elevation) i++
+  const a = keys[i - 1], b = keys[i]
+  const t = THREE.MathUtils.clamp((elevation - a.elevation) / (b.elevation - a.elevation), 0, 1)
+
+  for (const name of ['sky', 'fog', 'ground', 'ambient', 'sun']) out[name].lerpColors(a[name], b[name], t)
+  for (const name of ['ambientIntensity', 'hemisphereIntensity', 'sunIntensity', 'stars']) {
+    out[name] = a[name] + (b[name] - a[name]) * t
+  }
+  return out
+}
+
+/** A dome of stars, faded in at night */
+function createStars(radius, count = 1500) {
+  const positions = new Float32Array(count * 3)
+  for (let i = 0; i < count; i++) {
+    // Uniform on the sphere
+    const u = Math.random() * 2 - 1, phi = Math.random() * Math.PI * 2
+    const s = Math.sqrt(1 - u * u)
+    positions.set([s * Math.cos(phi) * radius, u * radius, s * Math.sin(phi) * radius], i * 3)
+  }
+  const geometry = new THREE.BufferGeometry()
+  geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3))
+  const material = new THREE.PointsMaterial({
+    color: 0xffffff, size: 1.5, sizeAttenuation: false, fog: false, transparent: true, depthWrite: false,
+  })
+  return new THREE.Points(geometry, material)
+}
@@ -0,0 +1,204 @@
+import { createSimplex2D } from '../core/noise.js'
+import { copyRegion } from '../core/history.js'
+
+/**
+ * TerrainDeformer
+ * Brush-based runtime editing of a TerrainBuilder height field.
+ * Each stroke:
+ *   1. edits `terrain.heights` inside the brush footprint
+ *   2. patches only the affected vertices/normals of the terrain mesh
+ *   3. swaps the Rapier heightfield collider for the new heights
+ *
+ * Rebuilding the collider means rebuilding the whole heightfield, so a
+ * caller editing every frame can pass `{ collider: false }` and call
+ * flushCollider() now and then instead.
+ *
+ * Usage:
+ *   const deformer = new TerrainDeformer({ terrain, mesh, collider, RAPIER })
+ *   deformer.apply({ tool: 'lower', x: 10, z: -4, radius: 6, strength: 2 })
+ */
+export class TerrainDeformer {
+  constructor({
+    terrain,         // TerrainBuilder whose heights are edited
+    RAPIER,
+    mesh = null,     // mesh from terrain.buildMesh() (single-mesh terrain)
+    lod = null,      // TerrainLOD rendering the terrain
+    collider = null, // heightfield collider built from terrain.buildRapierHeightfield()
+    chunks = null,   // TerrainChunkManager sharing terrain.heights (streamed terrain)
+    seed = 0,        // noise tool pattern
+    noiseScale = 0.15, // noise tool frequency (1/m)
+  }) {
+    this.terrain  = terrain
+    this.RAPIER   = RAPIER
+    this.mesh     = mesh
+    this.lod      = lod
+    this.collider = collider
+    this.chunks   = chunks
+    this.noiseScale = noiseScale
+    this._simplex = createSimplex2D(seed)
+
+    this._colliderDirty = false   // heights changed since the collider was built
+    this._listeners = []
+  }
+
+  /**
+   * Apply one brush stroke.
+   *   raise / lower — strength is metres added/removed at the brush centre
+   *   flatten       — strength (0..1) is how far to pull towards `height`
+   *   smooth        — strength (0..1) is how far to pull towards the local average
+   *   noise         — strength is the most metres added/removed, following
+   *                   a fixed simplex pattern, so repeated strokes roughen
+   *
+   * @param {object}  brush
+   * @param {'raise'|'lower'|'flatten'|'smooth'|'noise'} brush.tool
+   * @param {number}  brush.x         World X of the brush centre
+   * @param {number}  brush.z         World Z of the brush centre
+   * @param {number}  brush.radius    Brush radius in metres
+   * @param {number}  [brush.strength=1]
+   * @param {number}  [brush.falloff=0.5]  Fraction of the radius that fades out (0 = hard edge)
+   * @param {number}  [brush.height]  Flatten target in world metres (default: height at centre)
+   * @param {object}  [options]       Passed on to sync()
+   * @returns {{ minRow: number, maxRow: number, minCol: number, maxCol: number } | null}
+   *          Grid region that changed, or null if the brush missed the terrain
+   */
+  apply({ tool, x, z, radius, strength = 1, falloff = 0.5, height }, options) {
+    const { terrain } = this
+    const { width, cellSizeX, cellSizeZ, worldSizeX, worldSizeZ, heightScale, heightOffset } = terrain
+    const halfX = worldSizeX / 2
+    const halfZ = worldSizeZ / 2
+
+    const footprint = this.footprint({ x, z, radius })
+    if (!footprint) return null
+    const { minRow, maxRow, minCol, maxCol } = footprint
+
+    const heights = terrain.heights
+    const inner   = radius * (1 - Math.max(0, Math.min(1, falloff)))
+
+    let target = 0
+    if (tool === 'flatten') {
+      const worldTarget = height ?? terrain.getHeightAtWorld(x, z)
+      target = (worldTarget - heightOffset) / heightScale
+    }
+
+    // Smoothing reads neighbours, so sample them before anything is written:
+    // just the footprint plus the one-sample ring the 3×3 average reaches
+    let source = null, sourceRegion = null
+    if (tool === 'smooth') {
+      sourceRegion = {
+        minRow: Math.max(0, minRow - 1), maxRow: Math.min(terrain.depth - 1, maxRow + 1),
+        minCol: Math.max(0, minCol - 1), maxCol: Math.min(width - 1, maxCol + 1),
+      }
+      source = copyRegion(heights, width, sourceRegion)
+    }
+
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const d = Math.hypot(col * cellSizeX - halfX - x, row * cellSizeZ - halfZ - z)
+        if (d >= radius) continue
+
+        const w = this._weight(d, inner, radius)
+        const i = row * width + col
+
+        switch (tool) {
+          case 'raise':
+            heights[i] += w * strength / heightScale
+            break
+          case 'lower':
+            heights[i] -= w * strength / heightScale
+            break
+          case 'flatten':
+            heights[i] += (target - heights[i]) * w * Math.min(1, strength)
+            break
+          case 'smooth':
+            heights[i] += (this._average(source, sourceRegion, row, col) - heights[i]) * w * Math.min(1, strength)
+            break
+          case 'noise': {
+            const n = this._simplex((col * cellSizeX - halfX) * this.noiseScale, (row * cellSizeZ - halfZ) * this.noiseScale)
+            heights[i] += n * w * strength / heightScale
+            break
+          }
+          default:
+            throw new Error(`TerrainDeformer: unknown tool "${tool}"`)
+        }
+      }
+    }
+
+    const region = { minRow, maxRow, minCol, maxCol }
+    this.sync(region, options)
+    return region
+  }
+
+  /**
+   * Grid region a brush at (x, z) can touch, e.g. to copy it for undo
+   * before apply() writes to it.
+   * @returns {{ minRow: number, maxRow: number, minCol: number, maxCol: number } | null}
+   */
+  footprint({ x, z, radius }) {
+    const { width, depth, cellSizeX, cellSizeZ, worldSizeX, worldSizeZ } = this.terrain
+    const minCol = Math.max(0, Math.floor((x - radius + worldSizeX / 2) / cellSizeX))
+    const maxCol = Math.min(width - 1, Math.ceil((x + radius + worldSizeX / 2) / cellSizeX))
+    const minRow = Math.max(0, Math.floor((z - radius + worldSizeZ / 2) / cellSizeZ))
+    const maxRow = Math.min(depth - 1, Math.ceil((z + radius + worldSizeZ / 2) / cellSizeZ))
+    if (minCol > maxCol || minRow > maxRow) return null
+    return { minRow, maxRow, minCol, maxCol }
+  }
+
+  /**
+   * Push height changes in `region` to the mesh, collider and any listeners.
+   * Call this yourself after writing to `terrain.heights` directly.
+   * With `collider: false` the collider is left stale until the next sync
+   * that rebuilds it, or flushCollider().
+   */
+  sync(region, { collider = true } = {}) {
+    if (this.mesh)     this.terrain.updateMesh(this.mesh, region)
+    if (this.lod)      this.lod.invalidate(region)
+    if (this.chunks)   this.chunks.invalidate(region)
+    this._colliderDirty = true
+    if (collider) this.flushCollider()
+
+    for (const fn of this._listeners) fn(region)
+  }
+
+  /** Rebuild the collider if heights changed since it was last built */
+  flushCollider() {
+    if (!this._colliderDirty) return
+    this._colliderDirty = false
+    if (this.collider) this.terrain.updateRapierCollider(this.collider, this.RAPIER)
+  }
+
+  /**
+   * Subscribe to edits, e.g. to lift a player out of raised ground.
+   * @param {(region: object) => void} fn
+   * @returns {() => void} unsubscribe
+   */
+  onChange(fn) {
+    this._listeners.push(fn)
+    return () => {
+      this._listeners = this._listeners.filter(l => l !== fn)
+    }
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  /** 1 inside the hard core, smoothstep down to 0 at the radius */
+  _weight(d, inner, radius) {
+    if (d <= inner) return 1
+    const t = 1 - (d - inner) / (radius - inner)
+    return t * t * (3 - 2 * t)
+  }
+
+  /**
+   * 3×3 average around (row, col), clamped at the map edge. `source` is a
+   * copyRegion() of `region`, which must reach one sample past (row, col).
+   */
+  _average(source, { minRow, maxRow, minCol, maxCol }, row, col) {
+    const stride = maxCol - minCol + 1
+    let sum = 0, count = 0
+    for (let r = Math.max(minRow, row - 1); r <= Math.min(maxRow, row + 1); r++) {
+      for (let c = Math.max(minCol, col - 1); c <= Math.min(maxCol, col + 1); c++) {
+        sum += source[(r - minRow) * stride + (c - minCol)]
+        count++
+      }
+    }
+    return sum / count
+  }
+}
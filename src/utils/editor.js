@@ -0,0 +1,345 @@
+import * as THREE from 'three'
+import { EditHistory, copyRegion, pasteRegion, mergeRegions } from '../core/history.js'
+
+// Brush tools in panel / Q-E order; 'paint' needs a SplatMap
+export const EDITOR_TOOLS = ['raise', 'lower', 'smooth', 'flatten', 'noise', 'paint']
+
+const TOOL_COLORS = {
+  raise:   0x00ff88,
+  lower:   0xff5544,
+  smooth:  0x66ccff,
+  flatten: 0xffcc44,
+  noise:   0xcc88ff,
+}
+
+/**
+ * TerrainEditor
+ * In-game terrain editing: a brush ring projected onto the ground where
+ * the camera looks, raise / lower / smooth / flatten / noise strokes through
+ * a TerrainDeformer (mesh, LOD and listeners follow every frame; the
+ * collider, which is rebuilt whole, every COLLIDER_INTERVAL and at the end
+ * of the stroke), and surface-layer painting on a SplatMap. Each stroke,
+ * press to release, is one step in an EditHistory.
+ *
+ * The panel (size / strength sliders, tool and layer pickers, undo / redo)
+ * is clickable while the pointer is free; keys drive the same settings
+ * while it's locked. Painted layers aren't part of save snapshots.
+ *
+ * Usage:
+ *   const editor = new TerrainEditor({ scene, terrain, deformer, splat })
+ *   if (input.pressed('editor')) editor.toggle()
+ *   // per render frame:
+ *   editor.update(dt, { origin: camera.position, direction, down: input.isDown('brush') })
+ */
+export class TerrainEditor {
+  constructor({
+    scene,
+    terrain,                 // TerrainBuilder being edited
+    deformer,                // TerrainDeformer that owns mesh / collider updates
+    splat = null,            // SplatMap for the paint tool (none: no paint tool)
+    history = new EditHistory(),
+    radius = 6,              // brush radius in metres
+    strength = 0.5,          // 0..1, scaled per tool by the rates below
+    falloff = 0.5,           // fraction of the radius that fades out
+    parent = document.body,
+  }) {
+    this.scene    = scene
+    this.terrain  = terrain
+    this.deformer = deformer
+    this.splat    = splat
+    this.history  = history
+    this.radius   = radius
+    this.strength = strength
+    this.falloff  = falloff
+
+    this.tools  = EDITOR_TOOLS.filter(t => t !== 'paint' || splat)
+    this.tool   = this.tools[0]
+    this.layer  = 0
+    this.active = false
+    this.hit    = null       // where the brush is, { x, y, z } or null
+
+    this.RADIUS_RANGE      = [1, 40]
+    this.RAISE_RATE        = 4      // metres per second at full strength (raise / lower)
+    this.NOISE_RATE        = 2      // metres per second at full strength
+    this.BLEND_RATE        = 3      // smooth / flatten / paint: fraction per second at full strength
+    this.RING_SEGMENTS     = 64
+    this.RING_LIFT         = 0.15   // metres above the ground, against z-fighting
+    this.COLLIDER_INTERVAL = 100    // ms between collider rebuilds mid-stroke
+
+    this._stroke = null
+
+    // ── Brush ring ───────────────────────────────────────────────
+    const ringGeometry = new THREE.BufferGeometry()
+    ringGeometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(this.RING_SEGMENTS * 3), 3))
+    this.ring = new THREE.LineLoop(ringGeometry, new THREE.LineBasicMaterial({
+      color: TOOL_COLORS.raise, depthTest: false, transparent: true, opacity: 0.9,
+    }))
+    this.ring.renderOrder = 999
+    this.ring.frustumCulled = false
+    this.ring.visible = false
+    this.ring.name = 'brush-cursor'
+    scene.add(this.ring)
+
+    // ── Panel ────────────────────────────────────────────────────
+    this.root = document.createElement('div')
+    this.root.id = 'terrain-editor'
+    this.root.innerHTML = `
+      <div class="editor-title">TERRAIN EDITOR</div>
+      <div class="editor-tools">
+        ${this.tools.map(t => `<button data-tool="${t}">${t.toUpperCase()}</button>`).join('')}
+      </div>
+      <label>SIZE <input type="range" name="radius" min="${this.RADIUS_RANGE[0]}" max="${this.RADIUS_RANGE[1]}" step="0.5"><output></output></label>
+      <label>STRENGTH <input type="range" name="strength" min="0.05" max="1" step="0.05"><output></output></label>
+      ${splat ? `<label class="editor-layer">LAYER <select>
+        ${splat.layerNames.map((name, l) => `<option value="${l}">${name.toUpperCase()}</option>`).join('')}
+      </select></label>` : ''}
+      <div class="editor-history">
+        <button data-action="undo">UNDO</button>
+        <button data-action="redo">REDO</button>
+      </div>
+      <div class="editor-legend">
+        <span>CLICK</span> APPLY &nbsp;<span>Q/E</span> TOOL &nbsp;<span>[ ]</span> SIZE<br>
+        <span>; '</span> STRENGTH &nbsp;<span>Z/Y</span> UNDO/REDO &nbsp;<span>T</span> WALK
+      </div>`
+    this.root.addEventListener('click', e => {
+      const { tool, action } = e.target.dataset
+      if (tool)              this.setTool(tool)
+      if (action === 'undo') this.undo()
+      if (action === 'redo') this.redo()
+    })
+    this._radiusInput   = this.root.querySelector('[name="radius"]')
+    this._strengthInput = this.root.querySelector('[name="strength"]')
+    this._radiusInput.addEventListener('input', () => this.setRadius(+this._radiusInput.value))
+    this._strengthInput.addEventListener('input', () => this.setStrength(+this._strengthInput.value))
+    this.root.querySelector('select')?.addEventListener('change', e => this.setLayer(+e.target.value))
+    parent.appendChild(this.root)
+
+    this._unsubscribe = history.onChange(() => this._syncPanel())
+    this._syncPanel()
+  }
+
+  // ── Public API ─────────────────────────────────────────────────
+  /** Enter or leave edit mode; returns whether it's on */
+  toggle(active = !this.active) {
+    if (!active) this._endStroke()
+    this.active = active
+    this.root.style.display = active ? 'block' : 'none'
+    this.ring.visible = false
+    return active
+  }
+
+  setTool(tool) {
+    if (!this.tools.includes(tool)) throw new Error(`TerrainEditor: unknown tool "${tool}"`)
+    this._endStroke()
+    this.tool = tool
+    this._syncPanel()
+  }
+
+  /** Step through the tools: +1 next, −1 previous */
+  cycleTool(delta) {
+    const n = this.tools.length
+    this.setTool(this.tools[(this.tools.indexOf(this.tool) + delta + n) % n])
+  }
+
+  setRadius(radius) {
+    this.radius = Math.max(this.RADIUS_RANGE[0], Math.min(this.RADIUS_RANGE[1], radius))
+    this._syncPanel()
+  }
+
+  setStrength(strength) {
+    this.strength = Math.max(0.05, Math.min(1, strength))
+    this._syncPanel()
+  }
+
+  /** Surface layer the paint tool lays down (index into splat.layers) */
+  setLayer(layer) {
+    this.layer = layer
+    this._syncPanel()
+  }
+
+  undo() {
+    this._endStroke()
+    return this.history.undo()
+  }
+
+  redo() {
+    this._endStroke()
+    return this.history.redo()
+  }
+
+  /**
+   * Aim the brush and, while `down`, apply the current tool. Call once per
+   * render frame; rates are per second, so strokes feel the same at any fps.
+   * @param {number} dt
+   * @param {{ origin: THREE.Vector3, direction: THREE.Vector3, down: boolean }} aim
+   */
+  update(dt, { origin, direction, down }) {
+    if (!this.active) return
+    this.hit = this.terrain.raycast(origin, direction)
+    this._drawRing()
+
+    if (!down || !this.hit) {
+      this._endStroke()
+      return
+    }
+    if (!this._stroke) this._beginStroke()
+    this._dab(dt)
+  }
+
+  dispose() {
+    this._endStroke()
+    this._unsubscribe()
+    this.scene.remove(this.ring)
+    this.ring.geometry.dispose()
+    this.ring.material.dispose()
+    this.root.remove()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _beginStroke() {
+    this._stroke = {
+      tool:       this.tool,
+      target:     this.hit.y,          // flatten levels to where the stroke started
+      region:     null,                // union of the dabs' footprints so far
+      before:     null,                // copy of `region` as it was before the stroke
+      colliderAt: performance.now(),   // last collider rebuild
+    }
+  }
+
+  /** One frame's worth of the tool under the brush */
+  _dab(dt) {
+    const { tool, target } = this._stroke
+    const { x, z } = this.hit
+    const brush = { x, z, radius: this.radius, falloff: this.falloff }
+    const blend = Math.min(1, this.strength * this.BLEND_RATE * dt)
+
+    // Copy what the dab may touch first, so the stroke can be undone exactly
+    const owner  = tool === 'paint' ? this.splat : this.deformer
+    const region = owner.footprint(brush)
+    if (!region) return
+    this._cover(region)
+
+    // The mesh follows every dab; the collider catches up a few times a second
+    const now = performance.now()
+    const collider = now - this._stroke.colliderAt >= this.COLLIDER_INTERVAL
+    if (collider) this._stroke.colliderAt = now
+    const sync = { collider }
+
+    switch (tool) {
+      case 'raise':
+      case 'lower':
+        this.deformer.apply({ ...brush, tool, strength: this.strength * this.RAISE_RATE * dt }, sync)
+        break
+      case 'noise':
+        this.deformer.apply({ ...brush, tool, strength: this.strength * this.NOISE_RATE * dt }, sync)
+        break
+      case 'smooth':
+        this.deformer.apply({ ...brush, tool, strength: blend }, sync)
+        break
+      case 'flatten':
+        this.deformer.apply({ ...brush, tool, strength: blend, height: target }, sync)
+        break
+      case 'paint':
+        this.splat.paint({ ...brush, layer: this.layer, strength: blend })
+        break
+    }
+  }
+
+  /**
+   * Grow the stroke's before-copy to take in `region`. Cells outside the
+   * old region haven't been touched yet, so they're copied as they are now;
+   * cells inside keep the copy made when the stroke first reached them.
+   */
+  _cover(region) {
+    const stroke = this._stroke
+    const merged = mergeRegions(stroke.region, region)
+    const old    = stroke.region
+    if (old && merged.minRow === old.minRow && merged.maxRow === old.maxRow
+      && merged.minCol === old.minCol && merged.maxCol === old.maxCol) return
+
+    const before = this._copy(stroke.tool, merged)
+    if (old) this._paste(stroke.tool, before, merged, old, stroke.before)
+    stroke.region = merged
+    stroke.before = before
+  }
+
+  /** Turn the stroke into one history entry: its region before and after */
+  _endStroke() {
+    const stroke = this._stroke
+    this._stroke = null
+    if (!stroke?.region) return
+    if (stroke.tool !== 'paint') this.deformer.flushCollider()
+
+    const { tool, region, before } = stroke
+    const after = this._copy(tool, region)
+
+    this.history.push({
+      tool,
+      undo: () => this._restore(tool, region, before),
+      redo: () => this._restore(tool, region, after),
+    })
+  }
+
+  _copy(tool, region) {
+    if (tool === 'paint') return this.splat.snapshot(region)
+    return copyRegion(this.terrain.heights, this.terrain.width, region)
+  }
+
+  /** Write a copy of `region` into a copy of the larger `outer` */
+  _paste(tool, into, outer, region, data) {
+    const width = outer.maxCol - outer.minCol + 1
+    const local = {
+      minRow: region.minRow - outer.minRow, maxRow: region.maxRow - outer.minRow,
+      minCol: region.minCol - outer.minCol, maxCol: region.maxCol - outer.minCol,
+    }
+    if (tool === 'paint') {
+      pasteRegion(into.weights, width, local, data.weights, this.splat.layers.length)
+      pasteRegion(into.painted, width, local, data.painted)
+    } else {
+      pasteRegion(into, width, local, data)
+    }
+  }
+
+  _restore(tool, region, data) {
+    if (tool === 'paint') {
+      this.splat.restore(region, data)
+    } else {
+      pasteRegion(this.terrain.heights, this.terrain.width, region, data)
+      this.deformer.sync(region)
+    }
+  }
+
+  _drawRing() {
+    const { ring, hit, terrain } = this
+    ring.visible = !!hit
+    if (!hit) return
+
+    const positions = ring.geometry.attributes.position
+    for (let i = 0; i < this.RING_SEGMENTS; i++) {
+      const a = (i / this.RING_SEGMENTS) * Math.PI * 2
+      const x = hit.x + Math.cos(a) * this.radius
+      const z = hit.z + Math.sin(a) * this.radius
+      positions.setXYZ(i, x, terrain.getHeightAtWorld(x, z) + this.RING_LIFT, z)
+    }
+    positions.needsUpdate = true
+  }
+
+  _syncPanel() {
+    const color = this.tool === 'paint'
+      ? new THREE.Color().setRGB(...(this.splat.layers[this.layer].color ?? [1, 1, 1]))
+      : new THREE.Color(TOOL_COLORS[this.tool])
+    this.ring.material.color.copy(color)
+
+    for (const button of this.root.querySelectorAll('[data-tool]')) {
+      button.classList.toggle('selected', button.dataset.tool === this.tool)
+    }
+    this._radiusInput.value   = this.radius
+    this._strengthInput.value = this.strength
+    this._radiusInput.nextElementSibling.textContent   = `${this.radius.toFixed(1)} m`
+    this._strengthInput.nextElementSibling.textContent = `${Math.round(this.strength * 100)}%`
+    const select = this.root.querySelector('select')
+    if (select) select.value = this.layer
+    this.root.querySelector('[data-action="undo"]').disabled = !this.history.canUndo
+    this.root.querySelector('[data-action="redo"]').disabled = !this.history.canRedo
+  }
+}
@@ -0,0 +1,147 @@
+/**
+ * Mesh export
+ * Writes an indexed BufferGeometry with position, normal, uv and color
+ * attributes (what TerrainBuilder.buildMesh makes) as Wavefront OBJ or
+ * binary glTF (GLB), for Blender and other DCC tools. Units are metres, Y up.
+ *
+ * `metadata` (e.g. Heightfield.exportMetadata()) travels along: as a
+ * `# heightfield {...}` comment in OBJ, and in the glTF asset's `extras`.
+ *
+ * Usage:
+ *   const obj = encodeOBJ(geometry, { name: 'terrain', metadata })
+ *   const glb = encodeGLB(geometry, { name: 'terrain', metadata })
+ */
+
+/**
+ * @param {THREE.BufferGeometry} geometry
+ * @param {{ name?: string, metadata?: object }} [options]
+ * @returns {string}
+ */
+export function encodeOBJ(geometry, { name = 'terrain', metadata = null } = {}) {
+  const { position, normal, uv, color } = geometry.attributes
+  const index = geometry.index.array
+  const lines = ['# Terrain Explorer export']
+  if (metadata) lines.push(`# heightfield ${JSON.stringify(metadata)}`)
+  lines.push(`o ${name}`)
+
+  // Vertex colours as the widely read `v x y z r g b` extension
+  const p = position.array, c = color?.array
+  for (let i = 0; i < position.count; i++) {
+    const v = `v ${num(p[i * 3])} ${num(p[i * 3 + 1])} ${num(p[i * 3 + 2])}`
+    lines.push(c ? `${v} ${num(c[i * 3])} ${num(c[i * 3 + 1])} ${num(c[i * 3 + 2])}` : v)
+  }
+  if (uv) {
+    const t = uv.array
+    for (let i = 0; i < uv.count; i++) lines.push(`vt ${num(t[i * 2])} ${num(t[i * 2 + 1])}`)
+  }
+  if (normal) {
+    const n = normal.array
+    for (let i = 0; i < normal.count; i++) lines.push(`vn ${num(n[i * 3])} ${num(n[i * 3 + 1])} ${num(n[i * 3 + 2])}`)
+  }
+
+  // OBJ indices are 1-based; every attribute shares the vertex index
+  const ref = i => uv && normal ? `${i}/${i}/${i}` : normal ? `${i}//${i}` : uv ? `${i}/${i}` : `${i}`
+  for (let i = 0; i < index.length; i += 3) {
+    lines.push(`f ${ref(index[i] + 1)} ${ref(index[i + 1] + 1)} ${ref(index[i + 2] + 1)}`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+/**
+ * @param {THREE.BufferGeometry} geometry
+ * @param {{ name?: string, metadata?: object }} [options]
+ * @returns {Uint8Array} GLB file bytes
+ */
+export function encodeGLB(geometry, { name = 'terrain', metadata = null } = {}) {
+  const { position, normal, uv, color } = geometry.attributes
+  const index = Uint32Array.from(geometry.index.array)
+
+  // ── Buffer: each attribute in its own 4-byte aligned view ───────
+  const parts = [], bufferViews = [], accessors = []
+  let byteLength = 0
+  const add = (array, type, { target, componentType = FLOAT, minMax = false }) => {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength)
+    bufferViews.push({ buffer: 0, byteOffset: byteLength, byteLength: bytes.length, target })
+    const accessor = {
+      bufferView: bufferViews.length - 1,
+      componentType,
+      count: array.length / COMPONENTS[type],
+      type,
+    }
+    if (minMax) Object.assign(accessor, bounds(array))
+    accessors.push(accessor)
+    parts.push(bytes)
+    byteLength += pad4(bytes.length)
+    return accessors.length - 1
+  }
+
+  const attributes = { POSITION: add(Float32Array.from(position.array), 'VEC3', { target: ARRAY_BUFFER, minMax: true }) }
+  if (normal) attributes.NORMAL     = add(Float32Array.from(normal.array), 'VEC3', { target: ARRAY_BUFFER })
+  if (uv)     attributes.TEXCOORD_0 = add(Float32Array.from(uv.array), 'VEC2', { target: ARRAY_BUFFER })
+  if (color)  attributes.COLOR_0    = add(Float32Array.from(color.array), 'VEC3', { target: ARRAY_BUFFER })
+  const indices = add(index, 'SCALAR', { target: ELEMENT_ARRAY_BUFFER, componentType: UNSIGNED_INT })
+
+  const gltf = {
+    asset: { version: '2.0', generator: 'Terrain Explorer', ...(metadata && { extras: { heightfield: metadata } }) },
+    scene: 0,
+    scenes: [{ nodes: [0] }],
+    nodes: [{ mesh: 0, name }],
+    meshes: [{ name, primitives: [{ attributes, indices, material: 0 }] }],
+    materials: [{
+      name: `${name}-material`,
+      pbrMetallicRoughness: { baseColorFactor: [1, 1, 1, 1], metallicFactor: 0, roughnessFactor: 1 },
+    }],
+    buffers: [{ byteLength }],
+    bufferViews,
+    accessors,
+  }
+
+  // ── GLB container: header, JSON chunk (space padded), BIN chunk ──
+  const json = new TextEncoder().encode(JSON.stringify(gltf))
+  const jsonLength = pad4(json.length)
+  const total = 12 + 8 + jsonLength + 8 + byteLength
+  const out  = new Uint8Array(total)
+  const view = new DataView(out.buffer)
+
+  view.setUint32(0, 0x46546c67, true)   // 'glTF'
+  view.setUint32(4, 2, true)
+  view.setUint32(8, total, true)
+
+  view.setUint32(12, jsonLength, true)
+  view.setUint32(16, 0x4e4f534a, true)  // 'JSON'
+  out.set(json, 20)
+  out.fill(0x20, 20 + json.length, 20 + jsonLength)
+
+  let o = 20 + jsonLength
+  view.setUint32(o, byteLength, true)
+  view.setUint32(o + 4, 0x004e4942, true)   // 'BIN\0'
+  o += 8
+  for (const bytes of parts) {
+    out.set(bytes, o)
+    o += pad4(bytes.length)
+  }
+  return out
+}
+
+// ── Helpers ──────────────────────────────────────────────────────────────────
+const FLOAT = 5126
+const UNSIGNED_INT = 5125
+const ARRAY_BUFFER = 34962
+const ELEMENT_ARRAY_BUFFER = 34963
+const COMPONENTS = { SCALAR: 1, VEC2: 2, VEC3: 3 }
+
+const pad4 = n => (n + 3) & ~3
+
+/** Trim float noise: 6 significant decimals is sub-millimetre here */
+const num = v => +v.toFixed(6)
+
+function bounds(array) {
+  const min = [Infinity, Infinity, Infinity], max = [-Infinity, -Infinity, -Infinity]
+  for (let i = 0; i < array.length; i += 3) {
+    for (let k = 0; k < 3; k++) {
+      if (array[i + k] < min[k]) min[k] = array[i + k]
+      if (array[i + k] > max[k]) max[k] = array[i + k]
+    }
+  }
+  return { min, max }
+}
@@ -0,0 +1,475 @@
+/**
+ * InputManager
+ * ────────────
+ * Named actions on top of keyboard, mouse, Gamepad API and touch, so game
+ * code asks "is jump down?" instead of checking e.code values.
+ *
+ * Every action is a 0..1 value; the highest of its bindings wins.
+ * Binding codes:
+ *   'KeyW', 'Space', ...   KeyboardEvent.code
+ *   'Mouse0'..'Mouse2'     mouse buttons
+ *   'Pad0'..'Pad16'        standard-mapping gamepad buttons (analog triggers too)
+ *   'Axis1-', 'Axis2+'     one direction of a gamepad stick axis
+ *
+ * Mouse look only moves the view while pointer lock is active; the right
+ * gamepad stick and the touch look area always do. On touch devices a
+ * virtual joystick (left half) and buttons are shown.
+ *
+ * Bindings and settings are saved to localStorage.
+ *
+ * Usage:
+ *   const input = new InputManager()
+ *   input.rebind('jump', 0, await input.captureNext())
+ *   // once per frame, before reading:
+ *   input.update(frameDt)
+ *   const { x, y } = input.getMove()   // x = strafe right, y = forward
+ *   if (input.pressed('interact')) ...
+ */
+
+export const DEFAULT_BINDINGS = {
+  forward:   ['KeyW', 'ArrowUp', 'Axis1-'],
+  back:      ['KeyS', 'ArrowDown', 'Axis1+'],
+  left:      ['KeyA', 'ArrowLeft', 'Axis0-'],
+  right:     ['KeyD', 'ArrowRight', 'Axis0+'],
+  lookLeft:  ['Axis2-'],
+  lookRight: ['Axis2+'],
+  lookUp:    ['Axis3-'],
+  lookDown:  ['Axis3+'],
+  jump:      ['Space', 'Pad0'],
+  sprint:    ['ShiftLeft', 'ShiftRight', 'Pad10'],
+  crouch:    ['KeyC', 'ControlLeft', 'Pad1'],
+  interact:  ['KeyF', 'Pad2'],
+  throw:     ['Mouse0', 'Pad7'],
+  noclip:    ['KeyN'],
+  quickSave: ['F5'],
+  quickLoad: ['F9'],
+  exportSave: ['F6'],
+  importSave: ['F7'],
+  exportTerrain: ['F4'],
+  record:    ['F8'],
+  replay:    ['F10'],
+  map:       ['KeyM', 'Pad8'],
+  zoomIn:    ['Equal', 'NumpadAdd'],
+  zoomOut:   ['Minus', 'NumpadSubtract'],
+  editor:    ['KeyT'],
+  brush:     ['Mouse0', 'Pad7'],
+  prevTool:  ['KeyQ'],
+  nextTool:  ['KeyE'],
+  brushSmaller:  ['BracketLeft'],
+  brushBigger:   ['BracketRight'],
+  brushWeaker:   ['Semicolon'],
+  brushStronger: ['Quote'],
+  undo:      ['KeyZ'],
+  redo:      ['KeyY'],
+}
+
+/**
+ * Actions only read in one mode. Actions in different modes can share a
+ * code (throw and brush are both the left button): rebind() only takes a
+ * code away from actions that can be down at the same time as the new one.
+ */
+export const ACTION_MODES = {
+  walk:   ['interact', 'throw'],
+  editor: ['brush', 'prevTool', 'nextTool', 'brushSmaller', 'brushBigger', 'brushWeaker', 'brushStronger', 'undo', 'redo'],
+}
+
+export const DEFAULT_SETTINGS = {
+  sensitivity:      0.002,  // radians per pixel of mouse movement
+  touchSensitivity: 0.005,  // radians per pixel of touch drag
+  gamepadLookSpeed: 2.5,    // radians per second at full stick
+  deadzone:         0.15,   // stick travel ignored around the centre
+  invertY:          false,
+}
+
+export class InputManager {
+  constructor({
+    element    = document.body,   // pointer lock target
+    overlayId  = 'click-to-play', // shown while input isn't captured
+    storageKey = 'heightfield-input',
+    touch      = 'ontouchstart' in window || navigator.maxTouchPoints > 0,
+  } = {}) {
+    this.element    = element
+    this.overlayId  = overlayId
+    this.storageKey = storageKey
+
+    this.bindings = structuredClone(DEFAULT_BINDINGS)
+    this.settings = { ...DEFAULT_SETTINGS }
+    this._load()
+
+    // ── Raw device state ─────────────────────────────────────────
+    this.locked      = false   // pointer lock active?
+    this.touchActive = false   // touch controls in use?
+    this.padActive   = false   // a gamepad button was pressed since load
+    this._codes      = new Set()   // keys + mouse buttons held
+    this._tapped     = new Set()   // went down since the last update()
+    this._pad        = null        // latest Gamepad snapshot
+    this._touch      = {}          // action → value from touch controls
+    this._mouseLook  = { x: 0, y: 0 }
+    this._touchLook  = { x: 0, y: 0 }
+    this._capture    = null        // resolver for captureNext()
+
+    // ── Per-frame output ─────────────────────────────────────────
+    this.look     = { x: 0, y: 0 }   // radians this frame; +x turns right, +y looks up
+    this._down    = {}
+    this._pressed = {}
+
+    this._initKeyboardMouse()
+    this._initPointerLock()
+    if (touch) this._initTouch()
+  }
+
+  /** True once the player has control: pointer lock, touch or gamepad */
+  get active() {
+    return this.locked || this.touchActive || this.padActive
+  }
+
+  /**
+   * Poll the gamepad and turn this frame's raw input into action state.
+   * Call once per render frame, before anything reads input.
+   * @param {number} dt  Frame time in seconds
+   */
+  update(dt) {
+    this._pad = this._pollGamepad()
+
+    for (const action in this.bindings) {
+      const wasDown = this._down[action] > 0.5
+      const value = this._value(action)
+      this._down[action] = value
+      this._pressed[action] = (value > 0.5 && !wasDown)
+        || this.bindings[action].some(code => this._tapped.has(code))
+    }
+    this._tapped.clear()
+
+    // Look: mouse and touch deltas are in pixels, the stick is a rate
+    const { sensitivity, touchSensitivity, gamepadLookSpeed, invertY } = this.settings
+    const stickX = this.value('lookRight') - this.value('lookLeft')
+    const stickY = this.value('lookDown') - this.value('lookUp')
+    const dx = this._mouseLook.x * sensitivity + this._touchLook.x * touchSensitivity + stickX * gamepadLookSpeed * dt
+    const dy = this._mouseLook.y * sensitivity + this._touchLook.y * touchSensitivity + stickY * gamepadLookSpeed * dt
+    this.look.x = dx
+    this.look.y = invertY ? dy : -dy
+    this._mouseLook.x = this._mouseLook.y = 0
+    this._touchLook.x = this._touchLook.y = 0
+  }
+
+  /** 0..1 value of an action this frame */
+  value(action) {
+    return this._down[action] ?? 0
+  }
+
+  /** Is the action held this frame? */
+  isDown(action) {
+    return this.value(action) > 0.5
+  }
+
+  /** Did the action go down this frame? */
+  pressed(action) {
+    return this._pressed[action] ?? false
+  }
+
+  /**
+   * Movement stick from forward/back/left/right, length ≤ 1.
+   * @returns {{ x: number, y: number }}  x = strafe right, y = forward
+   */
+  getMove() {
+    let x = this.value('right') - this.value('left')
+    let y = this.value('forward') - this.value('back')
+    const len = Math.hypot(x, y)
+    if (len > 1) { x /= len; y /= len }
+    return { x, y }
+  }
+
+  // ── Remapping ──────────────────────────────────────────────────
+  /**
+   * Bind `code` to `action` in slot `index` (replacing what was there) and
+   * save. The code is removed from every other action first, except those
+   * in a different ACTION_MODES mode.
+   */
+  rebind(action, index, code) {
+    if (!this.bindings[action]) throw new Error(`InputManager: unknown action "${action}"`)
+    const mode = modeOf(action)
+    for (const name in this.bindings) {
+      const other = modeOf(name)
+      if (mode && other && other !== mode) continue
+      this.bindings[name] = this.bindings[name].filter(c => c !== code)
+    }
+    const list = this.bindings[action]
+    list.splice(Math.min(index, list.length), 1, code)
+    this._save()
+  }
+
+  /**
+   * Resolve with the code of the next key, mouse button, gamepad button or
+   * stick push — for a "press a key to bind" UI. Escape resolves null.
+   * @returns {Promise<string|null>}
+   */
+  captureNext() {
+    return new Promise(resolve => { this._capture = resolve })
+  }
+
+  /** Change settings (sensitivity, invertY, ...) and save */
+  setSettings(settings) {
+    Object.assign(this.settings, settings)
+    this._save()
+  }
+
+  /** Back to DEFAULT_BINDINGS and DEFAULT_SETTINGS */
+  resetBindings() {
+    this.bindings = structuredClone(DEFAULT_BINDINGS)
+    this.settings = { ...DEFAULT_SETTINGS }
+    this._save()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _isBound(code) {
+    for (const action in this.bindings) {
+      if (this.bindings[action].includes(code)) return true
+    }
+    return false
+  }
+
+  _value(action) {
+    let value = this._touch[action] ?? 0
+    for (const code of this.bindings[action]) {
+      value = Math.max(value, this._codeValue(code))
+    }
+    return value
+  }
+
+  _codeValue(code) {
+    if (this._codes.has(code)) return 1
+
+    const pad = this._pad
+    if (!pad) return 0
+    if (code.startsWith('Pad')) {
+      return pad.buttons[+code.slice(3)]?.value ?? 0
+    }
+    if (code.startsWith('Axis')) {
+      const v = pad.axes[+code.slice(4, -1)] ?? 0
+      const dir = code.endsWith('-') ? -v : v
+      // Rescale so the deadzone edge is 0 and full travel is 1
+      const { deadzone } = this.settings
+      return dir > deadzone ? (dir - deadzone) / (1 - deadzone) : 0
+    }
+    return 0
+  }
+
+  _pollGamepad() {
+    const pads = navigator.getGamepads ? navigator.getGamepads() : []
+    const pad = [...pads].find(p => p && p.connected) ?? null
+    if (!pad) return null
+
+    const pressed = pad.buttons.findIndex(b => b.pressed)
+    if (pressed !== -1) {
+      if (!this.padActive) {
+        this.padActive = true
+        this._updateOverlay()
+      }
+      this._resolveCapture(`Pad${pressed}`)
+    }
+    if (this._capture) {
+      const axis = pad.axes.findIndex(v => Math.abs(v) > 0.6)
+      if (axis !== -1) this._resolveCapture(`Axis${axis}${pad.axes[axis] < 0 ? '-' : '+'}`)
+    }
+    return pad
+  }
+
+  _resolveCapture(code) {
+    if (!this._capture) return false
+    const resolve = this._capture
+    this._capture = null
+    resolve(code)
+    return true
+  }
+
+  _press(code) {
+    if (this._resolveCapture(code)) return
+    this._codes.add(code)
+    this._tapped.add(code)
+  }
+
+  _initKeyboardMouse() {
+    window.addEventListener('keydown', e => {
+      if (e.repeat) return
+      if (e.code === 'Escape' && this._resolveCapture(null)) return
+      this._press(e.code)
+      // Keep Space from scrolling and bound F-keys (F5!) from reaching the browser
+      if (e.code === 'Space' || (/^F\d+$/.test(e.code) && this._isBound(e.code))) e.preventDefault()
+    })
+    window.addEventListener('keyup', e => {
+      this._codes.delete(e.code)
+    })
+    // Releasing everything on blur stops keys "sticking" after alt-tab
+    window.addEventListener('blur', () => this._codes.clear())
+
+    window.addEventListener('mousedown', e => {
+      // Mouse buttons only count once the game has the pointer
+      if (this.locked || this._capture) this._press(`Mouse${e.button}`)
+    })
+    window.addEventListener('mouseup', e => {
+      this._codes.delete(`Mouse${e.button}`)
+    })
+    window.addEventListener('mousemove', e => {
+      if (!this.locked) return
+      this._mouseLook.x += e.movementX
+      this._mouseLook.y += e.movementY
+    })
+  }
+
+  _initPointerLock() {
+    document.addEventListener('pointerlockchange', () => {
+      this.locked = document.pointerLockElement === this.element
+      this._updateOverlay()
+    })
+
+    // "Click to Enter" — touch taps switch to touch controls instead
+    const overlay = document.getElementById(this.overlayId)
+    if (overlay) {
+      let pointerType = 'mouse'
+      overlay.addEventListener('pointerdown', e => { pointerType = e.pointerType })
+      overlay.addEventListener('click', () => {
+        if (pointerType === 'touch' && this._touchRoot) {
+          this.touchActive = true
+          this._touchRoot.style.display = 'block'
+          this._updateOverlay()
+        } else {
+          this.element.requestPointerLock()
+        }
+      })
+    }
+  }
+
+  _updateOverlay() {
+    const overlay = document.getElementById(this.overlayId)
+    if (overlay) overlay.style.display = this.active ? 'none' : 'flex'
+  }
+
+  /** Virtual joystick on the left, look area on the right, action buttons */
+  _initTouch() {
+    const root = document.createElement('div')
+    root.id = 'touch-controls'
+    root.innerHTML = `
+      <div class="touch-zone touch-move"><div class="touch-stick"><div class="touch-knob"></div></div></div>
+      <div class="touch-zone touch-look"></div>
+      <div class="touch-buttons">
+        <button data-action="interact">USE</button>
+        <button data-action="crouch">DOWN</button>
+        <button data-action="throw">THROW</button>
+        <button data-action="jump">JUMP</button>
+      </div>`
+    document.body.appendChild(root)
+    this._touchRoot = root
+
+    const stick  = root.querySelector('.touch-stick')
+    const knob   = root.querySelector('.touch-knob')
+    const RADIUS = 50   // px of knob travel for full deflection
+
+    // Move: the stick appears where the thumb lands
+    let moveId = null, originX = 0, originY = 0
+    const moveZone = root.querySelector('.touch-move')
+    moveZone.addEventListener('touchstart', e => {
+      const t = e.changedTouches[0]
+      moveId = t.identifier
+      originX = t.clientX
+      originY = t.clientY
+      stick.style.left = `${originX}px`
+      stick.style.top  = `${originY}px`
+      stick.style.display = 'block'
+      e.preventDefault()
+    }, { passive: false })
+    moveZone.addEventListener('touchmove', e => {
+      for (const t of e.changedTouches) {
+        if (t.identifier !== moveId) continue
+        let dx = (t.clientX - originX) / RADIUS
+        let dy = (t.clientY - originY) / RADIUS
+        const len = Math.hypot(dx, dy)
+        if (len > 1) { dx /= len; dy /= len }
+        knob.style.transform = `translate(${dx * RADIUS}px, ${dy * RADIUS}px)`
+        this._touch.right   = Math.max(0, dx)
+        this._touch.left    = Math.max(0, -dx)
+        this._touch.back    = Math.max(0, dy)
+        this._touch.forward = Math.max(0, -dy)
+      }
+      e.preventDefault()
+    }, { passive: false })
+    const endMove = e => {
+      for (const t of e.changedTouches) {
+        if (t.identifier !== moveId) continue
+        moveId = null
+        stick.style.display = 'none'
+        knob.style.transform = ''
+        this._touch.right = this._touch.left = this._touch.back = this._touch.forward = 0
+      }
+    }
+    moveZone.addEventListener('touchend', endMove)
+    moveZone.addEventListener('touchcancel', endMove)
+
+    // Look: drag anywhere on the right half
+    let lookId = null, lastX = 0, lastY = 0
+    const lookZone = root.querySelector('.touch-look')
+    lookZone.addEventListener('touchstart', e => {
+      const t = e.changedTouches[0]
+      lookId = t.identifier
+      lastX = t.clientX
+      lastY = t.clientY
+      e.preventDefault()
+    }, { passive: false })
+    lookZone.addEventListener('touchmove', e => {
+      for (const t of e.changedTouches) {
+        if (t.identifier !== lookId) continue
+        this._touchLook.x += t.clientX - lastX
+        this._touchLook.y += t.clientY - lastY
+        lastX = t.clientX
+        lastY = t.clientY
+      }
+      e.preventDefault()
+    }, { passive: false })
+    const endLook = e => {
+      for (const t of e.changedTouches) {
+        if (t.identifier === lookId) lookId = null
+      }
+    }
+    lookZone.addEventListener('touchend', endLook)
+    lookZone.addEventListener('touchcancel', endLook)
+
+    // Buttons hold their action while touched
+    for (const button of root.querySelectorAll('button')) {
+      const action = button.dataset.action
+      button.addEventListener('touchstart', e => {
+        this._touch[action] = 1
+        e.preventDefault()
+      }, { passive: false })
+      const release = () => { this._touch[action] = 0 }
+      button.addEventListener('touchend', release)
+      button.addEventListener('touchcancel', release)
+    }
+  }
+
+  _load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey))
+      if (!saved) return
+      // Merge over the defaults so actions added later still get bindings
+      Object.assign(this.bindings, saved.bindings)
+      Object.assign(this.settings, saved.settings)
+    } catch {
+      // Corrupt or blocked storage: keep the defaults
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ bindings: this.bindings, settings: this.settings }))
+    } catch {
+      // Private mode / storage full: bindings just won't persist
+    }
+  }
+}
+
+/** The ACTION_MODES mode `action` belongs to, or null if it's always read */
+function modeOf(action) {
+  for (const mode in ACTION_MODES) {
+    if (ACTION_MODES[mode].includes(action)) return mode
+  }
+  return null
+}
@@ -0,0 +1,223 @@
+import * as THREE from 'three'
+
+/**
+ * TerrainLOD
+ * Geomipmapped rendering of a TerrainBuilder height field.
+ * The map is split into square patches that keep every full-resolution
+ * vertex; only the index buffer changes with distance:
+ *   level 0 → every vertex, level 1 → every 2nd, level 2 → every 4th, ...
+ *
+ * Where a patch borders a coarser neighbour, its edge vertices are snapped
+ * onto the neighbour's coarser spacing, so both sides share exactly the same
+ * edge and no cracks open. Index buffers are cached per (level, edge) combo
+ * and shared between patches.
+ *
+ * Only rendering changes — keep the Rapier collider built from
+ * terrain.buildRapierHeightfield() at full resolution.
+ *
+ * Usage:
+ *   const lod = new TerrainLOD({ terrain, patchCells: 32, levels: 4 })
+ *   scene.add(lod.group)
+ *   // in game loop:
+ *   lod.update(camera.position)
+ */
+export class TerrainLOD {
+  constructor({
+    terrain,            // TerrainBuilder
+    patchCells = 32,    // cells per patch side; must divide the grid
+    levels = 4,         // number of detail levels (step up to 2^(levels-1))
+    lodDistance = 60,   // metres at which level 1 starts; each level doubles it
+  }) {
+    const { cols, rows } = terrain
+    if (cols % patchCells !== 0 || rows % patchCells !== 0) {
+      throw new Error(`TerrainLOD: ${cols}×${rows} cells is not divisible into ${patchCells}-cell patches`)
+    }
+    if (patchCells % (1 << (levels - 1)) !== 0) {
+      throw new Error(`TerrainLOD: ${patchCells}-cell patches can't be decimated ${levels} times`)
+    }
+
+    this.terrain     = terrain
+    this.patchCells  = patchCells
+    this.levels      = levels
+    this.lodDistance = lodDistance
+    this.patchesX    = cols / patchCells
+    this.patchesZ    = rows / patchCells
+
+    // Full-resolution master geometry; patches copy their vertices from it
+    this.source   = terrain.buildMesh()
+    this.material = this.source.material
+
+    this.group = new THREE.Group()
+    this.group.name = 'terrain'
+
+    this._indexCache = new Map()
+    this.patches = []
+    for (let pz = 0; pz < this.patchesZ; pz++) {
+      for (let px = 0; px < this.patchesX; px++) {
+        const patch = this._buildPatch(px, pz)
+        this.patches.push(patch)
+        this.group.add(patch.mesh)
+      }
+    }
+  }
+
+  /**
+   * Pick a level per patch from its distance to `viewPosition`, then
+   * stitch every patch to its neighbours.
+   * @param {THREE.Vector3} viewPosition  Usually camera.position
+   */
+  update(viewPosition) {
+    const { patches, levels, lodDistance } = this
+
+    for (const patch of patches) {
+      const d = patch.center.distanceTo(viewPosition)
+      const level = d < lodDistance ? 0 : Math.floor(Math.log2(d / lodDistance)) + 1
+      patch.level = Math.min(levels - 1, level)
+    }
+
+    for (const patch of patches) {
+      const step = 1 << patch.level
+      // A coarser neighbour dictates the spacing along the shared edge
+      const edge = (dx, dz) => Math.max(step, 1 << this._levelAt(patch.px + dx, patch.pz + dz, patch.level))
+      const key = this._indexKey(step, edge(0, -1), edge(1, 0), edge(0, 1), edge(-1, 0))
+      if (patch.key === key) continue
+
+      patch.key = key
+      patch.mesh.geometry.setIndex(this._getIndex(key))
+    }
+  }
+
+  /**
+   * Copy changed heights into the patches (after terrain.heights was edited).
+   * @param {{ minRow: number, maxRow: number, minCol: number, maxCol: number }} region
+   */
+  invalidate(region) {
+    const { terrain, patchCells, source } = this
+    terrain.updateMesh(source, region)
+
+    // updateMesh touches a 1-vertex ring around the region
+    const minRow = region.minRow - 1, maxRow = region.maxRow + 1
+    const minCol = region.minCol - 1, maxCol = region.maxCol + 1
+
+    for (const patch of this.patches) {
+      const col0 = patch.px * patchCells, row0 = patch.pz * patchCells
+      if (col0 > maxCol || col0 + patchCells < minCol) continue
+      if (row0 > maxRow || row0 + patchCells < minRow) continue
+      this._copyVertices(patch)
+    }
+  }
+
+  /** Use a different material on every patch (e.g. SplatMap.createMaterial()) */
+  setMaterial(material) {
+    this.material.dispose()
+    this.material = material
+    for (const patch of this.patches) patch.mesh.material = material
+  }
+
+  /** Free GPU buffers */
+  dispose() {
+    for (const patch of this.patches) patch.mesh.geometry.dispose()
+    this.source.geometry.dispose()
+    this.material.dispose()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _buildPatch(px, pz) {
+    const n = this.patchCells + 1
+    const geometry = new THREE.BufferGeometry()
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(n * n * 3), 3))
+    geometry.setAttribute('normal',   new THREE.BufferAttribute(new Float32Array(n * n * 3), 3))
+    geometry.setAttribute('uv',       new THREE.BufferAttribute(new Float32Array(n * n * 2), 2))
+    geometry.setAttribute('color',    new THREE.BufferAttribute(new Float32Array(n * n * 3), 3))
+
+    const mesh = new THREE.Mesh(geometry, this.material)
+    mesh.receiveShadow = true
+    mesh.castShadow = false
+    mesh.name = `terrain-patch-${px}-${pz}`
+
+    const patch = { px, pz, mesh, level: 0, key: null, center: new THREE.Vector3() }
+    this._copyVertices(patch)
+
+    const key = this._indexKey(1, 1, 1, 1, 1)
+    patch.key = key
+    geometry.setIndex(this._getIndex(key))
+    return patch
+  }
+
+  /** Copy this patch's window of the master geometry and refresh its bounds */
+  _copyVertices(patch) {
+    const { patchCells, source } = this
+    const { width } = this.terrain
+    const n = patchCells + 1
+    const col0 = patch.px * patchCells
+    const row0 = patch.pz * patchCells
+    const src = source.geometry.attributes
+    const dst = patch.mesh.geometry.attributes
+
+    for (const name of ['position', 'normal', 'uv', 'color']) {
+      const itemSize = src[name].itemSize
+      for (let row = 0; row < n; row++) {
+        const from = ((row0 + row) * width + col0) * itemSize
+        dst[name].array.set(src[name].array.subarray(from, from + n * itemSize), row * n * itemSize)
+      }
+      dst[name].needsUpdate = true
+    }
+
+    const geometry = patch.mesh.geometry
+    geometry.computeBoundingBox()
+    geometry.computeBoundingSphere()
+    geometry.boundingBox.getCenter(patch.center)
+  }
+
+  _levelAt(px, pz, fallback) {
+    if (px < 0 || pz < 0 || px >= this.patchesX || pz >= this.patchesZ) return fallback
+    return this.patches[pz * this.patchesX + px].level
+  }
+
+  _indexKey(step, north, east, south, west) {
+    return `${step}:${north}:${east}:${south}:${west}`
+  }
+
+  /**
+   * Index buffer for one (step, edge steps) combination. Edge vertices that
+   * aren't on the neighbour's grid are snapped to the nearest one that is;
+   * triangles that collapse are dropped.
+   */
+  _getIndex(key) {
+    let index = this._indexCache.get(key)
+    if (index) return index
+
+    const [step, north, east, south, west] = key.split(':').map(Number)
+    const P = this.patchCells
+    const n = P + 1
+
+    const vertex = (row, col) => {
+      if (row === 0 && north > step) col = Math.round(col / north) * north
+      if (row === P && south > step) col = Math.round(col / south) * south
+      if (col === 0 && west > step)  row = Math.round(row / west) * west
+      if (col === P && east > step)  row = Math.round(row / east) * east
+      return row * n + col
+    }
+
+    const indices = []
+    const triangle = (a, b, c) => {
+      if (a !== b && b !== c && a !== c) indices.push(a, b, c)
+    }
+
+    // Same triangle split as TerrainBuilder.buildMesh()
+    for (let row = 0; row < P; row += step) {
+      for (let col = 0; col < P; col += step) {
+        const tl = vertex(row, col)
+        const tr = vertex(row, col + step)
+        const bl = vertex(row + step, col)
+        const br = vertex(row + step, col + step)
+        triangle(tl, bl, tr)
+        triangle(tr, bl, br)
+      }
+    }
+
+    index = new THREE.BufferAttribute(new Uint32Array(indices), 1)
+    this._indexCache.set(key, index)
+    return index
+  }
+}
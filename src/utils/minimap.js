@@ -0,0 +1,429 @@
+import * as THREE from 'three'
+
+/**
+ * MapView
+ * Minimap, full-screen map and waypoints, drawn on 2D canvases from a
+ * TerrainBuilder's heights.
+ *
+ * The terrain is baked once into a base image (elevation tint, hillshade
+ * lit from the north-west, optional contour lines every `contourInterval`
+ * metres with every 5th one bolder), then each frame the minimap shows a
+ * window of it around the player. North (−Z) is up; the player arrow
+ * turns with the controller's yaw.
+ *
+ * The full map shows the whole terrain: click to drop a waypoint,
+ * right-click one to remove it. Waypoints persist in localStorage and
+ * appear in the 3D view as markers with their bearing and distance,
+ * pinned to the screen edge when out of sight.
+ *
+ * Usage:
+ *   const map = new MapView({ terrain, waterLevel })
+ *   deformer.onChange(() => map.refresh())
+ *   // per render frame:
+ *   map.update({ position, yaw: player.yaw, camera })
+ *   if (input.pressed('map')) map.toggle()
+ */
+export class MapView {
+  constructor({
+    terrain,                   // TerrainBuilder
+    waterLevel = -Infinity,    // world Y of the sea, drawn as water below it
+    contourInterval = 2,       // metres between contour lines; null for none
+    zoomLevels = [50, 100, 200, 400],   // metres across the minimap
+    zoom = 1,                  // index into zoomLevels
+    size = 180,                // minimap size in CSS pixels
+    resolution = [512, 1024],  // [min, max] base image pixels on the longest side
+    storageKey = 'heightfield-waypoints',
+    parent = document.body,
+  }) {
+    this.terrain         = terrain
+    this.waterLevel      = waterLevel
+    this.contourInterval = contourInterval
+    this.zoomLevels      = zoomLevels
+    this.zoom            = zoom
+    this.size            = size
+    this.storageKey      = storageKey
+
+    this.waypoints = []        // [{ id, x, z }]
+    this.isOpen    = false     // full map showing?
+    this._nextId   = 1
+    this._player   = { x: 0, z: 0, yaw: 0 }
+    this._dirty    = false
+    this._lastBake = 0
+
+    // ── Base image ───────────────────────────────────────────────
+    // Terrain resolution, within limits: small maps are upsampled (bilinear)
+    // so the minimap stays sharp when zoomed in
+    const longest = Math.max(terrain.width, terrain.depth)
+    const pixels  = Math.max(resolution[0], Math.min(resolution[1], longest))
+    this.base = document.createElement('canvas')
+    this.base.width  = Math.max(1, Math.round(pixels * terrain.width / longest))
+    this.base.height = Math.max(1, Math.round(pixels * terrain.depth / longest))
+    this._bake()
+
+    // ── DOM ──────────────────────────────────────────────────────
+    const dpr = Math.min(window.devicePixelRatio || 1, 2)
+    this.minimap = document.createElement('canvas')
+    this.minimap.id = 'minimap'
+    this.minimap.width = this.minimap.height = size * dpr
+    this.minimap.style.width = this.minimap.style.height = size + 'px'
+    this.minimap.title = 'Map (M)'
+    this.minimap.addEventListener('click', () => this.toggle())
+    parent.appendChild(this.minimap)
+
+    this.fullRoot = document.createElement('div')
+    this.fullRoot.id = 'full-map'
+    this.fullRoot.innerHTML = `
+      <canvas></canvas>
+      <div class="map-legend">
+        <span>CLICK</span> ADD WAYPOINT &nbsp;
+        <span>RIGHT-CLICK</span> REMOVE &nbsp;
+        <span>M</span> CLOSE
+        <div class="map-scale"></div>
+      </div>`
+    this.fullCanvas = this.fullRoot.querySelector('canvas')
+    this.fullCanvas.addEventListener('click', e => this._onMapClick(e, false))
+    this.fullCanvas.addEventListener('contextmenu', e => this._onMapClick(e, true))
+    parent.appendChild(this.fullRoot)
+
+    this.markerRoot = document.createElement('div')
+    this.markerRoot.id = 'waypoint-markers'
+    parent.appendChild(this.markerRoot)
+    this._markers = new Map()   // waypoint id → element
+
+    this._load()
+  }
+
+  // ── Public API ─────────────────────────────────────────────────
+  /** Open or close the full-screen map; returns whether it's open */
+  toggle(open = !this.isOpen) {
+    this.isOpen = open
+    this.fullRoot.style.display = open ? 'flex' : 'none'
+    if (open) this._drawFull()
+    return open
+  }
+
+  /** Step through zoomLevels: +1 zooms in, −1 out */
+  zoomBy(delta) {
+    this.zoom = Math.max(0, Math.min(this.zoomLevels.length - 1, this.zoom - delta))
+  }
+
+  /** Change the contour spacing (metres, null for none) and re-bake */
+  setContourInterval(interval) {
+    this.contourInterval = interval
+    this._bake()
+  }
+
+  /**
+   * @returns {{ id: number, x: number, z: number }}
+   */
+  addWaypoint(x, z) {
+    const waypoint = { id: this._nextId++, x, z }
+    this.waypoints.push(waypoint)
+    this._save()
+    return waypoint
+  }
+
+  removeWaypoint(id) {
+    this.waypoints = this.waypoints.filter(w => w.id !== id)
+    this._markers.get(id)?.remove()
+    this._markers.delete(id)
+    this._save()
+  }
+
+  /**
+   * The terrain changed (e.g. TerrainDeformer.onChange): re-bake the base
+   * image, at most twice a second while edits keep coming.
+   */
+  refresh() {
+    this._dirty = true
+  }
+
+  /**
+   * Redraw the minimap (and full map if open) and place waypoint markers.
+   * Call once per render frame.
+   * @param {object} state
+   * @param {{ x: number, y: number, z: number }} state.position  Player
+   * @param {number} state.yaw     Player heading (radians, 0 = north)
+   * @param {THREE.Camera} state.camera  For projecting markers
+   */
+  update({ position, yaw, camera }) {
+    this._player = { x: position.x, z: position.z, yaw }
+
+    const now = performance.now()
+    if (this._dirty && now - this._lastBake > 500) this._bake()
+
+    this._drawMinimap()
+    if (this.isOpen) this._drawFull()
+    this._placeMarkers(position, camera)
+  }
+
+  dispose() {
+    this.minimap.remove()
+    this.fullRoot.remove()
+    this.markerRoot.remove()
+  }
+
+  // ── Base image ─────────────────────────────────────────────────
+  _bake() {
+    const { terrain, base } = this
+    const { width: w, height: h } = base
+    const ctx = base.getContext('2d')
+    const image = ctx.createImageData(w, h)
+    const px = image.data
+
+    // Heights in metres at pixel centres
+    const cellX = terrain.worldSizeX / w, cellZ = terrain.worldSizeZ / h
+    const heights = new Float32Array(w * h)
+    for (let y = 0; y < h; y++) {
+      const z = (y + 0.5) * cellZ - terrain.worldSizeZ / 2
+      for (let x = 0; x < w; x++) {
+        heights[y * w + x] = terrain.getHeightAtWorld((x + 0.5) * cellX - terrain.worldSizeX / 2, z)
+      }
+    }
+
+    // Hillshade: light from the north-west, 45° up
+    const lx = -0.5, ly = Math.SQRT1_2, lz = -0.5
+    const interval = this.contourInterval
+    const lo = terrain.heightOffset, span = terrain.heightScale || 1
+
+    for (let y = 0; y < h; y++) {
+      for (let x = 0; x < w; x++) {
+        const i = y * w + x
+        const hv = heights[i]
+        const hl = heights[y * w + Math.max(0, x - 1)], hr = heights[y * w + Math.min(w - 1, x + 1)]
+        const hu = heights[Math.max(0, y - 1) * w + x], hd = heights[Math.min(h - 1, y + 1) * w + x]
+        const nx = (hl - hr) / (2 * cellX), nz = (hu - hd) / (2 * cellZ)
+        const shade = Math.max(0, (nx * lx + ly + nz * lz) / Math.hypot(nx, 1, nz))
+
+        let r, g, b
+        if (hv < this.waterLevel) {
+          const depth = Math.min(1, (this.waterLevel - hv) / (span * 0.15))
+          r = 8; g = 40 - depth * 20; b = 60 - depth * 20
+        } else {
+          // HUD green: dark lowlands to pale peaks, lit by the hillshade
+          const t = (hv - lo) / span
+          const light = 0.35 + 0.65 * shade
+          r = (10 + 90 * t) * light
+          g = (70 + 150 * t) * light
+          b = (40 + 90 * t) * light
+        }
+
+        // Contours: a line where the band changes to the right or below
+        if (interval) {
+          const band = Math.floor(hv / interval)
+          const edge = band !== Math.floor(hr / interval) || band !== Math.floor(hd / interval)
+          if (edge) {
+            const major = Math.max(band, Math.floor(Math.max(hr, hd) / interval)) % 5 === 0
+            const a = major ? 0.75 : 0.4
+            r += (0 - r) * a; g += (255 - g) * a * 0.6; b += (136 - b) * a * 0.6
+          }
+        }
+
+        const o = i * 4
+        px[o] = r; px[o + 1] = g; px[o + 2] = b; px[o + 3] = 255
+      }
+    }
+    ctx.putImageData(image, 0, 0)
+    this._dirty    = false
+    this._lastBake = performance.now()
+  }
+
+  // ── Drawing ────────────────────────────────────────────────────
+  _drawMinimap() {
+    const canvas = this.minimap
+    const ctx = canvas.getContext('2d')
+    const { width: size } = canvas
+    const { terrain, base } = this
+    const metres = this.zoomLevels[this.zoom]
+    const scale  = size / metres   // canvas px per metre
+    const { x, z, yaw } = this._player
+
+    ctx.fillStyle = '#000a06'
+    ctx.fillRect(0, 0, size, size)
+
+    // Window of the base image around the player
+    const pxPerMetreX = base.width / terrain.worldSizeX
+    const pxPerMetreZ = base.height / terrain.worldSizeZ
+    const sx = (x - metres / 2 + terrain.worldSizeX / 2) * pxPerMetreX
+    const sy = (z - metres / 2 + terrain.worldSizeZ / 2) * pxPerMetreZ
+    ctx.imageSmoothingEnabled = true
+    ctx.drawImage(base, sx, sy, metres * pxPerMetreX, metres * pxPerMetreZ, 0, 0, size, size)
+
+    const toCanvas = (wx, wz) => [size / 2 + (wx - x) * scale, size / 2 + (wz - z) * scale]
+    const dpr = size / this.size
+    for (const waypoint of this.waypoints) {
+      let [cx, cy] = toCanvas(waypoint.x, waypoint.z)
+      // Off the minimap: pin to the border, along the line from the player
+      const half = size / 2 - 6 * dpr
+      const dx = cx - size / 2, dy = cy - size / 2
+      const k = Math.max(Math.abs(dx), Math.abs(dy)) / half
+      if (k > 1) { cx = size / 2 + dx / k; cy = size / 2 + dy / k }
+      drawWaypoint(ctx, cx, cy, waypoint.id, dpr)
+    }
+
+    drawArrow(ctx, size / 2, size / 2, yaw, 7 * dpr)
+
+    // Scale label
+    ctx.fillStyle = 'rgba(0,255,136,0.6)'
+    ctx.font = `${9 * dpr}px 'Share Tech Mono', monospace`
+    ctx.textAlign = 'left'
+    ctx.fillText(`${metres} M`, 6 * dpr, size - 6 * dpr)
+  }
+
+  _drawFull() {
+    const canvas = this.fullCanvas
+    const { terrain, base } = this
+    const dpr = Math.min(window.devicePixelRatio || 1, 2)
+
+    // Fit the whole terrain, keeping its aspect ratio
+    const maxW = window.innerWidth * 0.9, maxH = window.innerHeight * 0.8
+    const fit = Math.min(maxW / terrain.worldSizeX, maxH / terrain.worldSizeZ)
+    const cssW = Math.floor(terrain.worldSizeX * fit), cssH = Math.floor(terrain.worldSizeZ * fit)
+    if (canvas.width !== cssW * dpr || canvas.height !== cssH * dpr) {
+      canvas.width  = cssW * dpr
+      canvas.height = cssH * dpr
+      canvas.style.width  = cssW + 'px'
+      canvas.style.height = cssH + 'px'
+    }
+    this._fullScale = fit   // CSS px per metre, for clicks
+
+    const ctx = canvas.getContext('2d')
+    ctx.imageSmoothingEnabled = true
+    ctx.drawImage(base, 0, 0, canvas.width, canvas.height)
+
+    const scale = fit * dpr
+    const toCanvas = (wx, wz) => [(wx + terrain.worldSizeX / 2) * scale, (wz + terrain.worldSizeZ / 2) * scale]
+    for (const waypoint of this.waypoints) {
+      const [cx, cy] = toCanvas(waypoint.x, waypoint.z)
+      drawWaypoint(ctx, cx, cy, waypoint.id, dpr * 1.3)
+    }
+    const [px, py] = toCanvas(this._player.x, this._player.z)
+    drawArrow(ctx, px, py, this._player.yaw, 9 * dpr)
+
+    const scaleLabel = this.fullRoot.querySelector('.map-scale')
+    const contours = this.contourInterval ? ` · CONTOURS ${this.contourInterval} M` : ''
+    scaleLabel.textContent = `${terrain.worldSizeX} M × ${Math.round(terrain.worldSizeZ)} M${contours}`
+  }
+
+  _onMapClick(event, remove) {
+    event.preventDefault()
+    const rect = this.fullCanvas.getBoundingClientRect()
+    const x = (event.clientX - rect.left) / this._fullScale - this.terrain.worldSizeX / 2
+    const z = (event.clientY - rect.top) / this._fullScale - this.terrain.worldSizeZ / 2
+
+    if (remove) {
+      // Nearest waypoint within 12 screen pixels
+      const reach = 12 / this._fullScale
+      let nearest = null, best = reach * reach
+      for (const w of this.waypoints) {
+        const d = (w.x - x) ** 2 + (w.z - z) ** 2
+        if (d < best) { best = d; nearest = w }
+      }
+      if (nearest) this.removeWaypoint(nearest.id)
+    } else {
+      this.addWaypoint(x, z)
+    }
+    this._drawFull()
+  }
+
+  // ── Markers in the 3D view ─────────────────────────────────────
+  _placeMarkers(position, camera) {
+    const width = window.innerWidth, height = window.innerHeight
+    const margin = 40
+
+    for (const waypoint of this.waypoints) {
+      let el = this._markers.get(waypoint.id)
+      if (!el) {
+        el = document.createElement('div')
+        el.className = 'waypoint-marker'
+        el.innerHTML = `<div class="pin">${waypoint.id}</div><div class="info"></div>`
+        this.markerRoot.appendChild(el)
+        this._markers.set(waypoint.id, el)
+      }
+
+      const dx = waypoint.x - position.x, dz = waypoint.z - position.z
+      const distance = Math.hypot(dx, dz)
+      // Compass bearing: 0° north (−Z), 90° east (+X)
+      const bearing = (Math.atan2(dx, -dz) * 180 / Math.PI + 360) % 360
+      el.querySelector('.info').textContent =
+        `${String(Math.round(bearing) % 360).padStart(3, '0')}° · ${formatDistance(distance)}`
+
+      // Project the spot a little above the ground
+      _v.set(waypoint.x, this.terrain.getHeightAtWorld(waypoint.x, waypoint.z) + 2, waypoint.z).project(camera)
+      const behind = _v.z > 1
+      let sx = (_v.x * 0.5 + 0.5) * width
+      let sy = (-_v.y * 0.5 + 0.5) * height
+      if (behind) { sx = width - sx; sy = height - sy }   // projection mirrors behind the camera
+
+      // Out of view: slide to the screen edge towards it
+      const offscreen = behind || sx < margin || sx > width - margin || sy < margin || sy > height - margin
+      if (offscreen) {
+        const cx = width / 2, cy = height / 2
+        let ex = sx - cx, ey = sy - cy
+        if (behind && Math.abs(ey) < 1) ey = 1   // straight behind: show at the bottom
+        const k = Math.max(Math.abs(ex) / (cx - margin), Math.abs(ey) / (cy - margin))
+        sx = cx + ex / k
+        sy = cy + ey / k
+      }
+      el.classList.toggle('offscreen', offscreen)
+      el.style.transform = `translate(${sx.toFixed(1)}px, ${sy.toFixed(1)}px)`
+    }
+  }
+
+  // ── Persistence ────────────────────────────────────────────────
+  _load() {
+    try {
+      const saved = JSON.parse(localStorage.getItem(this.storageKey) ?? 'null')
+      if (!saved) return
+      for (const { x, z } of saved.waypoints ?? []) this.addWaypoint(x, z)
+    } catch {
+      // Corrupt or unavailable storage: start without waypoints
+    }
+  }
+
+  _save() {
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify({ waypoints: this.waypoints.map(({ x, z }) => ({ x, z })) }))
+    } catch {
+      // Private mode / storage full: waypoints just won't persist
+    }
+  }
+}
+
+const _v = new THREE.Vector3()
+
+function formatDistance(metres) {
+  return metres >= 1000 ? `${(metres / 1000).toFixed(1)} KM` : `${Math.round(metres)} M`
+}
+
+/** Player arrow pointing along `yaw` (0 = up / north) */
+function drawArrow(ctx, x, y, yaw, size) {
+  ctx.save()
+  ctx.translate(x, y)
+  ctx.rotate(-yaw)
+  ctx.beginPath()
+  ctx.moveTo(0, -size * 1.3)
+  ctx.lineTo(size * 0.8, size)
+  ctx.lineTo(0, size * 0.5)
+  ctx.lineTo(-size * 0.8, size)
+  ctx.closePath()
+  ctx.fillStyle = '#00ff88'
+  ctx.shadowColor = '#00ff88'
+  ctx.shadowBlur = size
+  ctx.fill()
+  ctx.restore()
+}
+
+function drawWaypoint(ctx, x, y, id, scale) {
+  ctx.save()
+  ctx.beginPath()
+  ctx.arc(x, y, 6 * scale, 0, Math.PI * 2)
+  ctx.fillStyle = 'rgba(255,200,60,0.9)'
+  ctx.fill()
+  ctx.fillStyle = '#000a06'
+  ctx.font = `bold ${8 * scale}px 'Share Tech Mono', monospace`
+  ctx.textAlign = 'center'
+  ctx.textBaseline = 'middle'
+  ctx.fillText(String(id), x, y + 0.5)
+  ctx.restore()
+}
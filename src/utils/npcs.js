@@ -0,0 +1,143 @@
+import * as THREE from 'three'
+import { NpcAgent } from '../core/agent.js'
+import { mulberry32 } from '../core/noise.js'
+import { mergeRegions } from '../core/history.js'
+
+/**
+ * NpcCrowd
+ * A handful of NpcAgents wandering around their spawn points: each walks
+ * to a random walkable spot nearby, idles for a moment, and picks another.
+ * Drawn as capsules, interpolated between physics steps like props.
+ *
+ * Usage:
+ *   const crowd = new NpcCrowd({ world, RAPIER, scene, terrain, nav, count: 6 })
+ *   // per physics step:
+ *   world.step()
+ *   crowd.update(dt)
+ *   // per render frame:
+ *   crowd.sync(alpha)
+ *   // terrain edited (e.g. TerrainDeformer.onChange):
+ *   crowd.refresh(region)
+ */
+export class NpcCrowd {
+  constructor({
+    world,
+    RAPIER,
+    scene,
+    terrain,
+    nav,                    // NavGrid shared by every agent
+    water = null,
+    count = 6,
+    seed = 0,
+    center = { x: 0, z: 0 },
+    spawnRadius = 40,       // metres around `center` to place agents
+    wanderRadius = 20,      // metres around its spawn an agent strolls
+    idle = [1, 5],          // seconds [min, max] between walks
+    radius = 0.4,           // match PlayerController's capsule
+    halfHeight = 0.5,
+    color = 0x4a7bd1,
+  }) {
+    this.scene  = scene
+    this.nav    = nav
+    this.wanderRadius = wanderRadius
+    this.idle   = idle
+    this.random = mulberry32(seed)
+    this.agents = []
+
+    this.REBUILD_INTERVAL = 0.5   // seconds between nav rebuilds while edits keep coming
+
+    this._dirty = null            // terrain region awaiting a nav rebuild
+    this._sinceRebuild = Infinity
+
+    this._geometry = new THREE.CapsuleGeometry(radius, halfHeight * 2, 4, 12)
+    this._material = new THREE.MeshLambertMaterial({ color })
+
+    for (let i = 0; i < count; i++) {
+      const spot = this._randomSpot(center, spawnRadius)
+      if (!spot) continue
+      const agent = new NpcAgent({ world, RAPIER, terrain, water, nav })
+      const y = spot.y + radius + halfHeight + 0.1
+      agent.setPosition(spot.x, y, spot.z)
+
+      const mesh = new THREE.Mesh(this._geometry, this._material)
+      mesh.castShadow = true
+      mesh.name = `npc-${i}`
+      mesh.position.set(spot.x, y, spot.z)
+      scene.add(mesh)
+
+      this.agents.push({
+        agent, mesh,
+        home:    spot,
+        wait:    this.random() * idle[1],
+        prevPos: mesh.position.clone(),
+        currPos: mesh.position.clone(),
+      })
+    }
+  }
+
+  /**
+   * The terrain changed inside `region`: rebuild that part of the nav grid
+   * and re-plan, at most every REBUILD_INTERVAL while edits keep coming
+   * (a held brush changes the terrain every frame).
+   */
+  refresh(region) {
+    this._dirty = mergeRegions(this._dirty, region)
+  }
+
+  /** Re-plan after the terrain or obstacles changed under everyone's feet */
+  replan() {
+    for (const { agent } of this.agents) {
+      if (agent.destination) agent.moveTo(agent.destination)
+    }
+  }
+
+  /** Steer and move every agent one physics step. Call after world.step(). */
+  update(dt) {
+    this._sinceRebuild += dt
+    if (this._dirty && this._sinceRebuild >= this.REBUILD_INTERVAL) {
+      this.nav.rebuild(this._dirty)
+      this.replan()
+      this._dirty = null
+      this._sinceRebuild = 0
+    }
+
+    for (const npc of this.agents) {
+      const { agent } = npc
+      if (!agent.moving && (npc.wait -= dt) <= 0) {
+        const target = this._randomSpot(npc.home, this.wanderRadius)
+        if (target) agent.moveTo(target)
+        npc.wait = this.idle[0] + this.random() * (this.idle[1] - this.idle[0])
+      }
+      agent.update(dt)
+
+      const p = agent.body.nextTranslation()
+      npc.prevPos.copy(npc.currPos)
+      npc.currPos.set(p.x, p.y, p.z)
+    }
+  }
+
+  /** Place the capsules between the last two physics steps */
+  sync(alpha = 1) {
+    for (const { agent, mesh, prevPos, currPos } of this.agents) {
+      mesh.position.lerpVectors(prevPos, currPos, alpha)
+      mesh.rotation.y = agent.yaw
+    }
+  }
+
+  dispose() {
+    for (const { agent, mesh } of this.agents) {
+      agent.dispose()
+      this.scene.remove(mesh)
+    }
+    this.agents = []
+    this._geometry.dispose()
+    this._material.dispose()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _randomSpot(center, radius) {
+    const angle = this.random() * Math.PI * 2
+    const dist  = Math.sqrt(this.random()) * radius
+    return this.nav.nearestWalkable(center.x + Math.cos(angle) * dist, center.z + Math.sin(angle) * dist)
+  }
+}
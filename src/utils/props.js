@@ -0,0 +1,216 @@
+import * as THREE from 'three'
+import { ConvexGeometry } from 'three/addons/geometries/ConvexGeometry.js'
+
+/**
+ * PropSystem
+ * Dynamic physics props: each one is a Three.js mesh paired with a Rapier
+ * rigid body + collider. Shapes:
+ *   box      — { size: [x, y, z] }          full extents in metres
+ *   sphere   — { radius }
+ *   capsule  — { radius, halfHeight }       Y-up, like the player
+ *   hull     — { points: [[x, y, z], ...] } convex hull of the points
+ *
+ * Call update() after every world.step() to record body transforms, and
+ * sync(alpha) once per render frame to place the meshes between the last
+ * two physics steps.
+ *
+ * Usage:
+ *   const props = new PropSystem({ world, RAPIER, scene })
+ *   props.spawn({ shape: 'box', position: { x: 0, y: 20, z: 0 } })
+ *   props.throwFrom(camera)
+ *   // in game loop, per physics step:
+ *   world.step()
+ *   props.update()
+ *   // per render frame:
+ *   props.sync(alpha)
+ */
+export class PropSystem {
+  constructor({
+    world,
+    RAPIER,
+    scene,
+    maxProps = 200,   // oldest props are removed past this count
+  }) {
+    this.world    = world
+    this.RAPIER   = RAPIER
+    this.scene    = scene
+    this.maxProps = maxProps
+
+    this.props = []
+    this._dir  = new THREE.Vector3()
+  }
+
+  /**
+   * Create a prop.
+   * @param {object} options
+   * @param {'box'|'sphere'|'capsule'|'hull'} [options.shape='box']
+   * @param {{x: number, y: number, z: number}} options.position
+   * @param {{x: number, y: number, z: number}} [options.velocity]  Initial linear velocity
+   * @param {number} [options.density=300]  kg/m³; water is 1000, so props float by default
+   * @returns {{ mesh: THREE.Mesh, body: RAPIER.RigidBody, collider: RAPIER.Collider, shape: string, spec: object }}
+   *   `spec` holds the resolved options, enough to spawn the same prop again
+   */
+  spawn({
+    shape = 'box',
+    position,
+    rotation = null,     // {x, y, z, w}
+    velocity = null,
+    size = [1, 1, 1],
+    radius = 0.5,
+    halfHeight = 0.4,
+    points = null,
+    color = 0xb5835a,
+    density = 300,
+    friction = 0.7,
+    restitution = 0.1,
+  }) {
+    const { RAPIER, world } = this
+    // Random rocks are generated here so the spec can reproduce them
+    if (shape === 'hull') points = points ?? randomRock(radius)
+    const { geometry, colDesc } = this._buildShape(shape, { size, radius, halfHeight, points })
+
+    const rbDesc = RAPIER.RigidBodyDesc
+      .dynamic()
+      .setTranslation(position.x, position.y, position.z)
+      .setCcdEnabled(true)   // thrown props are fast and small
+    if (rotation) rbDesc.setRotation(rotation)
+    if (velocity) rbDesc.setLinvel(velocity.x, velocity.y, velocity.z)
+    const body = world.createRigidBody(rbDesc)
+
+    colDesc
+      .setDensity(density)
+      .setFriction(friction)
+      .setRestitution(restitution)
+    const collider = world.createCollider(colDesc, body)
+
+    const mesh = new THREE.Mesh(geometry, new THREE.MeshLambertMaterial({ color }))
+    mesh.castShadow    = true
+    mesh.receiveShadow = true
+    mesh.name = `prop-${shape}`
+    this.scene.add(mesh)
+
+    const prop = {
+      mesh, body, collider, shape,
+      spec: { shape, size, radius, halfHeight, points, color, density, friction, restitution },
+      // Transforms at the previous and latest physics step
+      prevPos:  new THREE.Vector3(),
+      currPos:  new THREE.Vector3(),
+      prevQuat: new THREE.Quaternion(),
+      currQuat: new THREE.Quaternion(),
+    }
+    this.props.push(prop)
+    this._capture(prop)
+    this._capture(prop)
+    mesh.position.copy(prop.currPos)
+    mesh.quaternion.copy(prop.currQuat)
+
+    while (this.props.length > this.maxProps) this.remove(this.props[0])
+    return prop
+  }
+
+  /**
+   * Launch a prop out of the camera, along the view direction.
+   * @param {THREE.Camera} camera
+   * @param {object} [options]  spawn() options, plus `speed` in m/s
+   */
+  throwFrom(camera, { speed = 18, ...options } = {}) {
+    camera.getWorldDirection(this._dir)
+    const p = camera.position
+    // Start just in front of the camera so it clears the player capsule
+    return this.spawn({
+      shape: 'sphere',
+      radius: 0.3,
+      ...options,
+      position: { x: p.x + this._dir.x * 1.2, y: p.y + this._dir.y * 1.2, z: p.z + this._dir.z * 1.2 },
+      velocity: { x: this._dir.x * speed, y: this._dir.y * speed, z: this._dir.z * speed },
+    })
+  }
+
+  /** Record every body's transform; call after each world.step() */
+  update() {
+    for (const prop of this.props) this._capture(prop)
+  }
+
+  /**
+   * Place every mesh between its last two recorded transforms.
+   * @param {number} [alpha=1]  0 = previous step, 1 = latest step
+   */
+  sync(alpha = 1) {
+    for (const { mesh, prevPos, currPos, prevQuat, currQuat } of this.props) {
+      mesh.position.lerpVectors(prevPos, currPos, alpha)
+      mesh.quaternion.slerpQuaternions(prevQuat, currQuat, alpha)
+    }
+  }
+
+  /** Remove one prop from the world and the scene */
+  remove(prop) {
+    const i = this.props.indexOf(prop)
+    if (i === -1) return
+    this.props.splice(i, 1)
+    this.world.removeRigidBody(prop.body)
+    this.scene.remove(prop.mesh)
+    prop.mesh.geometry.dispose()
+    prop.mesh.material.dispose()
+  }
+
+  /** Remove all props */
+  dispose() {
+    while (this.props.length) this.remove(this.props[this.props.length - 1])
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _capture(prop) {
+    prop.prevPos.copy(prop.currPos)
+    prop.prevQuat.copy(prop.currQuat)
+    // Sleeping bodies don't move; skip the WASM round trip
+    if (prop.body.isSleeping()) return
+    const t = prop.body.translation()
+    const r = prop.body.rotation()
+    prop.currPos.set(t.x, t.y, t.z)
+    prop.currQuat.set(r.x, r.y, r.z, r.w)
+  }
+
+  _buildShape(shape, { size, radius, halfHeight, points }) {
+    const { RAPIER } = this
+    switch (shape) {
+      case 'box':
+        return {
+          geometry: new THREE.BoxGeometry(size[0], size[1], size[2]),
+          colDesc:  RAPIER.ColliderDesc.cuboid(size[0] / 2, size[1] / 2, size[2] / 2),
+        }
+      case 'sphere':
+        return {
+          geometry: new THREE.SphereGeometry(radius, 20, 14),
+          colDesc:  RAPIER.ColliderDesc.ball(radius),
+        }
+      case 'capsule':
+        return {
+          geometry: new THREE.CapsuleGeometry(radius, halfHeight * 2, 6, 16),
+          colDesc:  RAPIER.ColliderDesc.capsule(halfHeight, radius),
+        }
+      case 'hull': {
+        const colDesc = RAPIER.ColliderDesc.convexHull(new Float32Array(points.flat()))
+        if (!colDesc) throw new Error('PropSystem: hull points are degenerate (all coplanar?)')
+        return {
+          geometry: new ConvexGeometry(points.map(([x, y, z]) => new THREE.Vector3(x, y, z))),
+          colDesc,
+        }
+      }
+      default:
+        throw new Error(`PropSystem: unknown shape "${shape}"`)
+    }
+  }
+}
+
+/** A lumpy rock: points on a squashed sphere with jittered radii */
+function randomRock(radius) {
+  const points = []
+  for (let i = 0; i < 16; i++) {
+    const u = Math.random() * 2 - 1
+    const a = Math.random() * Math.PI * 2
+    const s = Math.sqrt(1 - u * u)
+    const r = radius * (0.7 + Math.random() * 0.3)
+    points.push([Math.cos(a) * s * r, u * r * 0.7, Math.sin(a) * s * r])
+  }
+  return points
+}
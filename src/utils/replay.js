@@ -0,0 +1,191 @@
+import { TICK_ACTIONS, packActions, FrameInput } from '../core/actions.js'
+import { createSnapshot, applySnapshot, pickFile, downloadFile } from './save.js'
+
+/**
+ * Input recording and deterministic replay
+ * ────────────────────────────────────────
+ * InputRecorder captures, for every fixed physics tick, exactly what
+ * FPSController.update() reads: held actions, the move stick and the
+ * yaw/pitch change since the previous tick, plus a checksum of the player
+ * position after the tick. The recording starts from a world snapshot
+ * (save.js) and the controller's full state, so it can be replayed from
+ * the same starting point.
+ *
+ * ReplayPlayer restores that start, then feeds the ticks back through a
+ * FrameInput (core/actions.js) and compares checksums tick by tick to report
+ * where the run diverges.
+ *
+ * Only the player is driven; props and the vehicle replay from their
+ * snapshot but Rapier's internal contact state isn't captured, so a
+ * collision with a dynamic body (or a wandering NPC) is the usual source
+ * of divergence.
+ *
+ * Usage:
+ *   const recorder = await InputRecorder.start({ player, input, targets, seed, hz })
+ *   // per physics step:
+ *   recorder.beforeTick(); player.update(dt); recorder.afterTick()
+ *   const recording = recorder.stop()
+ *
+ *   const replay = await ReplayPlayer.start({ recording, player, targets })
+ *   // per physics step, until replay.done:
+ *   replay.beforeTick(); player.update(dt); const { diverged } = replay.afterTick()
+ *   replay.stop()
+ */
+
+export const RECORDING_VERSION = 1
+
+export class InputRecorder {
+  /**
+   * Snapshot the world and begin recording.
+   * @param {object} options
+   * @param {FPSController} options.player
+   * @param {InputManager}  options.input
+   * @param {object} options.targets  createSnapshot() targets: { player, terrain, baseHeights, props, vehicle }
+   * @param {*}      [options.seed]   Terrain/world seed, for reference
+   * @param {number} [options.hz]     Physics rate the ticks run at
+   */
+  static async start({ player, input, targets, seed = null, hz = 60 }) {
+    const world = await createSnapshot(targets)
+    return new InputRecorder({ player, input, start: { seed, hz, world, player: player.getState() } })
+  }
+
+  constructor({ player, input, start }) {
+    this.player = player
+    this.input  = input
+    this.start  = start
+    this.ticks  = []
+    this._yaw   = player.yaw
+    this._pitch = player.pitch
+  }
+
+  /** Capture this tick's input. Call right before player.update(). */
+  beforeTick() {
+    const { input, player } = this
+    const mask = packActions(input)
+    const move = input.getMove()
+
+    // Look is applied per frame; store it per tick as a delta, and re-apply
+    // it the way replay will, so both runs see bit-identical angles
+    const dYaw   = player.yaw - this._yaw
+    const dPitch = player.pitch - this._pitch
+    this._yaw   += dYaw
+    this._pitch += dPitch
+    player.yaw   = this._yaw
+    player.pitch = this._pitch
+
+    this.ticks.push([mask, move.x, move.y, dYaw, dPitch, 0])
+  }
+
+  /** Record where the tick left the player. Call right after player.update(). */
+  afterTick() {
+    this.ticks[this.ticks.length - 1][5] = positionChecksum(this.player.getPosition())
+  }
+
+  /** @returns {object} the recording, JSON-safe */
+  stop() {
+    return {
+      version:   RECORDING_VERSION,
+      createdAt: new Date().toISOString(),
+      actions:   TICK_ACTIONS,
+      ...this.start,
+      ticks:     this.ticks,
+    }
+  }
+}
+
+export class ReplayPlayer {
+  /**
+   * Put the world and player back at the recording's start and hand the
+   * player a replay input source. Call between frames.
+   * @param {object} options
+   * @param {object} options.recording
+   * @param {FPSController} options.player
+   * @param {object} options.targets  applySnapshot() targets: { player, terrain, baseHeights, deformer, props, vehicle }
+   */
+  static async start({ recording, player, targets }) {
+    if (recording?.version !== RECORDING_VERSION) {
+      throw new Error(`Replay: unsupported recording version ${recording?.version}`)
+    }
+    await applySnapshot(recording.world, targets)
+    player.setState(recording.player)
+    return new ReplayPlayer({ recording, player })
+  }
+
+  constructor({ recording, player }) {
+    this.recording = recording
+    this.player    = player
+    this.tick      = 0
+    this.divergedAt = -1   // first tick whose checksum didn't match
+    this.input     = new FrameInput(recording.actions)
+
+    this._liveInput = player.input
+    player.input    = this.input
+    this._yaw   = recording.player.yaw
+    this._pitch = recording.player.pitch
+  }
+
+  /** All ticks played? */
+  get done() {
+    return this.tick >= this.recording.ticks.length
+  }
+
+  /** Load the next tick's input. Call right before player.update(). */
+  beforeTick() {
+    const [mask, moveX, moveY, dYaw, dPitch] = this.recording.ticks[this.tick]
+    this.input.set(mask, moveX, moveY)
+    this._yaw   += dYaw
+    this._pitch += dPitch
+    this.player.yaw   = this._yaw
+    this.player.pitch = this._pitch
+  }
+
+  /**
+   * Check the tick against the recording. Call right after player.update().
+   * @returns {{ tick: number, diverged: boolean, expected: number, actual: number }}
+   */
+  afterTick() {
+    const expected = this.recording.ticks[this.tick][5]
+    const actual   = positionChecksum(this.player.getPosition())
+    const diverged = expected !== actual
+    if (diverged && this.divergedAt === -1) this.divergedAt = this.tick
+    return { tick: this.tick++, diverged, expected, actual }
+  }
+
+  /** Give the player back its live input */
+  stop() {
+    this.player.input = this._liveInput
+  }
+}
+
+/** 32-bit FNV-1a over the float32 bits of a position */
+export function positionChecksum({ x, y, z }) {
+  const bits = new Uint32Array(new Float32Array([x, y, z]).buffer)
+  let h = 2166136261
+  for (const word of bits) {
+    for (let shift = 0; shift < 32; shift += 8) {
+      h = Math.imul(h ^ ((word >>> shift) & 0xff), 16777619)
+    }
+  }
+  return h >>> 0
+}
+
+// ── Files ────────────────────────────────────────────────────────────────────
+
+/** Download a recording as a .json file */
+export function exportRecording(recording, filename = `replay-${recording.createdAt.replace(/[:.]/g, '-')}.json`) {
+  downloadFile(JSON.stringify(recording), filename, 'application/json')
+}
+
+/**
+ * Read a recording from a File. Without a file, opens a file picker.
+ * @returns {Promise<object|null>} null if the picker was cancelled
+ */
+export async function importRecording(file = null) {
+  file = file ?? await pickFile('.json,application/json')
+  if (!file) return null
+  const recording = JSON.parse(await file.text())
+  if (recording?.version !== RECORDING_VERSION || !Array.isArray(recording.ticks)) {
+    throw new Error(`Replay: ${file.name} is not a recording`)
+  }
+  return recording
+}
@@ -0,0 +1,273 @@
+/**
+ * Save / load
+ * Snapshots of the running world as plain JSON:
+ *   - player: the controller's full state (PlayerController.getState()),
+ *     so crouching, swimming and stamina come back with the position
+ *   - terrain: runtime edits, stored as a deflated diff against the heights
+ *     the map was loaded with (untouched maps cost a few bytes)
+ *   - props and the vehicle: body transforms and velocities
+ *
+ * Snapshots go to IndexedDB save slots, or out to / in from a .json file.
+ * Restoring terrain pushes the heights through TerrainDeformer.sync(), which
+ * rebuilds the mesh/LOD/chunks and the Rapier collider.
+ *
+ * Usage:
+ *   const baseHeights = terrain.heights.slice()   // right after loading the map
+ *   const snapshot = await createSnapshot({ player, terrain, baseHeights, props, vehicle })
+ *   await saveToSlot('quick', snapshot)
+ *   await applySnapshot(await loadFromSlot('quick'), { player, terrain, baseHeights, deformer, props, vehicle })
+ */
+
+export const SAVE_VERSION = 2
+
+const DB_NAME  = 'heightfield-saves'
+const DB_STORE = 'slots'
+
+// ── Snapshots ────────────────────────────────────────────────────────────────
+
+/**
+ * Capture the world. Any of props / vehicle may be omitted.
+ * @returns {Promise<object>} JSON-safe snapshot
+ */
+export async function createSnapshot({ player, terrain, baseHeights, props = null, vehicle = null }) {
+  return {
+    version: SAVE_VERSION,
+    savedAt: new Date().toISOString(),
+    player:  player.getState(),
+    terrain: {
+      width:  terrain.width,
+      height: terrain.depth,
+      diff:   await encodeHeightDiff(baseHeights, terrain.heights),
+    },
+    props:   props ? props.props.map(({ spec, body }) => ({ spec, ...bodyState(body) })) : [],
+    vehicle: vehicle ? bodyState(vehicle.body) : null,
+  }
+}
+
+/**
+ * Put the world back the way a snapshot describes it.
+ * @param {object} snapshot  From createSnapshot / loadFromSlot / importSnapshot
+ * @param {object} targets   { player, terrain, baseHeights, deformer, props?, vehicle? }
+ */
+export async function applySnapshot(snapshot, { player, terrain, baseHeights, deformer, props = null, vehicle = null }) {
+  if (snapshot?.version !== SAVE_VERSION) {
+    throw new Error(`Save: unsupported snapshot version ${snapshot?.version}`)
+  }
+  const { width, height, diff } = snapshot.terrain
+  if (width !== terrain.width || height !== terrain.depth) {
+    throw new Error(`Save: snapshot is for a ${width}×${height} map, this one is ${terrain.width}×${terrain.depth}`)
+  }
+
+  // ── Terrain: rebuild only the area that actually differs ────
+  const target = await decodeHeightDiff(baseHeights, diff)
+  const region = changedRegion(terrain.heights, target, terrain.width)
+  if (region) {
+    terrain.heights.set(target)
+    deformer.sync(region)
+  }
+
+  // ── Player: capsule height and eye height travel with the position ──
+  player.setState(snapshot.player)
+
+  // ── Dynamic bodies ──────────────────────────────────────────
+  if (props) {
+    props.dispose()
+    for (const saved of snapshot.props) {
+      const prop = props.spawn({ ...saved.spec, position: saved.position, rotation: saved.rotation })
+      restoreBody(prop.body, saved)
+    }
+  }
+  if (vehicle && snapshot.vehicle) {
+    const v = snapshot.vehicle
+    vehicle.setPosition(v.position.x, v.position.y, v.position.z)
+    restoreBody(vehicle.body, v)
+  }
+}
+
+// ── IndexedDB slots ──────────────────────────────────────────────────────────
+
+/** Store a snapshot under `slot` (overwrites) */
+export async function saveToSlot(slot, snapshot) {
+  await request(store('readwrite'), s => s.put(snapshot, slot))
+}
+
+/** @returns {Promise<object|null>} the snapshot in `slot`, or null */
+export async function loadFromSlot(slot) {
+  return (await request(store('readonly'), s => s.get(slot))) ?? null
+}
+
+/** @returns {Promise<string[]>} names of all saved slots */
+export async function listSlots() {
+  return request(store('readonly'), s => s.getAllKeys())
+}
+
+export async function deleteSlot(slot) {
+  await request(store('readwrite'), s => s.delete(slot))
+}
+
+// ── Files ────────────────────────────────────────────────────────────────────
+
+/** Download a snapshot as a .json file */
+export function exportSnapshot(snapshot, filename = 'heightfield-save.json') {
+  downloadFile(JSON.stringify(snapshot), filename, 'application/json')
+}
+
+/** Hand a string or bytes to the browser as a file download */
+export function downloadFile(data, filename, type = 'application/octet-stream') {
+  const url = URL.createObjectURL(new Blob([data], { type }))
+  const a = document.createElement('a')
+  a.href = url
+  a.download = filename
+  a.click()
+  URL.revokeObjectURL(url)
+}
+
+/**
+ * Read a snapshot back from a File (e.g. from an <input type="file">).
+ * Without a file, opens a file picker.
+ * @returns {Promise<object|null>} null if the picker was cancelled
+ */
+export async function importSnapshot(file = null) {
+  file = file ?? await pickFile('.json,application/json')
+  if (!file) return null
+  const snapshot = JSON.parse(await file.text())
+  if (snapshot?.version !== SAVE_VERSION) {
+    throw new Error(`Save: ${file.name} is not a save file (version ${snapshot?.version})`)
+  }
+  return snapshot
+}
+
+/** Open a file picker; resolves to the chosen File, or null if cancelled */
+export function pickFile(accept) {
+  return new Promise(resolve => {
+    const input = document.createElement('input')
+    input.type = 'file'
+    input.accept = accept
+    input.addEventListener('change', () => resolve(input.files[0] ?? null))
+    input.addEventListener('cancel', () => resolve(null))
+    input.click()
+  })
+}
+
+// ── Height diff encoding ─────────────────────────────────────────────────────
+// Runs of changed samples: [start: u32, count: u32, values: f32 × count]...
+// deflated and base64'd. Values are absolute heights, so decoding never
+// accumulates float error.
+
+export async function encodeHeightDiff(base, heights) {
+  const runs = []
+  let bytes = 0
+  for (let i = 0; i < heights.length; i++) {
+    if (heights[i] === base[i]) continue
+    const start = i
+    while (i < heights.length && heights[i] !== base[i]) i++
+    runs.push([start, i - start])
+    bytes += 8 + (i - start) * 4
+  }
+  if (runs.length === 0) return ''
+
+  const buffer = new ArrayBuffer(bytes)
+  const view = new DataView(buffer)
+  let offset = 0
+  for (const [start, count] of runs) {
+    view.setUint32(offset, start, true)
+    view.setUint32(offset + 4, count, true)
+    offset += 8
+    for (let k = 0; k < count; k++, offset += 4) view.setFloat32(offset, heights[start + k], true)
+  }
+  return toBase64(await transform(new Uint8Array(buffer), new CompressionStream('deflate')))
+}
+
+export async function decodeHeightDiff(base, diff) {
+  const heights = Float32Array.from(base)
+  if (!diff) return heights
+
+  const bytes = await transform(fromBase64(diff), new DecompressionStream('deflate'))
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength)
+  let offset = 0
+  while (offset < bytes.byteLength) {
+    const start = view.getUint32(offset, true)
+    const count = view.getUint32(offset + 4, true)
+    offset += 8
+    for (let k = 0; k < count; k++, offset += 4) heights[start + k] = view.getFloat32(offset, true)
+  }
+  return heights
+}
+
+// ── Internals ────────────────────────────────────────────────────────────────
+
+function bodyState(body) {
+  const t = body.translation(), r = body.rotation(), v = body.linvel(), w = body.angvel()
+  return {
+    position: { x: t.x, y: t.y, z: t.z },
+    rotation: { x: r.x, y: r.y, z: r.z, w: r.w },
+    linvel:   { x: v.x, y: v.y, z: v.z },
+    angvel:   { x: w.x, y: w.y, z: w.z },
+  }
+}
+
+function restoreBody(body, { position, rotation, linvel, angvel }) {
+  body.setTranslation(position, true)
+  body.setRotation(rotation, true)
+  body.setLinvel(linvel, true)
+  body.setAngvel(angvel, true)
+}
+
+/** Bounding { minRow, maxRow, minCol, maxCol } of samples that differ, or null */
+function changedRegion(a, b, width) {
+  let minRow = Infinity, maxRow = -1, minCol = Infinity, maxCol = -1
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) continue
+    const row = Math.floor(i / width), col = i % width
+    if (row < minRow) minRow = row
+    if (row > maxRow) maxRow = row
+    if (col < minCol) minCol = col
+    if (col > maxCol) maxCol = col
+  }
+  return maxRow === -1 ? null : { minRow, maxRow, minCol, maxCol }
+}
+
+async function transform(bytes, stream) {
+  const out = new Blob([bytes]).stream().pipeThrough(stream)
+  return new Uint8Array(await new Response(out).arrayBuffer())
+}
+
+function toBase64(bytes) {
+  let binary = ''
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000))
+  }
+  return btoa(binary)
+}
+
+function fromBase64(text) {
+  const binary = atob(text)
+  const bytes = new Uint8Array(binary.length)
+  for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i)
+  return bytes
+}
+
+let dbPromise = null
+function openDB() {
+  dbPromise ??= new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, 1)
+    req.onupgradeneeded = () => req.result.createObjectStore(DB_STORE)
+    req.onsuccess = () => resolve(req.result)
+    req.onerror   = () => reject(req.error)
+  })
+  return dbPromise
+}
+
+async function store(mode) {
+  const db = await openDB()
+  return db.transaction(DB_STORE, mode).objectStore(DB_STORE)
+}
+
+async function request(storePromise, fn) {
+  const s = await storePromise
+  return new Promise((resolve, reject) => {
+    const req = fn(s)
+    req.onsuccess = () => resolve(req.result)
+    req.onerror   = () => reject(req.error)
+  })
+}
@@ -0,0 +1,430 @@
+import * as THREE from 'three'
+import { mergeGeometries } from 'three/addons/utils/BufferGeometryUtils.js'
+import { mulberry32, hashSeed, poissonDisk } from '../core/noise.js'
+import { decodePNG } from '../core/png.js'
+import { band } from './splat.js'
+
+/**
+ * Default layers. Heights are normalised like SplatMap rules (0 = lowest,
+ * 1 = heightScale), slopes in degrees.
+ */
+export const DEFAULT_SCATTER_LAYERS = [
+  {
+    name: 'tree', shape: 'tree', spacing: 6, density: 0.55, scale: [0.8, 1.4],
+    rules: [{ height: [0.3, 0.62], slope: [0, 28] }],
+    collider: { type: 'cylinder', radius: 0.3, halfHeight: 2 },
+    castShadow: true,
+  },
+  {
+    name: 'bush', shape: 'bush', spacing: 3, density: 0.35, scale: [0.6, 1.3], align: 0.5,
+    rules: [{ height: [0.25, 0.68], slope: [0, 35] }],
+    castShadow: true,
+  },
+  {
+    name: 'rock', shape: 'rock', spacing: 4, density: 0.3, scale: [0.4, 1], align: 1, sink: 0.15,
+    rules: [{ height: [0.55, 1] }, { slope: [30, 90] }],
+  },
+  {
+    name: 'boulder', shape: 'boulder', spacing: 16, density: 0.4, scale: [0.8, 1.6], align: 0.7, sink: 0.3,
+    rules: [{ height: [0.2, 0.9], slope: [10, 45] }],
+    collider: { type: 'hull' },
+    castShadow: true,
+  },
+  {
+    name: 'grass', shape: 'grass', spacing: 0.9, density: 0.8, scale: [0.7, 1.3], align: 1,
+    rules: [{ height: [0.3, 0.6], slope: [0, 30] }],
+    cullDistance: 45,
+  },
+]
+
+/**
+ * ScatterSystem
+ * Trees, bushes, rocks and grass over a TerrainBuilder, drawn with
+ * InstancedMesh. Every layer is placed independently:
+ *   1. seeded Poisson-disk candidates `spacing` metres apart
+ *   2. each kept with probability density × rule weight × density map,
+ *      rules matching height / slope like SplatMap's
+ *   3. sat on getHeightAtWorld, tilted towards the terrain normal by
+ *      `align` (0 = upright, 1 = flush) and spun randomly around it
+ *
+ * Instances are grouped into square tiles (one InstancedMesh per layer per
+ * tile) so off-screen tiles are frustum-culled, and layers with a
+ * `cullDistance` hide tiles beyond it. Layers with a `collider` get fixed
+ * Rapier colliders on one shared body, sized with each instance.
+ *
+ * A layer:
+ *   name         — for `counts` and debugging
+ *   shape        — built-in mesh: 'tree' | 'bush' | 'rock' | 'boulder' | 'grass'
+ *   geometry / material — your own mesh instead of `shape` (base at y = 0)
+ *   spacing      — minimum distance between instances (m)
+ *   density      — 0..1 chance a candidate is kept where the rules fully match
+ *   rules        — [{ height: [min, max], slope: [min, max] }], any match counts
+ *   densityMap   — optional { values, width, height } over the whole terrain (see loadDensityMap)
+ *   scale        — [min, max] uniform scale
+ *   align        — 0..1, how far instances lean with the ground
+ *   sink         — metres pushed into the ground (× scale), hides floating edges
+ *   collider     — { type: 'cylinder', radius, halfHeight } (base at y = 0)
+ *                  or { type: 'hull' } (convex hull of the geometry)
+ *   castShadow   — default false
+ *   cullDistance — hide tiles further than this from the camera (m)
+ *
+ * Usage:
+ *   const scatter = new ScatterSystem({ world, RAPIER, scene, terrain, seed: 1337 })
+ *   deformer.onChange(region => scatter.refresh(region))
+ *   // per frame:
+ *   scatter.update(camera.position)
+ */
+export class ScatterSystem {
+  constructor({
+    world,
+    RAPIER,
+    scene,
+    terrain,                 // TerrainBuilder
+    layers = DEFAULT_SCATTER_LAYERS,
+    seed = 0,
+    tileSize = 40,           // metres per InstancedMesh tile
+    exclude = null,          // (x, z) => true to keep a spot clear (spawn, roads…)
+    blend = 0.04,            // soft edge of height rules, as in SplatMap
+    slopeBlend = 4,          // soft edge of slope rules (degrees)
+    colliders = true,        // false: visual only (e.g. when a server owns physics)
+  }) {
+    this.world    = world
+    this.RAPIER   = RAPIER
+    this.scene    = scene
+    this.terrain  = terrain
+    this.tileSize = tileSize
+    this.exclude  = exclude
+    this.blend    = blend
+    this.slopeBlend = slopeBlend
+    this.colliders  = colliders
+
+    this.group = new THREE.Group()
+    this.group.name = 'scatter'
+    scene.add(this.group)
+
+    this.body   = world.createRigidBody(RAPIER.RigidBodyDesc.fixed())
+    this.layers = layers.map((layer, i) => this._buildLayer(layer, mulberry32(hashSeed(seed) + i * 7919)))
+  }
+
+  /**
+   * Grayscale (or one channel of an RGBA) PNG as a density map covering
+   * the whole terrain: black = nothing grows, white = full density.
+   * @returns {Promise<{ values: Float32Array, width: number, height: number }>}
+   */
+  static async loadDensityMap(url, { channel = 0 } = {}) {
+    const res = await fetch(url)
+    if (!res.ok) throw new Error(`ScatterSystem: ${url} (HTTP ${res.status})`)
+    const { width, height, channels, values } = await decodePNG(await res.arrayBuffer(), { allChannels: true })
+    const out = new Float32Array(width * height)
+    for (let i = 0; i < out.length; i++) out[i] = values[i * channels + Math.min(channel, channels - 1)]
+    return { values: out, width, height }
+  }
+
+  /** Instances placed per layer, e.g. { tree: 412, grass: 23000 } */
+  get counts() {
+    const counts = {}
+    for (const layer of this.layers) counts[layer.name] = layer.instances.length
+    return counts
+  }
+
+  /**
+   * Footprints of every instance with a collider, e.g. to block them on a
+   * NavGrid: nav.block(x, z, radius).
+   * @returns {Array<{ x: number, z: number, radius: number }>}
+   */
+  obstacles() {
+    const out = []
+    for (const layer of this.layers) {
+      if (!layer.collider) continue
+      for (const { x, z, scale } of layer.instances) out.push({ x, z, radius: layer.collider.radius * scale })
+    }
+    return out
+  }
+
+  /**
+   * Hide tiles of distance-culled layers (grass) that are too far away.
+   * Call once per frame.
+   * @param {{ x: number, z: number }} position  Usually the camera
+   */
+  update(position) {
+    for (const layer of this.layers) {
+      if (!layer.cullDistance) continue
+      const max = layer.cullDistance
+      for (const tile of layer.tiles.values()) {
+        // Distance to the tile's square, 0 when inside it
+        const dx = Math.max(0, Math.abs(position.x - tile.x) - tile.half)
+        const dz = Math.max(0, Math.abs(position.z - tile.z) - tile.half)
+        tile.mesh.visible = dx * dx + dz * dz < max * max
+      }
+    }
+  }
+
+  /**
+   * Re-seat instances on the terrain after its heights changed in `region`
+   * (e.g. from TerrainDeformer.onChange). Placement is kept, height,
+   * tilt and colliders follow the new ground.
+   * @param {{ minRow: number, maxRow: number, minCol: number, maxCol: number }} region
+   */
+  refresh({ minRow, maxRow, minCol, maxCol }) {
+    const { terrain } = this
+    // One cell of margin: normals read the neighbours
+    const x0 = (minCol - 1) * terrain.cellSizeX - terrain.worldSizeX / 2
+    const x1 = (maxCol + 1) * terrain.cellSizeX - terrain.worldSizeX / 2
+    const z0 = (minRow - 1) * terrain.cellSizeZ - terrain.worldSizeZ / 2
+    const z1 = (maxRow + 1) * terrain.cellSizeZ - terrain.worldSizeZ / 2
+
+    for (const layer of this.layers) {
+      const touched = new Set()
+      for (const instance of layer.instances) {
+        if (instance.x < x0 || instance.x > x1 || instance.z < z0 || instance.z > z1) continue
+        this._place(layer, instance)
+        touched.add(instance.tile)
+      }
+      for (const tile of touched) {
+        tile.mesh.instanceMatrix.needsUpdate = true
+        tile.mesh.computeBoundingSphere()
+      }
+    }
+  }
+
+  dispose() {
+    for (const layer of this.layers) {
+      for (const tile of layer.tiles.values()) tile.mesh.dispose()
+      layer.geometry.dispose()
+      layer.material.dispose()
+    }
+    this.scene.remove(this.group)
+    this.world.removeRigidBody(this.body)   // also removes the colliders
+    this.layers = []
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _buildLayer(spec, random) {
+    const { terrain } = this
+    // Built-in shape only for what the spec doesn't bring itself
+    const shape = spec.geometry && spec.material ? null : SHAPES[spec.shape]()
+    if (shape && spec.geometry) shape.geometry.dispose()
+    if (shape && spec.material) shape.material.dispose()
+    const layer = {
+      name:         spec.name,
+      spacing:      spec.spacing,
+      scaleRange:   spec.scale ?? [1, 1],
+      align:        spec.align ?? 0,
+      sink:         spec.sink ?? 0,
+      collider:     this.colliders ? spec.collider ?? null : null,
+      cullDistance: spec.cullDistance ?? 0,
+      geometry:     spec.geometry ?? shape.geometry,
+      material:     spec.material ?? shape.material,
+      instances:    [],
+      tiles:        new Map(),
+    }
+    if (layer.collider?.type === 'hull') {
+      layer.hullPoints = layer.geometry.attributes.position.array
+      // Horizontal reach of the hull, for obstacles()
+      let reach = 0
+      for (let i = 0; i < layer.hullPoints.length; i += 3) {
+        reach = Math.max(reach, Math.hypot(layer.hullPoints[i], layer.hullPoints[i + 2]))
+      }
+      layer.collider = { ...layer.collider, radius: reach }
+    }
+
+    // ── 1 + 2: candidates, thinned by density ────────────────────
+    const { worldSizeX, worldSizeZ } = terrain
+    const points = poissonDisk(worldSizeX, worldSizeZ, spec.spacing, random)
+    for (let i = 0; i < points.length; i += 2) {
+      const x = points[i] - worldSizeX / 2
+      const z = points[i + 1] - worldSizeZ / 2
+      const roll = random()   // drawn for every candidate so layouts stay stable
+      if (this.exclude?.(x, z)) continue
+      if (roll >= spec.density * this._ruleWeight(spec, x, z)) continue
+      layer.instances.push({
+        x, z,
+        scale: layer.scaleRange[0] + random() * (layer.scaleRange[1] - layer.scaleRange[0]),
+        spin:  random() * Math.PI * 2,
+        tint:  0.85 + random() * 0.3,
+        tile: null, index: 0, collider: null,
+      })
+    }
+
+    // ── Tiles ────────────────────────────────────────────────────
+    const byTile = new Map()
+    for (const instance of layer.instances) {
+      const key = `${Math.floor(instance.x / this.tileSize)},${Math.floor(instance.z / this.tileSize)}`
+      if (!byTile.has(key)) byTile.set(key, [])
+      byTile.get(key).push(instance)
+    }
+    const color = new THREE.Color()
+    for (const [key, instances] of byTile) {
+      const [tx, tz] = key.split(',').map(Number)
+      const mesh = new THREE.InstancedMesh(layer.geometry, layer.material, instances.length)
+      mesh.name = `scatter-${layer.name}-${key}`
+      mesh.castShadow    = spec.castShadow ?? false
+      mesh.receiveShadow = true
+      const tile = {
+        mesh,
+        x: (tx + 0.5) * this.tileSize,
+        z: (tz + 0.5) * this.tileSize,
+        half: this.tileSize / 2,
+      }
+      instances.forEach((instance, index) => {
+        instance.tile  = tile
+        instance.index = index
+        this._place(layer, instance)
+        mesh.setColorAt(index, color.setScalar(instance.tint))
+      })
+      mesh.computeBoundingSphere()
+      layer.tiles.set(key, tile)
+      this.group.add(mesh)
+    }
+    return layer
+  }
+
+  /** Sit an instance on the ground: matrix, and collider if the layer has them */
+  _place(layer, instance) {
+    const { x, z, scale } = instance
+    const normal = this._normalAt(x, z, _normal)
+
+    // Lean `align` of the way from upright to the ground normal, then spin
+    _up.set(0, 1, 0).lerp(normal, layer.align).normalize()
+    _quat.setFromUnitVectors(_axisY, _up)
+    _spin.setFromAxisAngle(_axisY, instance.spin)
+    _quat.multiply(_spin)
+
+    _pos.set(x, this.terrain.getHeightAtWorld(x, z) - layer.sink * scale, z)
+    _scale.setScalar(scale)
+    _matrix.compose(_pos, _quat, _scale)
+    instance.tile.mesh.setMatrixAt(instance.index, _matrix)
+
+    if (layer.collider) this._placeCollider(layer, instance, _pos, _quat)
+  }
+
+  _placeCollider(layer, instance, position, rotation) {
+    const { RAPIER, world } = this
+    const { scale } = instance
+    const spec = layer.collider
+
+    // Colliders are built in instance space, so the shape origin is offset
+    // along the instance's own up axis
+    _offset.set(0, spec.type === 'cylinder' ? spec.halfHeight * scale : 0, 0).applyQuaternion(rotation)
+    const translation = { x: position.x + _offset.x, y: position.y + _offset.y, z: position.z + _offset.z }
+    const quaternion  = { x: rotation.x, y: rotation.y, z: rotation.z, w: rotation.w }
+
+    if (instance.collider) {
+      instance.collider.setTranslationWrtParent(translation)
+      instance.collider.setRotationWrtParent(quaternion)
+      return
+    }
+
+    let desc
+    if (spec.type === 'cylinder') {
+      desc = RAPIER.ColliderDesc.cylinder(spec.halfHeight * scale, spec.radius * scale)
+    } else {
+      const points = layer.hullPoints.map(v => v * scale)
+      desc = RAPIER.ColliderDesc.convexHull(points)
+    }
+    instance.collider = world.createCollider(
+      desc.setTranslation(translation.x, translation.y, translation.z).setRotation(quaternion).setFriction(0.8),
+      this.body
+    )
+  }
+
+  /** Terrain normal from central differences over one cell */
+  _normalAt(x, z, out) {
+    const t = this.terrain
+    const dx = t.cellSizeX, dz = t.cellSizeZ
+    const dhdx = (t.getHeightAtWorld(x + dx, z) - t.getHeightAtWorld(x - dx, z)) / (2 * dx)
+    const dhdz = (t.getHeightAtWorld(x, z + dz) - t.getHeightAtWorld(x, z - dz)) / (2 * dz)
+    return out.set(-dhdx, 1, -dhdz).normalize()
+  }
+
+  /** 0..1: how well (x, z) matches the layer's rules and density map */
+  _ruleWeight(spec, x, z) {
+    const { terrain } = this
+    const height = (terrain.getHeightAtWorld(x, z) - terrain.heightOffset) / terrain.heightScale
+    const slope  = Math.acos(this._normalAt(x, z, _normal).y) * 180 / Math.PI
+
+    let w = spec.rules?.length ? 0 : 1
+    for (const rule of spec.rules ?? []) {
+      let r = 1
+      if (rule.height) r *= band(height, rule.height[0], rule.height[1], this.blend, 0, 1)
+      if (rule.slope)  r *= band(slope, rule.slope[0], rule.slope[1], this.slopeBlend, 0, 90)
+      w = Math.max(w, r)
+    }
+    if (spec.densityMap && w > 0) w *= sampleMap(spec.densityMap, x / terrain.worldSizeX + 0.5, z / terrain.worldSizeZ + 0.5)
+    return w
+  }
+}
+
+// Reused every placement (no GC pressure)
+const _axisY  = new THREE.Vector3(0, 1, 0)
+const _up     = new THREE.Vector3()
+const _normal = new THREE.Vector3()
+const _pos    = new THREE.Vector3()
+const _scale  = new THREE.Vector3()
+const _offset = new THREE.Vector3()
+const _quat   = new THREE.Quaternion()
+const _spin   = new THREE.Quaternion()
+const _matrix = new THREE.Matrix4()
+
+/** Bilinear sample of a { values, width, height } map at u, v in 0..1 */
+function sampleMap({ values, width, height }, u, v) {
+  const gx = Math.max(0, Math.min(width - 1, u * (width - 1)))
+  const gy = Math.max(0, Math.min(height - 1, v * (height - 1)))
+  const x0 = Math.floor(gx), y0 = Math.floor(gy)
+  const x1 = Math.min(width - 1, x0 + 1), y1 = Math.min(height - 1, y0 + 1)
+  const fx = gx - x0, fy = gy - y0
+  return values[y0 * width + x0] * (1 - fx) * (1 - fy)
+       + values[y0 * width + x1] * fx * (1 - fy)
+       + values[y1 * width + x0] * (1 - fx) * fy
+       + values[y1 * width + x1] * fx * fy
+}
+
+// ── Built-in shapes ──────────────────────────────────────────────────────────
+// Low-poly and vertex-coloured; the base sits at y = 0.
+
+/** Paint a whole geometry one colour (for merging differently coloured parts) */
+function painted(geometry, hex) {
+  const color = new THREE.Color(hex)
+  const count = geometry.attributes.position.count
+  const colors = new Float32Array(count * 3)
+  for (let i = 0; i < count; i++) color.toArray(colors, i * 3)
+  geometry.setAttribute('color', new THREE.BufferAttribute(colors, 3))
+  return geometry.index ? geometry.toNonIndexed() : geometry
+}
+
+const SHAPES = {
+  tree() {
+    const trunk   = painted(new THREE.CylinderGeometry(0.15, 0.25, 2, 6).translate(0, 1, 0), 0x5a3d22)
+    const lower   = painted(new THREE.ConeGeometry(1.4, 2.6, 7).translate(0, 2.8, 0), 0x2f5a24)
+    const upper   = painted(new THREE.ConeGeometry(1.0, 2.2, 7).translate(0, 4.0, 0), 0x386b2a)
+    const geometry = mergeGeometries([trunk, lower, upper])
+    geometry.computeVertexNormals()
+    return { geometry, material: new THREE.MeshLambertMaterial({ vertexColors: true }) }
+  },
+  bush() {
+    const geometry = painted(new THREE.IcosahedronGeometry(0.7, 0).scale(1, 0.7, 1).translate(0, 0.35, 0), 0x3d6b2c)
+    geometry.computeVertexNormals()
+    return { geometry, material: new THREE.MeshLambertMaterial({ vertexColors: true, flatShading: true }) }
+  },
+  rock() {
+    const geometry = painted(new THREE.DodecahedronGeometry(0.5, 0).scale(1, 0.6, 0.8), 0x7a7268)
+    return { geometry, material: new THREE.MeshLambertMaterial({ vertexColors: true, flatShading: true }) }
+  },
+  boulder() {
+    const geometry = painted(new THREE.DodecahedronGeometry(1.5, 0).scale(1.1, 0.75, 1).translate(0, 0.6, 0), 0x8a8177)
+    return { geometry, material: new THREE.MeshLambertMaterial({ vertexColors: true, flatShading: true }) }
+  },
+  grass() {
+    // Two crossed quads, tapering to a point
+    const blade = new THREE.BufferGeometry()
+    blade.setAttribute('position', new THREE.Float32BufferAttribute([
+      -0.3, 0, 0,   0.3, 0, 0,   0, 0.6, 0,
+      0, 0, -0.3,   0, 0, 0.3,   0, 0.6, 0,
+    ], 3))
+    blade.setAttribute('normal', new THREE.Float32BufferAttribute([
+      0, 1, 0,  0, 1, 0,  0, 1, 0,  0, 1, 0,  0, 1, 0,  0, 1, 0,   // lit like the ground beneath
+    ], 3))
+    const geometry = painted(blade, 0x4f7a2e)
+    return { geometry, material: new THREE.MeshLambertMaterial({ vertexColors: true, side: THREE.DoubleSide }) }
+  },
+}
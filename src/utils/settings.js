@@ -0,0 +1,114 @@
+/**
+ * SettingsPanel
+ * Controls menu for an InputManager: every action with its bindings, mouse
+ * sensitivity and invert-Y. Click a binding (or the + after them) and press
+ * the new key, mouse button or gamepad button; Escape cancels. Changes save
+ * through the InputManager straight away.
+ *
+ * The panel lives inside the "Click to Enter" overlay, so it's there
+ * whenever the game doesn't have the pointer and gone once it does.
+ *
+ * Usage:
+ *   const settings = new SettingsPanel({ input })
+ */
+export class SettingsPanel {
+  constructor({
+    input,                     // InputManager to remap
+    parent = document.getElementById(input.overlayId) ?? document.body,
+  }) {
+    this.input = input
+
+    this.SENSITIVITY_RANGE = [0.0005, 0.006]   // radians per pixel
+
+    this._capturing = false
+
+    // ── DOM ──────────────────────────────────────────────────────
+    this.root = document.createElement('div')
+    this.root.id = 'input-settings'
+    this.root.innerHTML = `
+      <div class="settings-title">CONTROLS</div>
+      <label>LOOK SPEED <input type="range" name="sensitivity"
+        min="${this.SENSITIVITY_RANGE[0]}" max="${this.SENSITIVITY_RANGE[1]}" step="0.0001"><output></output></label>
+      <label class="settings-check">INVERT Y <input type="checkbox" name="invertY"></label>
+      <div class="settings-bindings"></div>
+      <button data-action="reset">RESET DEFAULTS</button>`
+    this._list        = this.root.querySelector('.settings-bindings')
+    this._sensitivity = this.root.querySelector('[name="sensitivity"]')
+    this._invertY     = this.root.querySelector('[name="invertY"]')
+
+    // Clicks in here mustn't fall through to the overlay and grab the pointer
+    this.root.addEventListener('click', e => {
+      e.stopPropagation()
+      const { action, index } = e.target.dataset
+      if (action === 'reset') this._reset()
+      else if (action)        this._capture(e.target, action, +index)
+    })
+    this.root.addEventListener('contextmenu', e => e.preventDefault())
+    this._sensitivity.addEventListener('input', () => {
+      input.setSettings({ sensitivity: +this._sensitivity.value })
+      this._sync()
+    })
+    this._invertY.addEventListener('change', () => input.setSettings({ invertY: this._invertY.checked }))
+    parent.appendChild(this.root)
+
+    this._sync()
+  }
+
+  dispose() {
+    this.root.remove()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  /** Wait for the next input and bind it to slot `index` of `action` */
+  async _capture(button, action, index) {
+    if (this._capturing) return
+    this._capturing = true
+    button.textContent = 'PRESS…'
+    button.classList.add('selected')
+    const code = await this.input.captureNext()
+    this._capturing = false
+    // A left click that was captured still fires its click: don't let it
+    // start another capture or reach the overlay
+    if (code === 'Mouse0') {
+      window.addEventListener('click', e => e.stopPropagation(), { capture: true, once: true })
+    }
+    if (code) this.input.rebind(action, index, code)
+    this._sync()
+  }
+
+  _reset() {
+    if (this._capturing) return
+    this.input.resetBindings()
+    this._sync()
+  }
+
+  _sync() {
+    const { bindings, settings } = this.input
+    this._sensitivity.value = settings.sensitivity
+    this._sensitivity.nextElementSibling.textContent = (settings.sensitivity * 1000).toFixed(1)
+    this._invertY.checked = settings.invertY
+
+    this._list.innerHTML = Object.entries(bindings).map(([action, codes]) => `
+      <div class="settings-row">
+        <span>${actionLabel(action)}</span>
+        ${codes.map((code, i) => `<button data-action="${action}" data-index="${i}">${codeLabel(code)}</button>`).join('')}
+        <button data-action="${action}" data-index="${codes.length}">+</button>
+      </div>`).join('')
+  }
+}
+
+/** 'quickSave' → 'QUICK SAVE' */
+function actionLabel(action) {
+  return action.replace(/([A-Z])/g, ' $1').toUpperCase()
+}
+
+/** 'KeyW' → 'W', 'Mouse0' → 'MOUSE L', 'Axis1-' → 'STICK 1-' */
+function codeLabel(code) {
+  const mouse = code.match(/^Mouse(\d)$/)
+  if (mouse) return `MOUSE ${['L', 'M', 'R'][+mouse[1]] ?? mouse[1]}`
+  return code
+    .replace(/^(Key|Digit)/, '')
+    .replace(/^Axis/, 'STICK ')
+    .replace(/^Pad/, 'PAD ')
+    .toUpperCase()
+}
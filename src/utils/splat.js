@@ -0,0 +1,400 @@
+import * as THREE from 'three'
+import { createSimplex2D } from '../core/noise.js'
+import { decodePNG } from '../core/png.js'
+import { copyRegion, pasteRegion } from '../core/history.js'
+
+/**
+ * Default layers — same palette as the old vertex colours, but rock now
+ * also takes over any slope too steep for grass or snow to stick to.
+ */
+export const DEFAULT_LAYERS = [
+  { name: 'dirt',  color: [0.42, 0.31, 0.10], rules: [{ height: [0, 0.3], slope: [0, 35] }] },
+  { name: 'grass', color: [0.23, 0.44, 0.10], rules: [{ height: [0.3, 0.65], slope: [0, 35] }] },
+  { name: 'rock',  color: [0.56, 0.50, 0.42], rules: [{ height: [0.65, 0.85] }, { slope: [35, 90] }] },
+  { name: 'snow',  color: [0.85, 0.85, 0.88], rules: [{ height: [0.85, 1], slope: [0, 40] }] },
+]
+
+/**
+ * SplatMap
+ * Per-sample blend weights for up to 8 terrain layers, plus a material that
+ * renders them. Weights come either from rules (height, slope, noise) or
+ * from an artist-painted splat PNG (R, G, B, A → layers 0..3), and can be
+ * brushed over at runtime with paint(); painted samples keep their weights
+ * when the rules are re-run after a terrain edit.
+ *
+ * A layer:
+ *   name    — used by surface queries (see getWeightsAtWorld)
+ *   color   — linear RGB tint (or plain colour when there's no map)
+ *   map     — optional THREE.Texture, tiled every `scale` metres
+ *   scale   — tile size in metres (default 8)
+ *   rules   — any match counts (max of the rules), each rule:
+ *               height: [min, max] normalised height
+ *               slope:  [min, max] degrees
+ *
+ * Usage:
+ *   const splat = new SplatMap({ terrain })
+ *   terrainMesh.material = splat.createMaterial()
+ *   splat.getWeightsAtWorld(x, z)   // → Float32Array, one weight per layer
+ *   splat.paint({ x, z, radius: 4, layer: 1 })   // brush grass on
+ */
+export class SplatMap {
+  constructor({
+    terrain,                // TerrainBuilder
+    layers = DEFAULT_LAYERS,
+    resolution = 1,         // weight samples per terrain cell
+    blend = 0.04,           // soft edge of height bands (normalised height)
+    slopeBlend = 4,         // soft edge of slope bands (degrees)
+    noise = 0.05,           // height jitter that breaks up straight band edges
+    noiseScale = 0.08,      // noise frequency (1/m)
+    seed = 0,
+    weights = null,         // precomputed weights (used by fromImage)
+    width = null,
+    depth = null,
+  }) {
+    if (layers.length > 8) throw new Error('SplatMap: at most 8 layers are supported')
+
+    this.terrain    = terrain
+    this.layers     = layers
+    this.layerNames = layers.map(l => l.name)
+    this.blend      = blend
+    this.slopeBlend = slopeBlend
+    this.noise      = noise
+    this.noiseScale = noiseScale
+    this._simplex   = createSimplex2D(seed)
+
+    // Weight grid covers the terrain edge to edge
+    this.width  = width ?? terrain.cols * resolution + 1
+    this.depth  = depth ?? terrain.rows * resolution + 1
+    this.weights = weights ?? new Float32Array(this.width * this.depth * layers.length)
+    this.painted = new Uint8Array(this.width * this.depth)   // 1 = brushed, rules leave it alone
+    this.ruleBased = !weights
+
+    // Packed 4 layers per RGBA texture for the shader
+    this.textures = []
+    for (let t = 0; t < Math.ceil(layers.length / 4); t++) {
+      const tex = new THREE.DataTexture(
+        new Uint8Array(this.width * this.depth * 4), this.width, this.depth, THREE.RGBAFormat
+      )
+      tex.magFilter = THREE.LinearFilter
+      tex.minFilter = THREE.LinearFilter
+      this.textures.push(tex)
+    }
+
+    if (this.ruleBased) this.update()
+    else this._uploadRegion(0, this.depth - 1, 0, this.width - 1)
+  }
+
+  /**
+   * Splat weights from an RGBA image: each channel is one layer's weight.
+   * @param {string} url
+   * @param {{ terrain: object, layers?: object[] }} options
+   */
+  static async fromImage(url, { terrain, layers = DEFAULT_LAYERS }) {
+    const res = await fetch(url)
+    if (!res.ok) throw new Error(`SplatMap: ${url} (HTTP ${res.status})`)
+    const { width, height, channels, values } = await decodePNG(await res.arrayBuffer(), { allChannels: true })
+
+    const n = Math.min(layers.length, channels)
+    const weights = new Float32Array(width * height * n)
+    for (let i = 0; i < width * height; i++) {
+      let sum = 0
+      for (let l = 0; l < n; l++) sum += values[i * channels + l]
+      for (let l = 0; l < n; l++) {
+        // Unpainted pixels fall back to the first layer
+        weights[i * n + l] = sum > 0 ? values[i * channels + l] / sum : (l === 0 ? 1 : 0)
+      }
+    }
+
+    return new SplatMap({ terrain, layers: layers.slice(0, n), weights, width, depth: height })
+  }
+
+  /**
+   * Recompute rule-based weights, e.g. after a terrain edit.
+   * @param {{ minRow: number, maxRow: number, minCol: number, maxCol: number }} [region]
+   *        Terrain grid region (default: everything)
+   */
+  update(region) {
+    if (!this.ruleBased) return
+    const { terrain, width, depth, layers, weights } = this
+    const sx = (width - 1) / terrain.cols
+    const sz = (depth - 1) / terrain.rows
+
+    // Slope reads neighbours, so widen the terrain region by one cell
+    const minCol = region ? Math.max(0, Math.floor((region.minCol - 1) * sx)) : 0
+    const maxCol = region ? Math.min(width - 1, Math.ceil((region.maxCol + 1) * sx)) : width - 1
+    const minRow = region ? Math.max(0, Math.floor((region.minRow - 1) * sz)) : 0
+    const maxRow = region ? Math.min(depth - 1, Math.ceil((region.maxRow + 1) * sz)) : depth - 1
+
+    const n = layers.length
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        if (this.painted[row * width + col]) continue
+        const { x, z } = this._samplePosition(col, row)
+        const { height, slope } = this._surfaceAt(x, z)
+        const base = (row * width + col) * n
+
+        let sum = 0
+        for (let l = 0; l < n; l++) {
+          let w = 0
+          for (const rule of layers[l].rules ?? []) {
+            w = Math.max(w, this._ruleWeight(rule, height, slope))
+          }
+          weights[base + l] = w
+          sum += w
+        }
+
+        // Nothing matched: use the last layer (rock in the defaults)
+        for (let l = 0; l < n; l++) {
+          weights[base + l] = sum > 0 ? weights[base + l] / sum : (l === n - 1 ? 1 : 0)
+        }
+      }
+    }
+
+    this._uploadRegion(minRow, maxRow, minCol, maxCol)
+  }
+
+  /**
+   * Brush one layer on: weights inside the brush move towards that layer
+   * alone, by `strength` at the centre fading to nothing at the radius.
+   * @param {object} brush
+   * @param {number} brush.x         World X of the brush centre
+   * @param {number} brush.z         World Z of the brush centre
+   * @param {number} brush.radius    Metres
+   * @param {number} brush.layer     Layer index
+   * @param {number} [brush.strength=1]  0..1
+   * @param {number} [brush.falloff=0.5] Fraction of the radius that fades out
+   * @returns {{ minRow: number, maxRow: number, minCol: number, maxCol: number } | null}
+   *          Weight-grid region that changed (see snapshot / restore)
+   */
+  paint({ x, z, radius, layer, strength = 1, falloff = 0.5 }) {
+    const { width, weights, painted } = this
+    const n = this.layers.length
+    if (layer < 0 || layer >= n) throw new Error(`SplatMap: no layer ${layer}`)
+
+    const footprint = this.footprint({ x, z, radius })
+    if (!footprint) return null
+    const { minRow, maxRow, minCol, maxCol } = footprint
+
+    const inner = radius * (1 - Math.max(0, Math.min(1, falloff)))
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const p = this._samplePosition(col, row)
+        const d = Math.hypot(p.x - x, p.z - z)
+        if (d >= radius) continue
+
+        const t = d <= inner ? 1 : 1 - smoothstep(inner, radius, d)
+        const k = Math.min(1, strength) * t
+        const i = row * width + col
+        // Lerp towards one-hot keeps the weights summing to 1
+        for (let l = 0; l < n; l++) {
+          weights[i * n + l] += ((l === layer ? 1 : 0) - weights[i * n + l]) * k
+        }
+        painted[i] = 1
+      }
+    }
+
+    this._uploadRegion(minRow, maxRow, minCol, maxCol)
+    return { minRow, maxRow, minCol, maxCol }
+  }
+
+  /** Weight-grid region a paint() brush at (x, z) can touch */
+  footprint({ x, z, radius }) {
+    const { terrain, width, depth } = this
+    const sx = (width - 1) / terrain.worldSizeX
+    const sz = (depth - 1) / terrain.worldSizeZ
+    const minCol = Math.max(0, Math.floor((x - radius) * sx + (width - 1) / 2))
+    const maxCol = Math.min(width - 1, Math.ceil((x + radius) * sx + (width - 1) / 2))
+    const minRow = Math.max(0, Math.floor((z - radius) * sz + (depth - 1) / 2))
+    const maxRow = Math.min(depth - 1, Math.ceil((z + radius) * sz + (depth - 1) / 2))
+    if (minCol > maxCol || minRow > maxRow) return null
+    return { minRow, maxRow, minCol, maxCol }
+  }
+
+  /**
+   * Copy of the weights and painted flags in a weight-grid region, for undo.
+   * @returns {{ weights: Float32Array, painted: Uint8Array }}
+   */
+  snapshot(region) {
+    return {
+      weights: copyRegion(this.weights, this.width, region, this.layers.length),
+      painted: copyRegion(this.painted, this.width, region),
+    }
+  }
+
+  /** Put back what snapshot() took for the same region */
+  restore(region, { weights, painted }) {
+    pasteRegion(this.weights, this.width, region, weights, this.layers.length)
+    pasteRegion(this.painted, this.width, region, painted)
+    this._uploadRegion(region.minRow, region.maxRow, region.minCol, region.maxCol)
+  }
+
+  /**
+   * Bilinearly interpolated layer weights at world position (x, z).
+   * @param {number} x
+   * @param {number} z
+   * @param {Float32Array} [out]
+   * @returns {Float32Array} one weight per layer, summing to 1
+   */
+  getWeightsAtWorld(x, z, out = new Float32Array(this.layers.length)) {
+    const { terrain, width, depth, weights } = this
+    const n = this.layers.length
+
+    const gx = Math.max(0, Math.min(width - 1, (x / terrain.worldSizeX + 0.5) * (width - 1)))
+    const gz = Math.max(0, Math.min(depth - 1, (z / terrain.worldSizeZ + 0.5) * (depth - 1)))
+    const col0 = Math.floor(gx), row0 = Math.floor(gz)
+    const col1 = Math.min(width - 1, col0 + 1), row1 = Math.min(depth - 1, row0 + 1)
+    const fx = gx - col0, fz = gz - row0
+
+    const i00 = (row0 * width + col0) * n
+    const i10 = (row0 * width + col1) * n
+    const i01 = (row1 * width + col0) * n
+    const i11 = (row1 * width + col1) * n
+    for (let l = 0; l < n; l++) {
+      out[l] = weights[i00 + l] * (1 - fx) * (1 - fz)
+             + weights[i10 + l] * fx * (1 - fz)
+             + weights[i01 + l] * (1 - fx) * fz
+             + weights[i11 + l] * fx * fz
+    }
+    return out
+  }
+
+  /**
+   * Layered terrain material: splat-blended layers, triplanar on steep faces.
+   * @param {{ triplanarSharpness?: number }} [options]
+   */
+  createMaterial({ triplanarSharpness = 4 } = {}) {
+    const material = new THREE.MeshLambertMaterial({ side: THREE.FrontSide })
+    const n = this.layers.length
+
+    const white = new THREE.DataTexture(new Uint8Array([255, 255, 255, 255]), 1, 1, THREE.RGBAFormat)
+    white.needsUpdate = true
+
+    const uniforms = {
+      splatTexel:         { value: new THREE.Vector2(this.width, this.depth) },
+      triplanarSharpness: { value: triplanarSharpness },
+    }
+    this.textures.forEach((tex, t) => { uniforms[`splatMap${t}`] = { value: tex } })
+    this.layers.forEach((layer, l) => {
+      if (layer.map) layer.map.wrapS = layer.map.wrapT = THREE.RepeatWrapping
+      uniforms[`layerMap${l}`]   = { value: layer.map ?? white }
+      uniforms[`layerColor${l}`] = { value: new THREE.Color().setRGB(...(layer.color ?? [1, 1, 1])) }
+      uniforms[`layerScale${l}`] = { value: 1 / (layer.scale ?? 8) }
+    })
+
+    const declarations = [
+      ...this.textures.map((_, t) => `uniform sampler2D splatMap${t};`),
+      ...this.layers.map((_, l) =>
+        `uniform sampler2D layerMap${l}; uniform vec3 layerColor${l}; uniform float layerScale${l};`),
+    ].join('\n')
+
+    const blendLines = this.layers.map((_, l) =>
+      `splatColor += splat${l >> 2}.${'rgba'[l & 3]} * layerColor${l} * triplanar(layerMap${l}, layerScale${l}, tw);`
+    ).join('\n')
+
+    material.onBeforeCompile = shader => {
+      Object.assign(shader.uniforms, uniforms)
+
+      shader.vertexShader = shader.vertexShader
+        .replace('#include <common>', `#include <common>
+          varying vec3 vSplatWorldPos;
+          varying vec3 vSplatWorldNormal;
+          varying vec2 vSplatUv;`)
+        .replace('#include <project_vertex>', `#include <project_vertex>
+          vSplatWorldPos    = (modelMatrix * vec4(transformed, 1.0)).xyz;
+          vSplatWorldNormal = normalize(mat3(modelMatrix) * objectNormal);
+          vSplatUv          = uv;`)
+
+      shader.fragmentShader = shader.fragmentShader
+        .replace('#include <common>', `#include <common>
+          varying vec3 vSplatWorldPos;
+          varying vec3 vSplatWorldNormal;
+          varying vec2 vSplatUv;
+          uniform vec2 splatTexel;
+          uniform float triplanarSharpness;
+          ${declarations}
+
+          // Project the texture along each world axis and blend by the normal,
+          // so cliffs aren't smeared by a top-down projection
+          vec3 triplanar(sampler2D map, float scale, vec3 tw) {
+            vec3 x = texture2D(map, vSplatWorldPos.zy * scale).rgb;
+            vec3 y = texture2D(map, vSplatWorldPos.xz * scale).rgb;
+            vec3 z = texture2D(map, vSplatWorldPos.xy * scale).rgb;
+            return x * tw.x + y * tw.y + z * tw.z;
+          }`)
+        .replace('#include <map_fragment>', `
+          vec3 tw = pow(abs(normalize(vSplatWorldNormal)), vec3(triplanarSharpness));
+          tw /= tw.x + tw.y + tw.z;
+
+          // Hit weight sample centres exactly at the grid vertices
+          vec2 splatUv = (vSplatUv * (splatTexel - 1.0) + 0.5) / splatTexel;
+          ${this.textures.map((_, t) => `vec4 splat${t} = texture2D(splatMap${t}, splatUv);`).join('\n')}
+
+          vec3 splatColor = vec3(0.0);
+          ${blendLines}
+          diffuseColor.rgb *= splatColor;`)
+    }
+
+    // Distinct program per layer count
+    material.customProgramCacheKey = () => `splat-${n}-${this.textures.length}`
+    return material
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _samplePosition(col, row) {
+    const { terrain, width, depth } = this
+    return {
+      x: (col / (width - 1) - 0.5) * terrain.worldSizeX,
+      z: (row / (depth - 1) - 0.5) * terrain.worldSizeZ,
+    }
+  }
+
+  /** Normalised (noise-jittered) height and slope in degrees at (x, z) */
+  _surfaceAt(x, z) {
+    const { terrain } = this
+    const dx = terrain.cellSizeX, dz = terrain.cellSizeZ
+    const dhdx = (terrain.getHeightAtWorld(x + dx, z) - terrain.getHeightAtWorld(x - dx, z)) / (2 * dx)
+    const dhdz = (terrain.getHeightAtWorld(x, z + dz) - terrain.getHeightAtWorld(x, z - dz)) / (2 * dz)
+    const slope = Math.atan(Math.hypot(dhdx, dhdz)) * 180 / Math.PI
+
+    let height = (terrain.getHeightAtWorld(x, z) - terrain.heightOffset) / terrain.heightScale
+    if (this.noise > 0) height += this._simplex(x * this.noiseScale, z * this.noiseScale) * this.noise
+
+    return { height, slope }
+  }
+
+  _ruleWeight(rule, height, slope) {
+    let w = 1
+    if (rule.height) w *= band(height, rule.height[0], rule.height[1], this.blend, 0, 1)
+    if (rule.slope)  w *= band(slope, rule.slope[0], rule.slope[1], this.slopeBlend, 0, 90)
+    return w
+  }
+
+  _uploadRegion(minRow, maxRow, minCol, maxCol) {
+    const { width, weights, textures } = this
+    const n = this.layers.length
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        const i = row * width + col
+        for (let l = 0; l < n; l++) {
+          textures[l >> 2].image.data[i * 4 + (l & 3)] = Math.round(weights[i * n + l] * 255)
+        }
+      }
+    }
+    for (const tex of textures) tex.needsUpdate = true
+  }
+}
+
+/**
+ * 1 inside [lo, hi] with soft edges of ±soft; ends at the domain
+ * limits stay open so e.g. height [0.85, 1] still covers peaks above 1.
+ */
+export function band(v, lo, hi, soft, domainMin, domainMax) {
+  const rise = lo <= domainMin ? 1 : smoothstep(lo - soft, lo + soft, v)
+  const fall = hi >= domainMax ? 1 : 1 - smoothstep(hi - soft, hi + soft, v)
+  return rise * fall
+}
+
+function smoothstep(a, b, v) {
+  const t = Math.max(0, Math.min(1, (v - a) / (b - a)))
+  return t * t * (3 - 2 * t)
+}
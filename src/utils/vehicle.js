@@ -0,0 +1,321 @@
+import * as THREE from 'three'
+
+/**
+ * Vehicle
+ * ───────
+ * Drivable car on Rapier's DynamicRayCastVehicleController:
+ * a dynamic chassis box with four ray-cast wheels on springs.
+ * Engine/brake on the rear axle, steering on the front, and a chase
+ * camera that trails the chassis while someone is driving.
+ * Driving reads the same InputManager actions as walking: forward/back
+ * for throttle and brake, left/right to steer, jump for the handbrake.
+ *
+ * The chassis' local forward axis is +X (Rapier's default), up is +Y.
+ *
+ * Usage:
+ *   const car = new Vehicle({ world, RAPIER, scene, camera, input, position })
+ *   if (car.canEnter(player.getPosition())) car.enter()
+ *   // in game loop, per physics step (after world.step()):
+ *   const { position, speed } = car.update(dt)
+ *   // per render frame:
+ *   car.interpolate(alpha, frameDt)
+ *   // later:
+ *   const exitAt = car.exit()
+ */
+export class Vehicle {
+  constructor({ world, RAPIER, scene, camera, input, position = { x: 0, y: 10, z: 0 } }) {
+    this.world  = world
+    this.RAPIER = RAPIER
+    this.scene  = scene
+    this.camera = camera
+    this.input  = input    // the game's InputManager, shared with the player
+
+    // ── Input state ──────────────────────────────────────────────
+    this.driving  = false
+    this.steering = 0      // current front-wheel angle (radians)
+
+    // ── Tuning ───────────────────────────────────────────────────
+    this.MASS            = 800    // kg
+    this.HALF_EXTENTS    = { x: 2.0, y: 0.4, z: 0.9 }
+    this.BUOYANCY        = 0.1    // of a solid chassis box: the cabin floods, so the car sinks
+    this.ENGINE_FORCE    = 1400   // N per driven wheel
+    this.BRAKE_FORCE     = 40
+    this.HANDBRAKE_FORCE = 80
+    this.MAX_STEER       = 0.5    // radians
+    this.STEER_SPEED     = 2.5    // rad/s towards the target angle
+    this.TOP_SPEED       = 30     // m/s, engine cuts out beyond this
+    this.WHEEL_RADIUS    = 0.45
+    this.SUSPENSION_REST = 0.4
+    this.ENTER_DISTANCE  = 4      // metres from the chassis centre
+    this.CAMERA_DISTANCE = 8
+    this.CAMERA_HEIGHT   = 3
+    this.CAMERA_LAG      = 6      // 1/s, how quickly the camera catches up
+
+    // ── Temp objects (reused every frame) ────────────────────────
+    this._quat    = new THREE.Quaternion()
+    this._prevPos  = new THREE.Vector3()   // chassis pose at the previous step
+    this._currPos  = new THREE.Vector3()   // chassis pose at the latest step
+    this._prevQuat = new THREE.Quaternion()
+    this._currQuat = new THREE.Quaternion()
+    this._snap     = true
+    this._fwd     = new THREE.Vector3()
+    this._camGoal = new THREE.Vector3()
+    this._look    = new THREE.Vector3()
+    this._camPos  = null
+
+    this._initPhysics(position)
+    this._initMeshes()
+  }
+
+  // ── Physics setup ──────────────────────────────────────────────
+  _initPhysics(position) {
+    const { RAPIER, world, HALF_EXTENTS: h } = this
+
+    const rbDesc = RAPIER.RigidBodyDesc
+      .dynamic()
+      .setTranslation(position.x, position.y, position.z)
+      .setCanSleep(false)
+    this.body = world.createRigidBody(rbDesc)
+    this.body.userData = { buoyancy: this.BUOYANCY }   // read by WaterSystem
+
+    // Mass below the chassis box keeps it from rolling over in turns
+    const colDesc = RAPIER.ColliderDesc
+      .cuboid(h.x, h.y, h.z)
+      .setMassProperties(
+        this.MASS,
+        { x: 0, y: -0.4, z: 0 },
+        { x: 300, y: 1200, z: 1100 },
+        { w: 1, x: 0, y: 0, z: 0 },
+      )
+      .setFriction(0.3)
+    this.collider = world.createCollider(colDesc, this.body)
+
+    this.controller = world.createVehicleController(this.body)
+
+    // Front left, front right, rear left, rear right
+    const wheelX = h.x * 0.7, wheelZ = h.z, wheelY = -h.y * 0.5
+    const wheels = [
+      { x:  wheelX, y: wheelY, z: -wheelZ },
+      { x:  wheelX, y: wheelY, z:  wheelZ },
+      { x: -wheelX, y: wheelY, z: -wheelZ },
+      { x: -wheelX, y: wheelY, z:  wheelZ },
+    ]
+    wheels.forEach((point, i) => {
+      this.controller.addWheel(point, { x: 0, y: -1, z: 0 }, { x: 0, y: 0, z: 1 }, this.SUSPENSION_REST, this.WHEEL_RADIUS)
+      this.controller.setWheelSuspensionStiffness(i, 30)
+      this.controller.setWheelSuspensionCompression(i, 2.3)
+      this.controller.setWheelSuspensionRelaxation(i, 4.4)
+      this.controller.setWheelMaxSuspensionTravel(i, 0.3)
+      this.controller.setWheelMaxSuspensionForce(i, 40000)
+      this.controller.setWheelFrictionSlip(i, 2.5)
+    })
+  }
+
+  _initMeshes() {
+    const { HALF_EXTENTS: h } = this
+
+    this.group = new THREE.Group()
+    this.group.name = 'vehicle'
+
+    const chassis = new THREE.Mesh(
+      new THREE.BoxGeometry(h.x * 2, h.y * 2, h.z * 2),
+      new THREE.MeshLambertMaterial({ color: 0xc0392b }),
+    )
+    chassis.castShadow = true
+    this.group.add(chassis)
+
+    const cabin = new THREE.Mesh(
+      new THREE.BoxGeometry(h.x, h.y * 1.6, h.z * 1.7),
+      new THREE.MeshLambertMaterial({ color: 0x34495e }),
+    )
+    cabin.position.set(-h.x * 0.15, h.y * 1.8, 0)
+    cabin.castShadow = true
+    this.group.add(cabin)
+
+    // Wheels live in world space; their transform comes from the controller
+    const wheelGeo = new THREE.CylinderGeometry(this.WHEEL_RADIUS, this.WHEEL_RADIUS, 0.35, 16)
+    wheelGeo.rotateX(Math.PI / 2)   // cylinder axis → Z, the axle
+    const wheelMat = new THREE.MeshLambertMaterial({ color: 0x222222 })
+    this.wheelMeshes = []
+    for (let i = 0; i < this.controller.numWheels(); i++) {
+      const wheel = new THREE.Mesh(wheelGeo, wheelMat)
+      wheel.castShadow = true
+      this.scene.add(wheel)
+      this.wheelMeshes.push(wheel)
+    }
+
+    this.scene.add(this.group)
+  }
+
+  /** True if a player at `position` is close enough to get in */
+  canEnter(position) {
+    const p = this.body.translation()
+    return Math.hypot(p.x - position.x, p.y - position.y, p.z - position.z) <= this.ENTER_DISTANCE
+  }
+
+  /** Take the wheel; update() now reads input and drives the camera */
+  enter() {
+    this.driving = true
+    this._camPos = null   // snap the chase camera on the first frame
+  }
+
+  /**
+   * Leave the vehicle.
+   * @returns {{ position: {x, y, z}, yaw: number }} where to put the player,
+   *   beside the driver's door and facing the way the car faces
+   */
+  exit() {
+    this.driving = false
+    this._applyControls(0, 0, this.HANDBRAKE_FORCE)
+
+    const p = this.body.translation()
+    const r = this.body.rotation()
+    this._heading(this._quat.set(r.x, r.y, r.z, r.w), this._fwd)
+    // Left of the car: forward × up
+    const side = { x: this._fwd.z, z: -this._fwd.x }
+    const d = this.HALF_EXTENTS.z + 1.2
+    return {
+      position: { x: p.x + side.x * d, y: p.y + 1, z: p.z + side.z * d },
+      yaw: Math.atan2(-this._fwd.x, -this._fwd.z),
+    }
+  }
+
+  /**
+   * Call every physics step after world.step(), whether or not anyone is
+   * driving (the suspension still has to hold a parked car up).
+   * @param {number} dt  Physics step in seconds
+   * @returns {{ position: THREE.Vector3, speed: number, grounded: boolean }}
+   */
+  update(dt) {
+    const pos = this.body.translation()
+    const rot = this.body.rotation()
+    this._prevPos.copy(this._currPos)
+    this._prevQuat.copy(this._currQuat)
+    this._currPos.set(pos.x, pos.y, pos.z)
+    this._currQuat.set(rot.x, rot.y, rot.z, rot.w)
+    if (this._snap) {
+      this._prevPos.copy(this._currPos)
+      this._prevQuat.copy(this._currQuat)
+      this._snap = false
+    }
+
+    // ── Driver input ────────────────────────────────────────────
+    let throttle = 0, brake = 0, steerTarget = 0
+    if (this.driving) {
+      const { input } = this
+      const forward = input.value('forward')
+      const reverse = input.value('back')
+      const speed   = this.controller.currentVehicleSpeed()
+
+      throttle += forward
+      if (reverse > 0) {
+        // Back brakes while rolling forwards, then reverses
+        if (speed > 1) brake = this.BRAKE_FORCE * reverse
+        else throttle -= 0.6 * reverse
+      }
+      if (Math.abs(speed) > this.TOP_SPEED && Math.sign(throttle) === Math.sign(speed)) throttle = 0
+      if (input.isDown('jump')) brake = this.HANDBRAKE_FORCE
+
+      steerTarget = (input.value('left') - input.value('right')) * this.MAX_STEER
+    } else {
+      brake = this.HANDBRAKE_FORCE
+    }
+
+    const maxStep = this.STEER_SPEED * dt
+    this.steering += Math.max(-maxStep, Math.min(maxStep, steerTarget - this.steering))
+    this._applyControls(throttle * this.ENGINE_FORCE, this.steering, brake)
+
+    this.controller.updateVehicle(dt)
+
+    let grounded = false
+    for (let i = 0; i < this.controller.numWheels(); i++) {
+      if (this.controller.wheelIsInContact(i)) grounded = true
+    }
+
+    return {
+      position: new THREE.Vector3(pos.x, pos.y, pos.z),
+      speed:    Math.abs(this.controller.currentVehicleSpeed()),
+      grounded,
+    }
+  }
+
+  /**
+   * Place the meshes between the last two physics steps and, while
+   * driving, move the chase camera. Call once per render frame.
+   * @param {number} alpha    0 = previous step, 1 = latest step
+   * @param {number} frameDt  Render frame time, for the camera lag
+   */
+  interpolate(alpha, frameDt) {
+    this.group.position.lerpVectors(this._prevPos, this._currPos, alpha)
+    this.group.quaternion.slerpQuaternions(this._prevQuat, this._currQuat, alpha)
+    this._syncWheels()
+    if (this.driving) this._updateCamera(frameDt)
+  }
+
+  /** Teleport the car upright to a world position */
+  setPosition(x, y, z) {
+    this.body.setTranslation({ x, y, z }, true)
+    this.body.setRotation({ x: 0, y: 0, z: 0, w: 1 }, true)
+    this.body.setLinvel({ x: 0, y: 0, z: 0 }, true)
+    this.body.setAngvel({ x: 0, y: 0, z: 0 }, true)
+    this._snap = true
+  }
+
+  /** Current world position */
+  getPosition() {
+    return this.body.translation()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _applyControls(engineForce, steering, brake) {
+    const c = this.controller
+    c.setWheelSteering(0, steering)
+    c.setWheelSteering(1, steering)
+    c.setWheelEngineForce(2, engineForce)
+    c.setWheelEngineForce(3, engineForce)
+    for (let i = 0; i < c.numWheels(); i++) c.setWheelBrake(i, brake)
+  }
+
+  /** Forward direction of a chassis rotation, flattened onto the ground plane */
+  _heading(quaternion, out) {
+    out.set(1, 0, 0).applyQuaternion(quaternion)
+    out.y = 0
+    if (out.lengthSq() < 1e-6) out.set(1, 0, 0)
+    return out.normalize()
+  }
+
+  _syncWheels() {
+    const c = this.controller
+    const { group } = this
+    for (let i = 0; i < this.wheelMeshes.length; i++) {
+      const mesh = this.wheelMeshes[i]
+      // Hard point + suspension length along the (chassis-space) ray direction
+      const conn = c.wheelChassisConnectionPointCs(i)
+      const len  = c.wheelSuspensionLength(i) ?? this.SUSPENSION_REST
+      mesh.position.set(conn.x, conn.y - len, conn.z).applyQuaternion(group.quaternion).add(group.position)
+
+      mesh.quaternion.copy(group.quaternion)
+      mesh.rotateY(c.wheelSteering(i) ?? 0)
+      mesh.rotateZ(-(c.wheelRotation(i) ?? 0))
+    }
+  }
+
+  /** Trail behind and above the car, looking just over its roof */
+  _updateCamera(dt) {
+    const pos = this.group.position
+    this._heading(this.group.quaternion, this._fwd)
+
+    this._camGoal.set(pos.x, pos.y + this.CAMERA_HEIGHT, pos.z)
+      .addScaledVector(this._fwd, -this.CAMERA_DISTANCE)
+
+    if (!this._camPos) {
+      this._camPos = this._camGoal.clone()
+    } else {
+      this._camPos.lerp(this._camGoal, 1 - Math.exp(-this.CAMERA_LAG * dt))
+    }
+
+    this.camera.position.copy(this._camPos)
+    this._look.set(pos.x, pos.y + 1, pos.z)
+    this.camera.lookAt(this._look)
+  }
+}
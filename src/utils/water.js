@@ -0,0 +1,184 @@
+import * as THREE from 'three'
+
+/**
+ * WaterSystem
+ * Flat water bodies over the terrain:
+ *   1. a global sea level and/or polygon lakes, each with its own level
+ *   2. a translucent surface mesh per body
+ *   3. buoyancy + drag on every dynamic Rapier body, scaled by how much
+ *      of each collider is under water. A body can scale its lift with
+ *      `body.userData = { buoyancy }` (e.g. a hollow car body that fills
+ *      up, 0 for none)
+ *
+ * FPSController takes it as `water` and switches to swimming when submerged.
+ *
+ * Usage:
+ *   const water = new WaterSystem({ scene, terrain, RAPIER, level: 2.5,
+ *     regions: [{ level: 6, points: [[10, 10], [40, 12], [30, 45]] }] })
+ *   // before world.step():
+ *   water.applyForces(world, dt)
+ */
+export class WaterSystem {
+  constructor({
+    scene,
+    terrain,          // TerrainBuilder, sizes the global water plane
+    RAPIER,           // for collider shape types
+    level = null,     // global water level in metres (null = none)
+    regions = [],     // [{ level, points: [[x, z], ...] }] lakes/ponds
+    color = 0x2a6f97,
+    opacity = 0.72,
+    density = 1000,   // kg/m³
+    linearDrag = 2.5, // 1/s, applied to the submerged fraction
+    angularDrag = 1.5,
+  }) {
+    this.scene       = scene
+    this.RAPIER      = RAPIER
+    this.level       = level
+    this.regions     = regions
+    this.density     = density
+    this.linearDrag  = linearDrag
+    this.angularDrag = angularDrag
+
+    this.material = new THREE.MeshPhongMaterial({
+      color,
+      transparent: true,
+      opacity,
+      shininess: 90,
+      specular: 0x88aacc,
+      depthWrite: false,
+      side: THREE.DoubleSide,
+    })
+
+    this.meshes = []
+    if (level !== null) {
+      // A little wider than the map so the shoreline never shows an edge
+      const geo = new THREE.PlaneGeometry(terrain.worldSizeX * 1.5, terrain.worldSizeZ * 1.5)
+      geo.rotateX(-Math.PI / 2)
+      this._addMesh(geo, level, 'water')
+    }
+    regions.forEach((region, i) => {
+      const shape = new THREE.Shape(region.points.map(([x, z]) => new THREE.Vector2(x, -z)))
+      const geo = new THREE.ShapeGeometry(shape)
+      // Shape is built in XY; lay it flat (XY → XZ, with the Z flip above)
+      geo.rotateX(-Math.PI / 2)
+      this._addMesh(geo, region.level, `water-${i}`)
+    })
+  }
+
+  /**
+   * Water surface height at (x, z), or -Infinity where there is no water.
+   * Overlapping bodies report the highest surface.
+   */
+  getWaterLevelAt(x, z) {
+    let level = this.level ?? -Infinity
+    for (const region of this.regions) {
+      if (region.level > level && pointInPolygon(x, z, region.points)) level = region.level
+    }
+    return level
+  }
+
+  /**
+   * Buoyancy and drag for every dynamic body. Call once per physics step,
+   * before world.step(). How much of a collider is submerged comes from
+   * its vertical extent (boxes, balls, capsules and cylinders exactly,
+   * other shapes as a sphere of equal volume), linear in depth.
+   * @param {RAPIER.World} world
+   * @param {number} dt  Physics step in seconds
+   */
+  applyForces(world, dt) {
+    const g = -world.gravity.y
+
+    world.forEachRigidBody(body => {
+      if (!body.isDynamic() || body.isSleeping()) return
+
+      const buoyancy = body.userData?.buoyancy ?? 1
+      let submergedVolume = 0, totalVolume = 0
+      for (let i = 0; i < body.numColliders(); i++) {
+        const collider = body.collider(i)
+        const volume = collider.volume()
+        const c = collider.translation()
+        const level = this.getWaterLevelAt(c.x, c.z)
+        totalVolume += volume
+        if (level === -Infinity) continue
+
+        const h = verticalHalfExtent(collider, volume, this.RAPIER.ShapeType)
+        const fraction = Math.max(0, Math.min(1, (level - (c.y - h)) / (2 * h)))
+        if (fraction === 0) continue
+        submergedVolume += volume * fraction
+
+        // Archimedes: weight of displaced water, pushing at the collider's centre
+        const lift = this.density * g * volume * fraction * buoyancy * dt
+        if (lift > 0) body.applyImpulseAtPoint({ x: 0, y: lift, z: 0 }, c, true)
+      }
+      if (submergedVolume === 0) return
+
+      // Drag proportional to how much of the body is wet
+      const wet  = submergedVolume / totalVolume
+      const mass = body.mass()
+      const v = body.linvel()
+      const k = Math.min(1, this.linearDrag * wet * dt) * mass
+      body.applyImpulse({ x: -v.x * k, y: -v.y * k, z: -v.z * k }, true)
+
+      const w = body.angvel()
+      const damp = 1 - Math.min(1, this.angularDrag * wet * dt)
+      body.setAngvel({ x: w.x * damp, y: w.y * damp, z: w.z * damp }, true)
+    })
+  }
+
+  /** Remove the water meshes */
+  dispose() {
+    for (const mesh of this.meshes) {
+      this.scene.remove(mesh)
+      mesh.geometry.dispose()
+    }
+    this.material.dispose()
+  }
+
+  // ── Internals ──────────────────────────────────────────────────
+  _addMesh(geometry, level, name) {
+    const mesh = new THREE.Mesh(geometry, this.material)
+    mesh.position.y = level
+    mesh.name = name
+    mesh.renderOrder = 1   // after the opaque terrain
+    this.scene.add(mesh)
+    this.meshes.push(mesh)
+  }
+}
+
+/**
+ * Half the collider's height in world space, allowing for its rotation.
+ * Shapes without a simple extent fall back to an equal-volume sphere.
+ */
+function verticalHalfExtent(collider, volume, ShapeType) {
+  // World-up row of the rotation matrix: how each local axis projects onto Y
+  const { x, y, z, w } = collider.rotation()
+  const rx = 2 * (x * y + w * z)
+  const ry = 1 - 2 * (x * x + z * z)
+  const rz = 2 * (y * z - w * x)
+
+  switch (collider.shapeType()) {
+    case ShapeType.Ball:
+      return collider.radius()
+    case ShapeType.Cuboid: {
+      const e = collider.halfExtents()
+      return Math.abs(rx) * e.x + Math.abs(ry) * e.y + Math.abs(rz) * e.z
+    }
+    case ShapeType.Capsule:    // along local Y
+      return Math.abs(ry) * collider.halfHeight() + collider.radius()
+    case ShapeType.Cylinder:   // along local Y
+      return Math.abs(ry) * collider.halfHeight() + Math.sqrt(Math.max(0, 1 - ry * ry)) * collider.radius()
+    default:
+      return Math.cbrt(3 * volume / (4 * Math.PI))
+  }
+}
+
+/** Even-odd ray test on an [[x, z], ...] polygon */
+function pointInPolygon(x, z, points) {
+  let inside = false
+  for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+    const [xi, zi] = points[i]
+    const [xj, zj] = points[j]
+    if ((zi > z) !== (zj > z) && x < (xj - xi) * (z - zi) / (zj - zi) + xi) inside = !inside
+  }
+  return inside
+}
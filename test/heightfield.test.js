@@ -0,0 +1,103 @@
+import { test, before } from 'node:test'
+import assert from 'node:assert/strict'
+import RAPIER from '@dimforge/rapier3d-compat'
+import { Heightfield } from '../src/core/index.js'
+
+before(() => RAPIER.init())
+
+/** 5 × 3 grid (non-square) whose every sample is unique: h = (row * 10 + col) / 100 */
+function ramp() {
+  const width = 5, height = 3
+  const heights = new Float32Array(width * height)
+  for (let row = 0; row < height; row++) {
+    for (let col = 0; col < width; col++) heights[row * width + col] = (row * 10 + col) / 100
+  }
+  return new Heightfield({ heights, width, height, worldSizeX: 40, heightScale: 10, heightOffset: 2 })
+}
+
+test('derives cell sizes from the grid and world size', () => {
+  const terrain = ramp()
+  assert.equal(terrain.cols, 4)
+  assert.equal(terrain.rows, 2)
+  assert.equal(terrain.cellSizeX, 10)
+  assert.equal(terrain.worldSizeZ, 20)   // square cells by default
+  assert.equal(terrain.cellSizeZ, 10)
+})
+
+test('getHeight reads row-major samples, scaled, offset and clamped', () => {
+  const terrain = ramp()
+  assert.equal(terrain.getHeight(0, 0), 2)
+  assert.equal(terrain.getHeight(1, 3), Math.fround(0.13) * 10 + 2)
+  assert.equal(terrain.getHeight(-5, 99), terrain.getHeight(0, 4))
+})
+
+test('getHeightAtWorld hits vertices exactly and interpolates between them', () => {
+  const terrain = ramp()
+  // Vertex (row 1, col 2) sits at the world origin
+  assert.equal(terrain.getHeightAtWorld(0, 0), terrain.getHeight(1, 2))
+  // Corner vertex (row 0, col 0)
+  assert.equal(terrain.getHeightAtWorld(-20, -10), terrain.getHeight(0, 0))
+  // Middle of the cell between rows 0..1 and cols 2..3 is the mean of its corners
+  const mean = (terrain.getHeight(0, 2) + terrain.getHeight(0, 3) + terrain.getHeight(1, 2) + terrain.getHeight(1, 3)) / 4
+  assert.ok(Math.abs(terrain.getHeightAtWorld(5, -5) - mean) < 1e-6)
+  // Off the map clamps to the edge
+  assert.equal(terrain.getHeightAtWorld(-1000, -1000), terrain.getHeight(0, 0))
+})
+
+test('buildRapierHeightfield stores heights column-major', () => {
+  const terrain = ramp()
+  const { nrows, ncols, heights, scale } = terrain.buildRapierHeightfield(RAPIER)
+  assert.equal(nrows, 2)
+  assert.equal(ncols, 4)
+  assert.deepEqual(scale, { x: 40, y: 10, z: 20 })
+  for (let row = 0; row <= nrows; row++) {
+    for (let col = 0; col <= ncols; col++) {
+      assert.equal(heights[row + col * (nrows + 1)], terrain.heights[row * terrain.width + col])
+    }
+  }
+})
+
+test('the collider surface matches getHeightAtWorld', () => {
+  const terrain = ramp()
+  const world = new RAPIER.World({ x: 0, y: -20, z: 0 })
+  terrain.createCollider(world, RAPIER)
+  world.step()
+
+  // The ramp is planar, so Rapier's triangles and bilinear interpolation agree everywhere
+  const points = [[0, 0], [-20, -10], [20, 10], [10, -10], [-15, -5], [5, 5], [12.5, -7.5]]
+  for (const [x, z] of points) {
+    const ray = new RAPIER.Ray({ x, y: 100, z }, { x: 0, y: -1, z: 0 })
+    const hit = world.castRay(ray, 200, true)
+    assert.ok(hit, `ray at ${x}, ${z} missed the heightfield`)
+    const y = 100 - hit.timeOfImpact
+    assert.ok(Math.abs(y - terrain.getHeightAtWorld(x, z)) < 1e-3, `height at ${x}, ${z}: ${y}`)
+  }
+  world.free()
+})
+
+test('getSurfaceAtWorld falls back to height bands', () => {
+  const heights = new Float32Array([0.1, 0.1, 0.9, 0.9])
+  const terrain = new Heightfield({ heights, size: 2, worldSize: 10 })
+  assert.equal(terrain.getSurfaceAtWorld(-5, -5).type, 'dirt')
+  assert.equal(terrain.getSurfaceAtWorld(5, 5).type, 'snow')
+})
+
+test('raycast finds the surface under a downward or slanted ray', () => {
+  const terrain = ramp()
+  const down = terrain.raycast({ x: 3, y: 50, z: -4 }, { x: 0, y: -1, z: 0 })
+  assert.ok(Math.abs(down.y - terrain.getHeightAtWorld(3, -4)) < 1e-3)
+  assert.ok(Math.abs(down.x - 3) < 1e-9 && Math.abs(down.z + 4) < 1e-9)
+
+  const len = Math.hypot(1, -1, 0.5)
+  const dir = { x: 1 / len, y: -1 / len, z: 0.5 / len }
+  const hit = terrain.raycast({ x: -15, y: 12, z: -8 }, dir)
+  assert.ok(Math.abs(hit.y - terrain.getHeightAtWorld(hit.x, hit.z)) < 1e-3)
+  assert.ok(Math.abs(hit.distance - Math.hypot(hit.x + 15, hit.y - 12, hit.z + 8)) < 1e-6)
+})
+
+test('raycast misses upward rays, short rays and the ground beyond the edge', () => {
+  const terrain = ramp()
+  assert.equal(terrain.raycast({ x: 0, y: 20, z: 0 }, { x: 0, y: 1, z: 0 }), null)
+  assert.equal(terrain.raycast({ x: 0, y: 20, z: 0 }, { x: 0, y: -1, z: 0 }, 5), null)
+  assert.equal(terrain.raycast({ x: 30, y: 20, z: 0 }, { x: 0, y: -1, z: 0 }), null)
+})
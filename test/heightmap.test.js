@@ -0,0 +1,99 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { decodeHeightmap, generateProceduralHeightmap, encodePNG, decodePNG, Heightfield } from '../src/core/index.js'
+
+test('decodes 16-bit RAW in either byte order', async () => {
+  const samples = [0, 65535, 32768, 1000]
+  for (const endian of ['little', 'big']) {
+    const view = new DataView(new ArrayBuffer(samples.length * 2))
+    samples.forEach((v, i) => view.setUint16(i * 2, v, endian === 'little'))
+    const data = await decodeHeightmap(view.buffer, { format: 'r16', endian })
+    assert.equal(data.width, 2)
+    assert.equal(data.height, 2)
+    assert.equal(data.size, 2)
+    assert.deepEqual([...data.heights], samples.map(v => Math.fround(v / 65535)))
+    assert.equal(data.minH, 0)
+    assert.equal(data.maxH, 1)
+  }
+})
+
+test('normalises float RAW and keeps non-square sizes', async () => {
+  const values = new Float32Array([-4, 0, 4, 8, 12, 16])
+  const data = await decodeHeightmap(values.buffer, { format: 'f32', width: 3, height: 2 })
+  assert.equal(data.size, null)
+  assert.deepEqual([...data.heights], [0, 0.2, 0.4, 0.6, 0.8, 1].map(Math.fround))
+})
+
+test('resamples with the corners pinned', async () => {
+  const values = new Float32Array([0, 1, 1, 0])
+  const data = await decodeHeightmap(values.buffer, { format: 'f32', targetSize: 3, normalize: false })
+  assert.deepEqual([...data.heights], [0, 0.5, 1, 0.5, 0.5, 0.5, 1, 0.5, 0])
+})
+
+test('rejects a RAW that does not fit the grid', async () => {
+  await assert.rejects(decodeHeightmap(new ArrayBuffer(10), { format: 'r16', width: 3 }), /don't fit/)
+})
+
+test('procedural terrain is repeatable for a seed', () => {
+  const a = generateProceduralHeightmap(33, { seed: 1337 })
+  const b = generateProceduralHeightmap(33, { seed: 1337 })
+  const c = generateProceduralHeightmap(33, { seed: 7 })
+  assert.equal(a.heights.length, 33 * 33)
+  assert.deepEqual(a.heights, b.heights)
+  assert.notDeepEqual(a.heights, c.heights)
+})
+
+test('16-bit PNG round trip keeps samples and text', async () => {
+  const values = new Float32Array([0, 0.25, 0.5, 1, 0.125, 0.75])
+  const png = await encodePNG({ width: 3, height: 2, values, text: { note: 'hello' } })
+  const out = await decodePNG(png.buffer)
+  assert.equal(out.width, 3)
+  assert.equal(out.height, 2)
+  assert.equal(out.text.note, 'hello')
+  values.forEach((v, i) => assert.ok(Math.abs(out.values[i] - v) <= 1 / 65535))
+})
+
+/** Non-square terrain with an edit that dug below 0 and piled above 1 */
+function edited() {
+  const width = 6, height = 4
+  const heights = new Float32Array(width * height).map((_, i) => (i % 7) / 7)
+  heights[3] = -0.2
+  heights[17] = 1.3
+  return new Heightfield({ heights, width, height, worldSizeX: 120, worldSizeZ: 90, heightScale: 20, heightOffset: -2 })
+}
+
+function assertSameTerrain(a, b) {
+  assert.equal(b.width, a.width)
+  assert.equal(b.depth, a.depth)
+  assert.equal(b.worldSizeX, a.worldSizeX)
+  assert.equal(b.worldSizeZ, a.worldSizeZ)
+  const tolerance = a.heightScale * 1.5 / 65535 + 1e-4
+  for (let row = 0; row < a.depth; row++) {
+    for (let col = 0; col < a.width; col++) {
+      assert.ok(Math.abs(a.getHeight(row, col) - b.getHeight(row, col)) <= tolerance)
+    }
+  }
+}
+
+test('exported PNG rebuilds the same terrain, edits outside 0..1 included', async () => {
+  const terrain = edited()
+  const data = await decodeHeightmap((await terrain.toPNG()).buffer, { targetSize: null })
+  assert.equal(data.metadata.worldSizeX, 120)
+  assert.ok(data.metadata.heightOffset < -2)
+  assert.equal(data.minH, 0)
+  assert.equal(data.maxH, 1)
+  assertSameTerrain(terrain, new Heightfield({ ...data, ...data.metadata }))
+})
+
+test('exported R16 rebuilds the same terrain with its metadata', async () => {
+  const terrain = edited()
+  const { data: bytes, metadata } = terrain.toR16()
+  assert.equal(bytes.length, terrain.width * terrain.depth * 2)
+  const data = await decodeHeightmap(bytes.buffer, { format: 'r16', targetSize: null, metadata })
+  assertSameTerrain(terrain, new Heightfield({ ...data, ...metadata }))
+})
+
+test('PNG without metadata decodes with metadata null', async () => {
+  const png = await encodePNG({ width: 2, height: 2, values: new Float32Array([0, 1, 1, 0]) })
+  assert.equal((await decodeHeightmap(png.buffer, { targetSize: null })).metadata, null)
+})
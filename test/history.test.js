@@ -0,0 +1,68 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { EditHistory, copyRegion, pasteRegion, mergeRegions } from '../src/core/index.js'
+
+/** An entry that sets `state.value` and remembers what it replaced */
+function setter(state, value) {
+  const before = state.value
+  state.value = value
+  return { undo: () => { state.value = before }, redo: () => { state.value = value } }
+}
+
+test('undo and redo walk the stack; a new edit drops the redo branch', () => {
+  const state = { value: 0 }
+  const history = new EditHistory()
+  history.push(setter(state, 1))
+  history.push(setter(state, 2))
+
+  history.undo()
+  assert.equal(state.value, 1)
+  history.undo()
+  assert.equal(state.value, 0)
+  assert.equal(history.undo(), null)
+  assert.equal(history.canUndo, false)
+
+  history.redo()
+  assert.equal(state.value, 1)
+  history.push(setter(state, 5))
+  assert.equal(history.canRedo, false)
+  history.undo()
+  assert.equal(state.value, 1)
+})
+
+test('the oldest entries fall off past the limit, and listeners hear every change', () => {
+  const state = { value: 0 }
+  const history = new EditHistory({ limit: 2 })
+  let changes = 0
+  const off = history.onChange(() => changes++)
+  for (let v = 1; v <= 3; v++) history.push(setter(state, v))
+  while (history.undo());
+  assert.equal(state.value, 1)
+  assert.equal(changes, 5)
+
+  off()
+  history.clear()
+  assert.equal(changes, 5)
+  assert.equal(history.canRedo, false)
+})
+
+test('copyRegion / pasteRegion round-trip a sub-rectangle with channels', () => {
+  const width = 4, channels = 2
+  const grid = Float32Array.from({ length: 4 * 3 * channels }, (_, i) => i)
+  const region = { minRow: 1, maxRow: 2, minCol: 1, maxCol: 2 }
+  const copy = copyRegion(grid, width, region, channels)
+  assert.deepEqual([...copy], [10, 11, 12, 13, 18, 19, 20, 21])
+
+  const edited = grid.slice().fill(-1)
+  pasteRegion(edited, width, region, copy, channels)
+  assert.deepEqual([...copyRegion(edited, width, region, channels)], [...copy])
+  assert.equal(edited[0], -1)
+  assert.equal(edited[9], -1)
+})
+
+test('mergeRegions covers both', () => {
+  const a = { minRow: 2, maxRow: 4, minCol: 0, maxCol: 1 }
+  const b = { minRow: 0, maxRow: 3, minCol: 5, maxCol: 6 }
+  assert.deepEqual(mergeRegions(a, b), { minRow: 0, maxRow: 4, minCol: 0, maxCol: 6 })
+  assert.equal(mergeRegions(null, b), b)
+})
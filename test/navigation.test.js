@@ -0,0 +1,96 @@
+import { test, before } from 'node:test'
+import assert from 'node:assert/strict'
+import RAPIER from '@dimforge/rapier3d-compat'
+import { Heightfield, NavGrid, NpcAgent } from '../src/core/index.js'
+
+before(() => RAPIER.init())
+
+const SIZE = 41   // 40 cells of 2 m over 80 m
+
+/**
+ * Flat ground with a 10 m wall along x = 0, open between `gap` rows
+ * (vertex rows; row 20 is z = 0)
+ */
+function walled(gap = [30, 34]) {
+  const heights = new Float32Array(SIZE * SIZE).fill(0.1)
+  for (let row = 0; row < SIZE; row++) {
+    if (row >= gap[0] && row <= gap[1]) continue
+    heights[row * SIZE + 20] = 1
+  }
+  return new Heightfield({ heights, size: SIZE, worldSize: 80, heightScale: 10 })
+}
+
+const flat = () => new Heightfield({ heights: new Float32Array(SIZE * SIZE).fill(0.1), size: SIZE, worldSize: 80, heightScale: 10 })
+
+test('open ground smooths to a straight line', () => {
+  const nav  = new NavGrid({ terrain: flat() })
+  const path = nav.findPath({ x: -30, z: -30 }, { x: 30, z: 10 })
+  assert.equal(path.length, 2)
+  assert.deepEqual([path[1].x, path[1].z], [30, 10])
+  assert.ok(Math.abs(path[1].y - 1) < 1e-6)
+})
+
+test('walls are too steep to cross; paths go through the gap', () => {
+  const nav = new NavGrid({ terrain: walled() })
+  assert.equal(nav.isWalkable(0, 0), false)
+  assert.equal(nav.isWalkable(0, 24), true)
+
+  const path = nav.findPath({ x: -20, z: 0 }, { x: 20, z: 0 })
+  assert.ok(path, 'found a path')
+  const cross = path.findIndex(p => p.x >= 0)
+  const a = path[cross - 1], b = path[cross]
+  const crossZ = a.z + (b.z - a.z) * (0 - a.x) / (b.x - a.x)
+  assert.ok(crossZ >= 20 && crossZ <= 28, `crosses the wall at z = ${crossZ}`)
+  for (let i = 1; i < path.length; i++) assert.ok(nav.clearLine(path[i - 1], path[i]), `segment ${i} is walkable`)
+
+  const raw = nav.findPath({ x: -20, z: 0 }, { x: 20, z: 0 }, { smooth: false })
+  assert.ok(raw.length > path.length)
+})
+
+test('no path when the goal is walled off', () => {
+  const nav = new NavGrid({ terrain: walled([99, 99]) })
+  assert.equal(nav.findPath({ x: -20, z: 0 }, { x: 20, z: 0 }), null)
+})
+
+test('obstacles block and unblock, stacking', () => {
+  const nav = new NavGrid({ terrain: flat(), agentRadius: 0 })
+  nav.block(0, 0, 1.5)
+  nav.block(0, 0, 1.5)
+  assert.equal(nav.isWalkable(0, 0), false)
+  nav.block(0, 0, 1.5, false)
+  assert.equal(nav.isWalkable(0, 0), false)
+  nav.block(0, 0, 1.5, false)
+  assert.equal(nav.isWalkable(0, 0), true)
+})
+
+test('rebuild picks up terrain edits in a region', () => {
+  const terrain = flat()
+  const nav = new NavGrid({ terrain })
+  terrain.heights[20 * SIZE + 20] = 1   // a spike at the origin
+  assert.equal(nav.isWalkable(0, 0), true)
+  nav.rebuild({ minRow: 19, maxRow: 21, minCol: 19, maxCol: 21 })
+  assert.equal(nav.isWalkable(0, 0), false)
+})
+
+test('an NpcAgent walks its path round the wall and arrives', () => {
+  const terrain = walled()
+  const world   = new RAPIER.World({ x: 0, y: -20, z: 0 })
+  world.timestep = 1 / 60
+  terrain.createCollider(world, RAPIER)
+
+  const nav   = new NavGrid({ terrain })
+  const agent = new NpcAgent({ world, RAPIER, terrain, nav })
+  agent.setPosition(-20, terrain.getHeightAtWorld(-20, 0) + 1, 0)
+  let arrived = null
+  agent.on('arrived', event => { arrived = event })
+
+  assert.equal(agent.moveTo({ x: 20, z: 0 }), true)
+  for (let i = 0; i < 60 * 40 && !arrived; i++) {
+    world.step()
+    agent.update(1 / 60)
+  }
+  assert.ok(arrived, 'arrived within 40 s')
+  assert.ok(Math.hypot(arrived.position.x - 20, arrived.position.z) < agent.ARRIVE_RADIUS)
+  assert.equal(agent.moving, false)
+  world.free()
+})
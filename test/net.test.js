@@ -0,0 +1,82 @@
+import { test, before } from 'node:test'
+import assert from 'node:assert/strict'
+import RAPIER from '@dimforge/rapier3d-compat'
+import { Heightfield, generateProceduralHeightmap } from '../src/core/index.js'
+import { GameServer } from '../server/game.js'
+import { startBot } from '../server/bots.js'
+
+before(() => RAPIER.init())
+
+function smallTerrain() {
+  const { heights, size } = generateProceduralHeightmap(33, { seed: 5 })
+  return new Heightfield({ heights, size, worldSize: 120, heightScale: 6 })
+}
+
+const wait = ms => new Promise(r => setTimeout(r, ms))
+const until = async (check, ms = 3000) => {
+  const end = Date.now() + ms
+  while (!check()) {
+    if (Date.now() > end) throw new Error('timed out')
+    await wait(20)
+  }
+}
+
+async function withServer(fn) {
+  const terrain = smallTerrain()
+  const server  = new GameServer({ RAPIER, terrain, port: 0, log: () => {} })
+  const port    = await server.start()
+  const bots    = []
+  const join    = seed => {
+    const bot = startBot({ url: `ws://localhost:${port}`, terrain, seed })
+    bots.push(bot)
+    return bot
+  }
+  try {
+    await fn({ server, join })
+  } finally {
+    for (const bot of bots) bot.stop()
+    await server.stop()
+  }
+}
+
+test('clients are welcomed and see each other in snapshots', () => withServer(async ({ join }) => {
+  const a = join(1), b = join(2)
+  await until(() => a.net.ready && b.net.ready)
+  assert.notEqual(a.net.id, b.net.id)
+
+  const seen = { a: new Set(), b: new Set() }
+  a.net.on('snapshot', s => s.players.forEach(p => seen.a.add(p.id)))
+  b.net.on('snapshot', s => s.players.forEach(p => seen.b.add(p.id)))
+  await until(() => seen.a.has(b.net.id) && seen.b.has(a.net.id))
+}))
+
+test('prediction matches the server simulation', () => withServer(async ({ server, join }) => {
+  const bot = join(3)
+  await until(() => bot.net.ready)
+  const start = { ...bot.player.getPosition() }
+  await wait(1500)
+
+  // The bot wandered off, and the server never had to correct it
+  const moved = bot.player.getPosition()
+  assert.ok(Math.hypot(moved.x - start.x, moved.z - start.z) > 1, 'bot did not move')
+  assert.equal(bot.net.corrections, 0)
+  assert.ok(server.players.get(bot.net.id).ack > 30)
+}))
+
+test('the client is corrected when the server disagrees', () => withServer(async ({ server, join }) => {
+  const bot = join(4)
+  await until(() => bot.net.ready)
+  await wait(200)
+
+  const errors = []
+  bot.net.on('correction', ({ error }) => errors.push(error))
+  // Something the client can't predict: the server moves its player
+  const { player } = server.players.get(bot.net.id)
+  player.setPosition(30, server.terrain.getHeightAtWorld(30, 30) + 2, 30)
+
+  await until(() => errors.length > 0)
+  assert.ok(errors[0] > 10, `first correction only ${errors[0]} m`)
+  await wait(300)
+  const p = bot.player.getPosition()
+  assert.ok(Math.hypot(p.x - 30, p.z - 30) < 5, `client at ${p.x}, ${p.z}`)
+}))
@@ -0,0 +1,25 @@
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { mulberry32, poissonDisk } from '../src/core/index.js'
+
+test('poissonDisk keeps every pair at least the radius apart', () => {
+  const points = poissonDisk(40, 25, 2, mulberry32(9))
+  const n = points.length / 2
+  assert.ok(n > 60, `only ${n} points`)
+  for (let i = 0; i < n; i++) {
+    const x = points[i * 2], z = points[i * 2 + 1]
+    assert.ok(x >= 0 && x < 40 && z >= 0 && z < 25)
+    for (let j = i + 1; j < n; j++) {
+      assert.ok(Math.hypot(points[j * 2] - x, points[j * 2 + 1] - z) >= 2 - 1e-4)
+    }
+  }
+})
+
+test('poissonDisk fills the area and repeats for a seed', () => {
+  const a = poissonDisk(50, 50, 1, mulberry32(3))
+  const b = poissonDisk(50, 50, 1, mulberry32(3))
+  assert.deepEqual(a, b)
+  // Maximal packings at radius 1 hold roughly 0.6–0.7 points per m²
+  const perArea = a.length / 2 / (50 * 50)
+  assert.ok(perArea > 0.5 && perArea < 0.8, `${perArea} points per m²`)
+})
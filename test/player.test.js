@@ -0,0 +1,124 @@
+import { test, before } from 'node:test'
+import assert from 'node:assert/strict'
+import RAPIER from '@dimforge/rapier3d-compat'
+import { Heightfield, PlayerController } from '../src/core/index.js'
+
+before(() => RAPIER.init())
+
+const DT = 1 / 60
+
+/** Scripted input: `held` actions and a fixed move stick */
+function scriptedInput() {
+  return {
+    held: new Set(),
+    move: { x: 0, y: 0 },
+    isDown(action) { return this.held.has(action) },
+    getMove() { return this.move },
+  }
+}
+
+/** World with a terrain collider and a player standing-ready above (x, z) */
+function setup(heights, size, { x = 0, z = 0 } = {}) {
+  const world   = new RAPIER.World({ x: 0, y: -20, z: 0 })
+  world.timestep = DT
+  const terrain = new Heightfield({ heights, size, worldSize: 100, heightScale: 10 })
+  terrain.createCollider(world, RAPIER)
+  const input   = scriptedInput()
+  const player  = new PlayerController({ world, RAPIER, terrain, input })
+  player.setPosition(x, terrain.getHeightAtWorld(x, z) + 3, z)
+  return { world, terrain, input, player }
+}
+
+function run(world, player, steps) {
+  let state
+  for (let i = 0; i < steps; i++) {
+    world.step()
+    state = player.update(DT)
+  }
+  return state
+}
+
+/** Capsule centre height above the ground when resting */
+const restHeight = player => player.CAPSULE_HALF_HEIGHT + player.CAPSULE_RADIUS
+
+test('falls onto flat ground and stays grounded at rest height', () => {
+  const { world, terrain, player } = setup(new Float32Array(33 * 33).fill(0.5), 33)
+  const state = run(world, player, 120)
+  assert.equal(state.grounded, true)
+  const ground = terrain.getHeightAtWorld(0, 0)
+  assert.ok(Math.abs(state.position.y - ground - restHeight(player)) < 0.1, `y = ${state.position.y}`)
+  world.free()
+})
+
+test('stays grounded on a gentle slope', () => {
+  // Rises 10 m over 100 m along X
+  const size = 33, heights = new Float32Array(size * size)
+  for (let row = 0; row < size; row++) {
+    for (let col = 0; col < size; col++) heights[row * size + col] = col / (size - 1)
+  }
+  const { world, terrain, player } = setup(heights, size, { x: 10, z: 5 })
+  const state = run(world, player, 120)
+  assert.equal(state.grounded, true)
+  const { x, y, z } = state.position
+  // On a slope the capsule's rounded bottom touches uphill of its centre
+  const above = y - terrain.getHeightAtWorld(x, z)
+  assert.ok(above > restHeight(player) - 0.1 && above < restHeight(player) + 0.2, `above ground by ${above}`)
+  world.free()
+})
+
+test('jumping leaves the ground and lands again', () => {
+  const { world, input, player } = setup(new Float32Array(33 * 33).fill(0.2), 33)
+  const rest = run(world, player, 60).position.y
+
+  input.held.add('jump')
+  world.step()
+  player.update(DT)
+  input.held.delete('jump')
+
+  let peak = -Infinity, airborne = false
+  for (let i = 0; i < 90; i++) {
+    const state = run(world, player, 1)
+    peak = Math.max(peak, state.position.y)
+    if (!state.grounded) airborne = true
+  }
+  assert.ok(airborne, 'never left the ground')
+  assert.ok(peak > rest + 1, `peak ${peak} vs rest ${rest}`)
+  const landed = run(world, player, 30)
+  assert.equal(landed.grounded, true)
+  assert.ok(Math.abs(landed.position.y - rest) < 0.05)
+  world.free()
+})
+
+test('walks the way yaw faces', () => {
+  const { world, input, player } = setup(new Float32Array(33 * 33).fill(0.2), 33)
+  run(world, player, 60)
+  const start = { ...player.getPosition() }
+
+  player.yaw = Math.PI / 2   // facing -X
+  input.move = { x: 0, y: 1 }
+  const state = run(world, player, 60)
+  assert.equal(state.grounded, true)
+  assert.ok(state.position.x < start.x - 4, `x ${start.x} → ${state.position.x}`)
+  assert.ok(Math.abs(state.position.z - start.z) < 0.01)
+  world.free()
+})
+
+test('getState / setState repeats a run exactly', () => {
+  const { world, input, player } = setup(new Float32Array(33 * 33).fill(0.3), 33)
+  run(world, player, 30)
+  const saved = player.getState()
+
+  const script = i => {
+    input.move = { x: Math.sin(i * 0.1), y: 1 }
+    if (i % 40 === 0) input.held.add('jump'); else input.held.delete('jump')
+  }
+  const path = []
+  for (let i = 0; i < 120; i++) { script(i); path.push(run(world, player, 1).position) }
+
+  player.setState(saved)
+  for (let i = 0; i < 120; i++) {
+    script(i)
+    assert.deepEqual(run(world, player, 1).position, path[i], `diverged at step ${i}`)
+  }
+  world.free()
+})